@@ -3,6 +3,19 @@
  * Initialise et coordonne tous les composants
  */
 
+// Paramètres appliqués directement au chronomètre, avec le setter correspondant
+const TIMER_SETTERS = {
+    focusDuration: 'setFocusDuration',
+    breakDuration: 'setBreakDuration',
+    longBreakDuration: 'setLongBreakDuration',
+    cyclesBeforeLongBreak: 'setCyclesBeforeLongBreak',
+    overtimeEnabled: 'setOvertimeEnabled',
+    taskLabel: 'setTaskLabel'
+};
+
+// Phases enchaînées automatiquement rejouées au plus après une absence (au-delà, plus personne n'était là)
+const RESTORE_MAX_PHASES = 8;
+
 /**
  * Classe principale de l'application
  */
@@ -12,26 +25,55 @@ class FocusTimerApp {
         this.timer = null;
         this.settings = null;
         this.ui = null;
+        this.sync = null;
+        this.idle = null;
+        
+        // Lien de configuration de la visite (DeepLink.parse)
+        this.link = null;
         
         // État de l'application
         this.isInitialized = false;
         
-        // Initialisation
-        this.init();
+        // Initialisation (résolue une fois l'application prête)
+        this.ready = this.init();
     }
     
     /**
      * Initialise l'application
+     * @returns {Promise} Résolue une fois les données chargées et les composants créés
      */
     init() {
-        try {
-            console.log('🚀 Initialisation de Focus Chronométré...');
-            
-            // Initialise les composants dans l'ordre
-            this._initSettings();
-            this._initTimer();
-            this._initUI();
-            this._setupEventHandlers();
+        console.log('🚀 Initialisation de Focus Chronométré...');
+        
+        // Les paramètres sont lus de façon asynchrone avant de créer les autres composants
+        return this._initSettings()
+            .then(() => {
+                this._applyLinkSettings();
+                return this._initComponents();
+            })
+            .catch(error => {
+                console.error('❌ Erreur lors de l\'initialisation:', error);
+                this._handleInitError(error);
+            });
+    }
+    
+    /**
+     * Crée les composants qui dépendent des paramètres chargés
+     * @returns {Promise} Résolue une fois la session reprise
+     * @private
+     */
+    _initComponents() {
+        // Initialise les composants dans l'ordre
+        this._initTimer();
+        this._initUI();
+        this._setupEventHandlers();
+        this._initSync();
+        
+        // Seul l'onglet propriétaire reprend la session sauvegardée
+        return this.sync.ready.then(() => {
+            this._initIdle();
+            this._restoreSession();
+            this._applyLinkMode();
             
             // Marque comme initialisée
             this.isInitialized = true;
@@ -42,11 +84,7 @@ class FocusTimerApp {
             
             // Affiche un message de bienvenue
             this._showWelcomeMessage();
-            
-        } catch (error) {
-            console.error('❌ Erreur lors de l\'initialisation:', error);
-            this._handleInitError(error);
-        }
+        });
     }
     
     /**
@@ -56,6 +94,72 @@ class FocusTimerApp {
     _initSettings() {
         this.settings = new SettingsManager();
         console.log('⚙️ Gestionnaire de paramètres créé');
+        
+        return this.settings.load();
+    }
+    
+    /**
+     * Lit le lien de la page (requête et ancre) et applique ses paramètres
+     * 
+     * Sans save=1, les paramètres ne valent que pour cette visite.
+     * @private
+     */
+    _applyLinkSettings() {
+        this.link = DeepLink.parse(window.location);
+        if (this.link.isEmpty) {
+            return;
+        }
+        
+        let profileId = null;
+        if (this.link.profile) {
+            const profile = this.settings.findProfile(this.link.profile);
+            if (profile) {
+                profileId = profile.id;
+            } else {
+                this.link.rejected.push({ param: 'profile', value: this.link.profile });
+            }
+        }
+        
+        const changedKeys = this.settings.applyOverrides(this.link.values, {
+            profileId,
+            persist: this.link.save
+        });
+        
+        this.link.rejected.forEach(({ param, value }) => {
+            console.warn(`⚠️ Paramètre de lien ignoré: ${param}=${value}`);
+        });
+        console.log(`🔗 Lien appliqué (${this.link.save ? 'enregistré' : 'pour cette visite'}):`, changedKeys);
+    }
+    
+    /**
+     * Applique le mode demandé par le lien et annonce le résultat
+     * @private
+     */
+    _applyLinkMode() {
+        if (!this.link || this.link.isEmpty) {
+            return;
+        }
+        
+        // Une session en cours ou en pause garde son mode ; un onglet miroir suit le propriétaire
+        const canChangeMode = this.sync.isOwner() && this.timer.state === TimerState.STOPPED;
+        if (this.link.mode && canChangeMode && this.link.mode !== this.timer.mode) {
+            this.timer.setMode(this.link.mode);
+        }
+        
+        // La notification d'une session restaurée reste prioritaire
+        if (!this.ui.elements.notice.hidden) {
+            return;
+        }
+        
+        const message = this.link.save
+            ? 'Configuration du lien enregistrée'
+            : 'Configuration du lien appliquée pour cette visite';
+        const ignored = this.link.rejected.map(({ param, value }) => `${param}=${value}`);
+        
+        this.ui._showNotice(
+            ignored.length > 0 ? `${message} · Paramètres ignorés : ${ignored.join(', ')}` : message,
+            { duration: 5000 }
+        );
     }
     
     /**
@@ -66,10 +170,16 @@ class FocusTimerApp {
         // Récupère les paramètres sauvegardés
         const settings = this.settings.getSettings();
         
-        // Crée le chronomètre avec les paramètres sauvegardés
-        this.timer = new FocusTimer();
+        // Crée le chronomètre avec les paramètres sauvegardés (cadencé par un Web Worker si possible)
+        this.timer = new WorkerFocusTimer();
         this.timer.setFocusDuration(settings.focusDuration);
         this.timer.setBreakDuration(settings.breakDuration);
+        this.timer.setLongBreakDuration(settings.longBreakDuration);
+        this.timer.setCyclesBeforeLongBreak(settings.cyclesBeforeLongBreak);
+        this.timer.setOvertimeEnabled(settings.overtimeEnabled);
+        this.timer.setCountMode(settings.countMode, settings.targetTime);
+        this.timer.setTaskLabel(settings.taskLabel);
+        this.timer.setProgram(this.settings.getActiveProgram());
         
         console.log('🕒 Chronomètre créé');
     }
@@ -83,62 +193,334 @@ class FocusTimerApp {
         console.log('🎨 Interface utilisateur créée');
     }
     
+    /**
+     * Initialise la synchronisation entre onglets
+     * @private
+     */
+    _initSync() {
+        // Date la sauvegarde de la fermeture : au retour, le temps écoulé page fermée en part
+        // (écouté avant que la synchronisation ne libère le bail à la fermeture ; écriture
+        // synchrone, la page peut disparaître avant une écriture asynchrone)
+        this._handlePageHide = () => {
+            if (this.sync.isOwner() && this.timer.isRunning()) {
+                this.settings.saveTimerState(this.timer.serialize(), { closing: true });
+            }
+        };
+        window.addEventListener('pagehide', this._handlePageHide);
+        
+        this.sync = new TabSync(this.timer);
+        
+        // Un onglet miroir qui reprend la main sauvegarde désormais la session
+        this.sync.on('ownershipChange', (isOwner) => {
+            if (isOwner) {
+                this.settings.saveTimerState(this.timer.serialize());
+            }
+        });
+        
+        // Fin de session dans l'onglet propriétaire : affichage seulement
+        this.sync.on('remoteComplete', (completedMode) => {
+            if (this.settings.shouldAutoStart(this.timer.mode)) {
+                this.ui._showNotice('Session terminée dans un autre onglet', { duration: 4000 });
+            } else {
+                this.ui.showSessionComplete(completedMode);
+            }
+            this.ui._updateStatsDisplay();
+        });
+        
+        console.log('🔗 Synchronisation entre onglets créée');
+    }
+    
+    /**
+     * Initialise la pause automatique en cas d'absence
+     * @private
+     */
+    _initIdle() {
+        const { autoPauseEnabled, idleThreshold } = this.settings.getSettings();
+        this.idle = new IdleMonitor(idleThreshold);
+        
+        // Le focus s'arrête au moment où l'absence a commencé
+        this.idle.on('idle', (since) => {
+            if (!this.sync.isOwner() || !this.timer.isRunning() || this.timer.mode !== 'focus') {
+                return;
+            }
+            
+            this.timer.pause(null, { at: since, auto: true });
+            this.ui.updateControlButtons(
+                this.timer.isRunning(),
+                this.timer.isPaused()
+            );
+        });
+        
+        // La question est posée dans l'onglet où l'utilisateur revient
+        this.idle.on('active', () => {
+            if (!document.hidden && this.timer.getState().autoPaused) {
+                this.ui.showIdlePrompt();
+            }
+        });
+        
+        if (autoPauseEnabled) {
+            this.idle.start();
+        }
+        
+        console.log('💤 Détection d\'absence créée');
+    }
+    
     /**
      * Configure les gestionnaires d'événements entre les composants
      * @private
      */
     _setupEventHandlers() {
         // Chronomètre → UI
-        this.timer.onTick = (timeLeft, totalTime, mode) => {
+        this.timer.on('tick', (timeLeft, totalTime, mode) => {
             this.ui.updateTimerDisplay(timeLeft, totalTime, mode);
             this.ui.updateControlButtons(
                 this.timer.isRunning(),
                 this.timer.isPaused()
             );
-        };
+        });
         
-        this.timer.onModeChange = (newMode, oldMode) => {
+        this.timer.on('modeChange', (newMode, oldMode) => {
             console.log(`🔄 Mode changé de ${oldMode} à ${newMode}`);
-        };
+        });
+        
+        // Une reprise manuelle répond à la question posée au retour d'une absence
+        this.timer.on('resume', () => {
+            this.ui.hideIdlePrompt();
+        });
         
-        this.timer.onComplete = (completedMode) => {
+        this.timer.on('overtime', () => {
+            this.ui.showOvertimeStart();
+        });
+        
+        this.timer.on('complete', (completedMode, session) => {
             console.log(`✅ Session ${completedMode} terminée`);
             
-            // Affiche la notification
-            this.ui.showSessionComplete(completedMode);
+            // Met à jour les statistiques avec le temps réellement passé
+            const reachedGoal = this._recordCompletion(completedMode, session);
             
-            // Met à jour les statistiques
-            if (completedMode === 'focus') {
-                this.settings.incrementSessions();
-                const focusMinutes = this.settings.getSetting('focusDuration');
-                this.settings.addFocusTime(focusMinutes);
-                this.ui._updateStatsDisplay();
+            // Enchaîne automatiquement ou affiche la notification
+            const nextMode = this.timer.mode;
+            const autoStart = this.settings.shouldAutoStart(nextMode);
+            if (autoStart) {
+                this.ui.showAutoStartNotice(completedMode, nextMode);
             }
-        };
+            
+            // L'objectif atteint a sa propre célébration, à la place de la fin de session
+            if (reachedGoal) {
+                this.ui.showGoalReached(reachedGoal, { autoStart });
+            } else if (!autoStart) {
+                this.ui.showSessionComplete(completedMode);
+            }
+            
+            // Prévient les onglets miroirs
+            if (this.sync) {
+                this.sync.publishComplete(completedMode);
+            }
+        });
+        
+        // Session terminée pendant que la page était fermée (reprise de la session sauvegardée)
+        this.timer.on('expire', (expiredMode, session) => {
+            console.log(`✅ Session ${expiredMode} terminée pendant l'absence`);
+            this._recordCompletion(expiredMode, session);
+        });
+        
+        this.timer.on('skip', (skippedMode, session) => {
+            console.log(`⏭️ Session ${skippedMode} passée`);
+            this._recordSkip(skippedMode, session);
+        });
+        
+        this.timer.on('abandon', (abandonedMode, session) => {
+            this._recordAbandon(abandonedMode, session);
+        });
+        
+        // Chronomètre → stockage et autres onglets
+        this.timer.on('stateChange', (snapshot) => {
+            this.settings.saveTimerState(snapshot);
+            
+            if (this.sync) {
+                this.sync.publishState(snapshot);
+            }
+        });
         
         // Paramètres → UI
-        this.settings.onSettingsChange = (key, newValue, oldValue) => {
+        this.settings.on('change', (key, newValue, oldValue) => {
             console.log(`⚙️ Paramètre modifié: ${key} = ${newValue} (était: ${oldValue})`);
             
             // Met à jour l'UI si nécessaire
             if (key === 'theme') {
                 this.ui._applyTheme();
             }
-        };
+            
+            if (key === 'stats') {
+                this.ui._updateStatsDisplay();
+            }
+            
+            // Tâche en cours (import) → champ de saisie
+            if (key === 'taskLabel') {
+                this.ui.elements.taskLabelInput.value = newValue;
+            }
+            
+            // Objectif du jour (panneau ou import) → progression affichée
+            if (key === 'dailyGoal' || key === 'dailyGoalType' || key === 'dailyGoalTarget') {
+                this.ui.updateGoalDisplay();
+            }
+            
+            // Durées et cycle (panneau, profil ou import) → chronomètre
+            if (TIMER_SETTERS[key]) {
+                this.timer[TIMER_SETTERS[key]](newValue);
+            }
+            
+            // Pause automatique → détection d'absence
+            if (key === 'autoPauseEnabled') {
+                if (newValue) {
+                    this.idle.start();
+                } else {
+                    this.idle.stop();
+                }
+            }
+            
+            if (key === 'idleThreshold') {
+                this.idle.setThreshold(newValue);
+            }
+            
+            // Façon de compter le focus → chronomètre
+            if (key === 'countMode' || key === 'targetTime') {
+                const { countMode, targetTime } = this.settings.getSettings();
+                this.timer.setCountMode(countMode, targetTime);
+            }
+            
+            // Programme d'intervalles → chronomètre
+            // (un onglet miroir le reçoit avec l'état du propriétaire, qui a rechargé le même paramètre :
+            // le relayer appliquerait le programme deux fois et abandonnerait la session en cours)
+            if (key === 'activeProgramId' && this.sync.isOwner()) {
+                this.timer.setProgram(this.settings.getActiveProgram());
+            }
+            
+            // Le programme actif a été modifié : appliqué dès que le chronomètre est arrêté
+            if (key === 'programs' && this.sync.isOwner() && this.timer.isStopped()) {
+                const active = this.settings.getActiveProgram();
+                if (active && this.timer.program && active.id === this.timer.program.id) {
+                    this.timer.setProgram(active);
+                }
+            }
+        });
         
         console.log('🔗 Gestionnaires d\'événements configurés');
     }
     
+    /**
+     * Enregistre une session terminée dans l'historique
+     * @param {string} completedMode - Mode qui vient de se terminer
+     * @param {object} session - Session décrite par le chronomètre (durée prolongation comprise)
+     * @returns {object|null} Progression de l'objectif du jour s'il vient d'être atteint
+     * @private
+     */
+    _recordCompletion(completedMode, session) {
+        const before = this.settings.getGoalProgress();
+        
+        this.settings.recordSession(completedMode, SESSION_OUTCOMES.COMPLETED, session);
+        this.ui._updateStatsDisplay();
+        
+        const after = this.settings.getGoalProgress();
+        return before && !before.met && after && after.met ? after : null;
+    }
+    
+    /**
+     * Enregistre une phase passée : elle ne compte pas comme terminée,
+     * mais le temps déjà passé reste du temps de focus
+     * @param {string} skippedMode - Mode qui a été passé
+     * @param {object} session - Session décrite par le chronomètre
+     * @private
+     */
+    _recordSkip(skippedMode, session) {
+        // Une phase passée sans avoir démarré n'est pas une session
+        if (!session.started) {
+            return;
+        }
+        
+        this.settings.recordSession(skippedMode, SESSION_OUTCOMES.SKIPPED, session);
+        this.ui._updateStatsDisplay();
+    }
+    
+    /**
+     * Enregistre une session de focus réinitialisée avant la fin
+     * @param {string} abandonedMode - Mode abandonné
+     * @param {object} session - Session décrite par le chronomètre
+     * @private
+     */
+    _recordAbandon(abandonedMode, session) {
+        this.settings.recordSession(abandonedMode, SESSION_OUTCOMES.ABANDONED, session);
+        this.ui._updateStatsDisplay();
+    }
+    
+    /**
+     * Restaure la session interrompue par un rechargement ou une fermeture
+     * @private
+     */
+    _restoreSession() {
+        // Seul l'onglet propriétaire reprend la session sauvegardée
+        if (!this.sync.isOwner()) {
+            return;
+        }
+        
+        const snapshot = this.settings.loadTimerState();
+        if (!snapshot) {
+            return;
+        }
+        
+        // Une session terminée pendant l'absence est enregistrée par le chronomètre ('expire')
+        let status = this.timer.restore(snapshot);
+        let expiredCount = status === 'expired' ? 1 : 0;
+        
+        // Les phases enchaînées automatiquement ont continué pendant l'absence
+        let phaseEnd = snapshot.endTime;
+        while (status === 'expired' && expiredCount < RESTORE_MAX_PHASES
+            && this.settings.shouldAutoStart(this.timer.mode)) {
+            const startedAt = phaseEnd;
+            phaseEnd = startedAt + this.timer.totalTime * 1000;
+            status = this.timer.restoreFrom(startedAt);
+            
+            if (status === 'expired') {
+                expiredCount++;
+            }
+        }
+        
+        if (expiredCount > 1) {
+            this.ui._showNotice(`${expiredCount} phases se sont terminées pendant votre absence et ont été enregistrées`, { actionLabel: 'OK' });
+        } else if (expiredCount === 1) {
+            const message = snapshot.mode === 'focus'
+                ? 'Votre session de focus s\'est terminée pendant votre absence et a été enregistrée'
+                : 'Votre pause s\'est terminée pendant votre absence';
+            this.ui._showNotice(message, { actionLabel: 'OK' });
+        } else if (status === 'running') {
+            this.ui._showNotice('Session en cours restaurée', { duration: 3000 });
+        }
+        
+        // Prolongation ou chronomètre libre arrêtés à la fermeture : garder ou non le temps écoulé
+        if (this.timer.getState().autoPaused) {
+            this.ui.showIdlePrompt();
+        }
+        
+        this.ui.updateControlButtons(
+            this.timer.isRunning(),
+            this.timer.isPaused()
+        );
+        
+        // Sauvegarde l'état résultant (phase suivante si la session a expiré)
+        this.settings.saveTimerState(this.timer.serialize());
+    }
+    
     /**
      * Affiche un message de bienvenue
      * @private
      */
     _showWelcomeMessage() {
         // Vérifie si c'est la première visite
-        const firstVisit = !localStorage.getItem('hasVisitedBefore');
+        const appState = this.settings.storage.get('app');
+        const firstVisit = !appState.hasVisitedBefore;
         
         if (firstVisit) {
-            localStorage.setItem('hasVisitedBefore', 'true');
+            this.settings.storage.save({ app: { ...appState, hasVisitedBefore: true } });
             
             // Affiche les informations après un court délai
             setTimeout(() => {
@@ -216,6 +598,15 @@ class FocusTimerApp {
         console.log('🔄 Réinitialisation de l\'application...');
         
         // Nettoie les composants
+        if (this.idle) {
+            this.idle.destroy();
+        }
+        
+        if (this.sync) {
+            this.sync.destroy();
+            window.removeEventListener('pagehide', this._handlePageHide);
+        }
+        
         if (this.timer) {
             this.timer.destroy();
         }
@@ -232,6 +623,8 @@ class FocusTimerApp {
         this.timer = null;
         this.ui = null;
         this.settings = null;
+        this.sync = null;
+        this.idle = null;
         this.isInitialized = false;
         
         console.log('🗑️ Application nettoyée');
@@ -242,7 +635,8 @@ class FocusTimerApp {
      */
     restart() {
         this.reset();
-        this.init();
+        this.ready = this.init();
+        return this.ready;
     }
     
     /**
@@ -264,12 +658,14 @@ document.addEventListener('DOMContentLoaded', () => {
     window.app = new FocusTimerApp();
     
     // Expose les composants principaux pour le débogage
-    if (window.app.isInitialized) {
-        console.log('🌐 Application disponible sous: window.app');
-        console.log('⏱️ Chronomètre disponible sous: window.app.timer');
-        console.log('⚙️ Paramètres disponibles sous: window.app.settings');
-        console.log('🎨 UI disponible sous: window.app.ui');
-    }
+    window.app.ready.then(() => {
+        if (window.app.isInitialized) {
+            console.log('🌐 Application disponible sous: window.app');
+            console.log('⏱️ Chronomètre disponible sous: window.app.timer');
+            console.log('⚙️ Paramètres disponibles sous: window.app.settings');
+            console.log('🎨 UI disponible sous: window.app.ui');
+        }
+    });
 });
 
 // Gestionnaire d'erreurs global
@@ -307,13 +703,8 @@ window.toggleMode = function() {
  */
 window.resetStats = function() {
     if (window.app && window.app.settings) {
-        const today = new Date().toDateString();
-        window.app.settings.settings.stats = {
-            sessionsToday: 0,
-            totalFocusTime: 0,
-            lastResetDate: today
-        };
-        window.app.settings._saveSettings();
+        // Les sessions du jour restent dans l'historique, seuls les compteurs repartent de zéro
+        window.app.settings.resetDailyStats();
         window.app.ui._updateStatsDisplay();
         console.log('📊 Statistiques réinitialisées');
     }
@@ -328,6 +719,7 @@ window.showDebugInfo = function() {
         console.group('🔍 Informations de débogage');
         console.log('Application:', window.app.getAppState());
         console.log('Navigateur:', navigator.userAgent);
+        console.log('Stockage:', window.app.settings ? window.app.settings.storage.getAdapterName() : null);
         console.log('LocalStorage utilisé:', 
             JSON.stringify(localStorage).length, 'octets');
         console.groupEnd();
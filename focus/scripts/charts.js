@@ -0,0 +1,253 @@
+/**
+ * Graphiques des statistiques pour Focus Chronométré
+ * Calcule les séries à partir de l'historique des sessions et les dessine en SVG,
+ * sans bibliothèque : les couleurs viennent des classes CSS, donc du thème actif
+ */
+
+// Espace de noms des éléments SVG
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Dimensions d'un graphique (unités du viewBox, l'image s'adapte à la largeur du panneau)
+const CHART_SIZE = { width: 320, height: 140 };
+const CHART_PADDING = { top: 18, right: 2, bottom: 18, left: 2 };
+
+// Écart entre deux barres, en part de la largeur d'une barre
+const CHART_BAR_GAP = 0.25;
+
+// Périodes proposées pour les minutes par jour
+const CHART_RANGES = [7, 30];
+
+/**
+ * Séries statistiques et dessin des graphiques en barres
+ */
+class StatsCharts {
+    /**
+     * Minutes de focus de chacun des derniers jours
+     * @param {Array} entries - Entrées de l'historique
+     * @param {number} days - Nombre de jours, aujourd'hui compris
+     * @param {Date|number} now - Date de référence
+     * @returns {Array} [{ day (minuit en ms), minutes }], du plus ancien au plus récent
+     */
+    static dailyFocus(entries, days, now = Date.now()) {
+        const today = new Date(SessionHistory.startOfDay(now));
+        const series = [];
+
+        for (let offset = days - 1; offset >= 0; offset--) {
+            const day = new Date(today);
+            day.setDate(today.getDate() - offset);
+            series.push({ day: day.getTime(), minutes: 0 });
+        }
+
+        const byDay = new Map(series.map(point => [point.day, point]));
+        entries
+            .filter(entry => entry.mode === 'focus')
+            .forEach(entry => {
+                const point = byDay.get(SessionHistory.startOfDay(entry.start));
+                if (point) {
+                    // Arrondi par session, comme les statistiques de la journée
+                    point.minutes += Math.round(entry.actualDuration / 60);
+                }
+            });
+
+        return series;
+    }
+
+    /**
+     * Sessions de focus terminées selon leur heure de début
+     * @param {Array} entries - Entrées de l'historique
+     * @returns {Array<number>} 24 compteurs, de 0 h à 23 h
+     */
+    static hourlySessions(entries) {
+        const hours = Array(24).fill(0);
+
+        entries
+            // Les sessions reconstituées depuis d'anciens compteurs n'ont pas d'heure réelle
+            .filter(entry => StatsCharts._isCompletedFocus(entry) && !entry.legacy)
+            .forEach(entry => {
+                hours[new Date(entry.start).getHours()]++;
+            });
+
+        return hours;
+    }
+
+    /**
+     * Durée moyenne des sessions de focus terminées
+     * @param {Array} entries - Entrées de l'historique
+     * @returns {number|null} Durée en secondes, null sans session
+     */
+    static averageLength(entries) {
+        const sessions = entries.filter(entry => StatsCharts._isCompletedFocus(entry));
+        if (sessions.length === 0) {
+            return null;
+        }
+
+        const total = sessions.reduce((sum, entry) => sum + entry.actualDuration, 0);
+        return total / sessions.length;
+    }
+
+    /**
+     * Temps et sessions de focus par tâche
+     * @param {Array} entries - Entrées de l'historique
+     * @returns {Array} [{ label (null = sans tâche), sessions (terminées), minutes }],
+     *                  par temps décroissant, les sessions sans tâche en dernier
+     */
+    static labelTotals(entries) {
+        const totals = new Map();
+
+        entries
+            .filter(entry => entry.mode === 'focus')
+            .forEach(entry => {
+                const label = entry.label || null;
+                const total = totals.get(label) || { label, sessions: 0, minutes: 0 };
+
+                // Arrondi par session, comme les statistiques de la journée
+                total.minutes += Math.round(entry.actualDuration / 60);
+                if (entry.outcome === SESSION_OUTCOMES.COMPLETED) {
+                    total.sessions++;
+                }
+                totals.set(label, total);
+            });
+
+        return Array.from(totals.values()).sort((a, b) => {
+            if ((a.label === null) !== (b.label === null)) {
+                return a.label === null ? 1 : -1;
+            }
+            return b.minutes - a.minutes || b.sessions - a.sessions;
+        });
+    }
+
+    /**
+     * Dessine un graphique en barres
+     * @param {Array<number>} values - Valeurs positives
+     * @param {object} options - { labels: étiquettes sous les barres ('' = aucune),
+     *                            title: description pour les lecteurs d'écran,
+     *                            formatValue: texte d'une valeur (infobulles) }
+     * @returns {SVGSVGElement}
+     */
+    static barChart(values, { labels = [], title = '', formatValue = String } = {}) {
+        const svg = StatsCharts._create('svg', {
+            class: 'chart-svg',
+            viewBox: `0 0 ${CHART_SIZE.width} ${CHART_SIZE.height}`,
+            role: 'img',
+            'aria-label': title
+        });
+
+        const plotWidth = CHART_SIZE.width - CHART_PADDING.left - CHART_PADDING.right;
+        const plotHeight = CHART_SIZE.height - CHART_PADDING.top - CHART_PADDING.bottom;
+        const baseline = CHART_PADDING.top + plotHeight;
+        const slot = plotWidth / Math.max(values.length, 1);
+        const barWidth = slot / (1 + CHART_BAR_GAP);
+        const max = Math.max(...values, 0);
+
+        // Repère du maximum, pour lire l'échelle sans axe gradué
+        if (max > 0) {
+            svg.appendChild(StatsCharts._create('line', {
+                class: 'chart-grid',
+                x1: CHART_PADDING.left,
+                x2: CHART_SIZE.width - CHART_PADDING.right,
+                y1: CHART_PADDING.top,
+                y2: CHART_PADDING.top
+            }));
+            svg.appendChild(StatsCharts._createText(formatValue(max), {
+                class: 'chart-label',
+                x: CHART_PADDING.left,
+                y: CHART_PADDING.top - 5
+            }));
+        }
+
+        values.forEach((value, index) => {
+            const x = CHART_PADDING.left + index * slot + (slot - barWidth) / 2;
+            const height = max > 0 ? (value / max) * plotHeight : 0;
+
+            const bar = StatsCharts._create('rect', {
+                class: 'chart-bar',
+                x: StatsCharts._round(x),
+                y: StatsCharts._round(baseline - height),
+                width: StatsCharts._round(barWidth),
+                height: StatsCharts._round(height),
+                rx: Math.min(2, barWidth / 4)
+            });
+
+            // Infobulle : étiquette de la barre et valeur exacte
+            const tooltip = StatsCharts._createText(
+                labels[index] ? `${labels[index]} : ${formatValue(value)}` : formatValue(value),
+                {},
+                'title'
+            );
+            bar.appendChild(tooltip);
+            svg.appendChild(bar);
+
+            if (labels[index]) {
+                svg.appendChild(StatsCharts._createText(labels[index], {
+                    class: 'chart-label',
+                    x: StatsCharts._round(x + barWidth / 2),
+                    y: CHART_SIZE.height - 4,
+                    'text-anchor': 'middle'
+                }));
+            }
+        });
+
+        svg.appendChild(StatsCharts._create('line', {
+            class: 'chart-axis',
+            x1: CHART_PADDING.left,
+            x2: CHART_SIZE.width - CHART_PADDING.right,
+            y1: baseline,
+            y2: baseline
+        }));
+
+        return svg;
+    }
+
+    /**
+     * Indique si une entrée est une session de focus terminée
+     * @param {object} entry - Entrée de l'historique
+     * @returns {boolean}
+     * @private
+     */
+    static _isCompletedFocus(entry) {
+        return entry.mode === 'focus' && entry.outcome === SESSION_OUTCOMES.COMPLETED;
+    }
+
+    /**
+     * Crée un élément SVG
+     * @param {string} tag - Nom de l'élément
+     * @param {object} attributes - Attributs
+     * @returns {SVGElement}
+     * @private
+     */
+    static _create(tag, attributes) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => {
+            element.setAttribute(name, value);
+        });
+
+        return element;
+    }
+
+    /**
+     * Crée un élément SVG contenant du texte
+     * @param {string} text - Texte
+     * @param {object} attributes - Attributs
+     * @param {string} tag - Nom de l'élément ('text' par défaut)
+     * @returns {SVGElement}
+     * @private
+     */
+    static _createText(text, attributes, tag = 'text') {
+        const element = StatsCharts._create(tag, attributes);
+        element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Arrondit une coordonnée pour alléger le SVG
+     * @param {number} value - Coordonnée
+     * @returns {number}
+     * @private
+     */
+    static _round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+// Exporte la classe
+window.StatsCharts = StatsCharts;
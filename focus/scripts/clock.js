@@ -0,0 +1,202 @@
+/**
+ * Horloges pour Focus Chronométré
+ * Fournissent l'heure et la planification au chronomètre, qui peut ainsi être piloté
+ * par le temps réel ou par un temps virtuel (tests, démonstrations, rejeu)
+ *
+ * Une horloge expose : now(), setInterval(), clearInterval(), setTimeout(), clearTimeout()
+ */
+
+/**
+ * Horloge réelle : heure système et minuteries du navigateur
+ */
+class SystemClock {
+    /**
+     * @returns {number} Heure actuelle en ms
+     */
+    now() {
+        return Date.now();
+    }
+
+    /**
+     * Planifie un appel répété
+     * @param {Function} callback - Fonction à appeler
+     * @param {number} interval - Période en ms
+     * @returns {number} Identifiant de la minuterie
+     */
+    setInterval(callback, interval) {
+        return setInterval(callback, interval);
+    }
+
+    /**
+     * Annule un appel répété
+     * @param {number} id - Identifiant de la minuterie
+     */
+    clearInterval(id) {
+        clearInterval(id);
+    }
+
+    /**
+     * Planifie un appel unique
+     * @param {Function} callback - Fonction à appeler
+     * @param {number} delay - Délai en ms
+     * @returns {number} Identifiant de la minuterie
+     */
+    setTimeout(callback, delay) {
+        return setTimeout(callback, delay);
+    }
+
+    /**
+     * Annule un appel unique
+     * @param {number} id - Identifiant de la minuterie
+     */
+    clearTimeout(id) {
+        clearTimeout(id);
+    }
+}
+
+/**
+ * Horloge virtuelle : le temps n'avance que sur demande, et les minuteries
+ * échues sont déclenchées de façon synchrone, dans l'ordre chronologique
+ *
+ * Exemple : une session de focus complète en quelques millisecondes
+ *   const clock = new VirtualClock();
+ *   const timer = new FocusTimer({ clock });
+ *   timer.start();
+ *   clock.advance(25 * 60 * 1000); // 'complete' a été émis
+ *
+ * Un cycle complet est déroulé par tools/virtual-cycle.js (node focus/tools/virtual-cycle.js)
+ */
+class VirtualClock {
+    /**
+     * @param {number} startTime - Heure de départ en ms (par défaut l'heure réelle)
+     */
+    constructor(startTime = Date.now()) {
+        this.time = startTime;
+
+        // Minuteries planifiées : id → { callback, at, interval }
+        this.timers = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * @returns {number} Heure virtuelle en ms
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Planifie un appel répété
+     * @param {Function} callback - Fonction à appeler
+     * @param {number} interval - Période en ms
+     * @returns {number} Identifiant de la minuterie
+     */
+    setInterval(callback, interval) {
+        // Un intervalle nul ferait boucler advance() indéfiniment
+        const period = Math.max(1, interval);
+        return this._schedule(callback, period, period);
+    }
+
+    /**
+     * Annule un appel répété
+     * @param {number} id - Identifiant de la minuterie
+     */
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Planifie un appel unique
+     * @param {Function} callback - Fonction à appeler
+     * @param {number} delay - Délai en ms
+     * @returns {number} Identifiant de la minuterie
+     */
+    setTimeout(callback, delay = 0) {
+        return this._schedule(callback, Math.max(0, delay), null);
+    }
+
+    /**
+     * Annule un appel unique
+     * @param {number} id - Identifiant de la minuterie
+     */
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Fait avancer le temps en déclenchant les minuteries échues
+     * @param {number} ms - Durée à écouler
+     */
+    advance(ms) {
+        this.advanceTo(this.time + ms);
+    }
+
+    /**
+     * Fait avancer le temps jusqu'à une heure donnée
+     * @param {number} timestamp - Heure à atteindre en ms
+     */
+    advanceTo(timestamp) {
+        let next = this._nextDue(timestamp);
+
+        while (next) {
+            const [id, timer] = next;
+            this.time = timer.at;
+
+            if (timer.interval === null) {
+                this.timers.delete(id);
+            } else {
+                timer.at += timer.interval;
+            }
+
+            timer.callback();
+            next = this._nextDue(timestamp);
+        }
+
+        this.time = Math.max(this.time, timestamp);
+    }
+
+    /**
+     * Nombre de minuteries en attente
+     * @returns {number}
+     */
+    getPendingCount() {
+        return this.timers.size;
+    }
+
+    /**
+     * Planifie une minuterie
+     * @param {Function} callback - Fonction à appeler
+     * @param {number} delay - Délai avant le premier appel (ms)
+     * @param {number|null} interval - Période de répétition (null = une seule fois)
+     * @returns {number} Identifiant de la minuterie
+     * @private
+     */
+    _schedule(callback, delay, interval) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback, at: this.time + delay, interval });
+        return id;
+    }
+
+    /**
+     * Trouve la prochaine minuterie échue avant une heure limite
+     * @param {number} limit - Heure limite en ms
+     * @returns {Array|null} [id, minuterie] ou null
+     * @private
+     */
+    _nextDue(limit) {
+        let next = null;
+
+        // À heure égale, la minuterie planifiée en premier passe d'abord
+        this.timers.forEach((timer, id) => {
+            if (timer.at <= limit && (!next || timer.at < next[1].at)) {
+                next = [id, timer];
+            }
+        });
+
+        return next;
+    }
+}
+
+// Exporte les classes
+window.SystemClock = SystemClock;
+window.VirtualClock = VirtualClock;
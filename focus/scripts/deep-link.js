@@ -0,0 +1,160 @@
+/**
+ * Liens de configuration pour Focus Chronométré
+ * Lit les paramètres d'un lien (ex. app.html?focus=50&break=10&mode=focus&autostart=1&profile=deep)
+ * et construit le lien de la configuration actuelle
+ *
+ * Les paramètres sont lus dans la requête puis dans l'ancre (#focus=50), qui l'emporte.
+ */
+
+// Paramètres de lien → paramètres de SettingsManager (durées en minutes)
+const LINK_SETTINGS = {
+    focus: 'focusDuration',
+    break: 'breakDuration',
+    long: 'longBreakDuration',
+    theme: 'theme'
+};
+
+// Le démarrage automatique vaut pour les pauses et le focus
+const LINK_AUTOSTART_KEYS = ['autoStartBreaks', 'autoStartFocus'];
+
+// Valeurs acceptées pour les drapeaux (autostart, save)
+const LINK_TRUE_VALUES = ['1', 'true', 'yes', 'oui'];
+const LINK_FALSE_VALUES = ['0', 'false', 'no', 'non'];
+
+/**
+ * Lecture et construction des liens de configuration
+ */
+class DeepLink {
+    /**
+     * Lit et vérifie les paramètres d'une adresse
+     * @param {Location|URL} location - Adresse de la page
+     * @returns {object} { values, profile, mode, save, rejected: [{ param, value }], isEmpty }
+     */
+    static parse(location) {
+        const params = DeepLink._readParams(location);
+        const link = { values: {}, profile: null, mode: null, save: false, rejected: [], isEmpty: true };
+
+        params.forEach((raw, param) => {
+            const value = raw.trim();
+            let accepted = true;
+
+            if (LINK_SETTINGS[param]) {
+                const key = LINK_SETTINGS[param];
+                const setting = key === 'theme' ? value : DeepLink._parseNumber(value);
+                accepted = SETTING_RULES[key](setting);
+                if (accepted) {
+                    link.values[key] = setting;
+                }
+            } else if (param === 'autostart') {
+                const enabled = DeepLink._parseFlag(value);
+                accepted = enabled !== null;
+                if (accepted) {
+                    LINK_AUTOSTART_KEYS.forEach(key => {
+                        link.values[key] = enabled;
+                    });
+                }
+            } else if (param === 'mode') {
+                accepted = TIMER_MODES.includes(value);
+                if (accepted) {
+                    link.mode = value;
+                }
+            } else if (param === 'profile') {
+                accepted = value !== '';
+                if (accepted) {
+                    link.profile = value;
+                }
+            } else if (param === 'save') {
+                link.save = DeepLink._parseFlag(value) === true;
+            } else {
+                // Paramètres étrangers à l'application (ex. suivi de campagne) : ignorés sans message
+                return;
+            }
+
+            link.isEmpty = false;
+            if (!accepted) {
+                link.rejected.push({ param, value: raw });
+            }
+        });
+
+        return link;
+    }
+
+    /**
+     * Construit le lien d'une configuration
+     * @param {string} baseUrl - Adresse de la page, sans paramètres
+     * @param {object} settings - Paramètres actuels (SettingsManager.getSettings())
+     * @param {object} options - { mode, profileName }
+     * @returns {string} Lien complet
+     */
+    static build(baseUrl, settings, { mode = null, profileName = null } = {}) {
+        const params = new URLSearchParams();
+
+        Object.entries(LINK_SETTINGS).forEach(([param, key]) => {
+            params.set(param, String(settings[key]));
+        });
+
+        // Les deux réglages doivent concorder pour tenir dans un seul paramètre
+        const autoStart = LINK_AUTOSTART_KEYS.map(key => settings[key]);
+        if (autoStart.every(enabled => enabled === autoStart[0])) {
+            params.set('autostart', autoStart[0] ? '1' : '0');
+        }
+
+        if (mode) {
+            params.set('mode', mode);
+        }
+
+        if (profileName) {
+            params.set('profile', profileName);
+        }
+
+        return `${baseUrl}?${params.toString()}`;
+    }
+
+    /**
+     * Réunit les paramètres de la requête et de l'ancre
+     * @param {Location|URL} location - Adresse de la page
+     * @returns {Map<string, string>} Paramètre → valeur
+     * @private
+     */
+    static _readParams(location) {
+        const params = new Map();
+        const sources = [location.search, location.hash.replace(/^#/, '')];
+
+        sources.forEach(source => {
+            new URLSearchParams(source).forEach((value, param) => {
+                params.set(param.toLowerCase(), value);
+            });
+        });
+
+        return params;
+    }
+
+    /**
+     * Convertit un nombre écrit dans un lien
+     * @param {string} value - Valeur du paramètre
+     * @returns {number} Nombre, ou NaN
+     * @private
+     */
+    static _parseNumber(value) {
+        return value === '' ? NaN : Number(value);
+    }
+
+    /**
+     * Convertit un drapeau écrit dans un lien
+     * @param {string} value - Valeur du paramètre ('' = drapeau présent)
+     * @returns {boolean|null} null si la valeur n'est pas reconnue
+     * @private
+     */
+    static _parseFlag(value) {
+        const normalized = value.toLowerCase();
+
+        if (normalized === '' || LINK_TRUE_VALUES.includes(normalized)) {
+            return true;
+        }
+
+        return LINK_FALSE_VALUES.includes(normalized) ? false : null;
+    }
+}
+
+// Exporte la classe
+window.DeepLink = DeepLink;
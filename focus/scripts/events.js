@@ -0,0 +1,97 @@
+/**
+ * Émetteur d'événements pour Focus Chronométré
+ * Permet à plusieurs composants d'écouter le même objet
+ */
+
+/**
+ * Classe de base des objets observables
+ */
+class EventEmitter {
+    /**
+     * @param {object} legacyCallbacks - Correspondance événement → propriété de rappel historique
+     *                                   (ex. { tick: 'onTick' }), toujours appelée après les écouteurs
+     */
+    constructor(legacyCallbacks = {}) {
+        this._listeners = {};
+        this._legacyCallbacks = legacyCallbacks;
+    }
+
+    /**
+     * Ajoute un écouteur
+     * @param {string} event - Nom de l'événement
+     * @param {Function} listener - Fonction appelée avec les arguments de l'événement
+     * @returns {EventEmitter} L'instance, pour chaîner les appels
+     */
+    on(event, listener) {
+        if (!this._listeners[event]) {
+            this._listeners[event] = [];
+        }
+
+        this._listeners[event].push(listener);
+        return this;
+    }
+
+    /**
+     * Retire un écouteur, ou tous les écouteurs d'un événement
+     * @param {string} event - Nom de l'événement
+     * @param {Function} listener - Écouteur à retirer (tous si omis)
+     * @returns {EventEmitter} L'instance, pour chaîner les appels
+     */
+    off(event, listener = null) {
+        if (!this._listeners[event]) {
+            return this;
+        }
+
+        this._listeners[event] = listener
+            ? this._listeners[event].filter(existing => existing !== listener && existing.listener !== listener)
+            : [];
+        return this;
+    }
+
+    /**
+     * Ajoute un écouteur appelé une seule fois
+     * @param {string} event - Nom de l'événement
+     * @param {Function} listener - Fonction appelée avec les arguments de l'événement
+     * @returns {EventEmitter} L'instance, pour chaîner les appels
+     */
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener(...args);
+        };
+
+        // Permet de retirer l'écouteur avec la fonction d'origine
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Déclenche un événement
+     * @param {string} event - Nom de l'événement
+     * @param {...*} args - Arguments transmis aux écouteurs
+     * @returns {boolean} true si au moins un écouteur a été appelé
+     */
+    emit(event, ...args) {
+        const listeners = (this._listeners[event] || []).slice();
+
+        // Rappel historique (ex. timer.onTick = ...)
+        const legacy = this[this._legacyCallbacks[event]];
+        if (typeof legacy === 'function') {
+            listeners.push(legacy.bind(this));
+        }
+
+        // Une erreur dans un écouteur n'empêche pas les suivants d'être appelés
+        listeners.forEach(listener => {
+            try {
+                listener(...args);
+            } catch (error) {
+                console.error(`❌ Erreur dans un écouteur "${event}":`, error);
+            }
+        });
+
+        return listeners.length > 0;
+    }
+}
+
+// Exporte la classe
+window.EventEmitter = EventEmitter;
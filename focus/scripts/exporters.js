@@ -0,0 +1,216 @@
+/**
+ * Exports de l'historique des sessions pour Focus Chronométré
+ * - CSV (feuilles de temps, facturation) : une ligne par session
+ * - iCalendar (.ics) : un événement par session de focus, importable dans un agenda
+ */
+
+// Colonnes du CSV (durée en minutes, heures locales)
+const CSV_COLUMNS = ['date', 'start', 'end', 'duration_min', 'mode', 'label', 'outcome'];
+
+// Séparateur de lignes imposé par les deux formats (RFC 4180 et RFC 5545)
+const EXPORT_LINE_BREAK = '\r\n';
+
+// Longueur maximale d'une ligne iCalendar, en octets (hors saut de ligne)
+const ICS_LINE_MAX_OCTETS = 75;
+
+// Identifiant du logiciel qui a produit le calendrier
+const ICS_PRODUCT_ID = '-//Focus Chronometre//Sessions//FR';
+
+// Libellés des issues dans la description des événements
+const EXPORT_OUTCOME_LABELS = {
+    completed: 'terminée',
+    skipped: 'passée',
+    abandoned: 'abandonnée'
+};
+
+/**
+ * Conversion des entrées de l'historique en fichiers texte
+ */
+class SessionExporter {
+    /**
+     * Convertit des sessions en CSV
+     * @param {Array} entries - Entrées de l'historique
+     * @returns {string} CSV avec une ligne d'en-tête
+     */
+    static toCSV(entries) {
+        const rows = entries.map(entry => {
+            const start = new Date(entry.start);
+
+            return [
+                SessionExporter._formatDate(start),
+                SessionExporter._formatTime(start),
+                SessionExporter._formatTime(new Date(entry.end)),
+                String(Math.round(entry.actualDuration / 60 * 100) / 100),
+                entry.mode,
+                entry.label || '',
+                entry.outcome
+            ];
+        });
+
+        return [CSV_COLUMNS, ...rows]
+            .map(row => row.map(value => SessionExporter._escapeCSV(value)).join(','))
+            .join(EXPORT_LINE_BREAK) + EXPORT_LINE_BREAK;
+    }
+
+    /**
+     * Convertit les sessions de focus en calendrier iCalendar
+     * @param {Array} entries - Entrées de l'historique
+     * @param {Date|number} now - Date de l'export (DTSTAMP)
+     * @returns {string} Contenu du fichier .ics
+     */
+    static toICS(entries, now = Date.now()) {
+        const stamp = SessionExporter._formatUTC(now);
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ICS_PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        entries
+            // Les sessions reconstituées depuis d'anciens compteurs n'ont pas d'horaires réels
+            .filter(entry => entry.mode === 'focus' && !entry.legacy)
+            .forEach(entry => {
+                const minutes = Math.round(entry.actualDuration / 60);
+                const description = [
+                    `Issue : ${EXPORT_OUTCOME_LABELS[entry.outcome] || entry.outcome}`,
+                    `Durée : ${minutes} min`,
+                    `Interruptions : ${entry.interruptions.length}`
+                ].join('\n');
+
+                lines.push(
+                    'BEGIN:VEVENT',
+                    `UID:${entry.id}@${STORAGE_NAMESPACE}`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART:${SessionExporter._formatUTC(entry.start)}`,
+                    `DTEND:${SessionExporter._formatUTC(entry.end)}`,
+                    `SUMMARY:${SessionExporter._escapeICS(entry.label ? `Focus : ${entry.label}` : 'Focus')}`,
+                    `DESCRIPTION:${SessionExporter._escapeICS(description)}`,
+                    'CATEGORIES:Focus',
+                    'TRANSP:OPAQUE',
+                    'END:VEVENT'
+                );
+            });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => SessionExporter._foldICS(line)).join(EXPORT_LINE_BREAK) + EXPORT_LINE_BREAK;
+    }
+
+    /**
+     * Protège une valeur CSV (guillemets, séparateurs, formules des tableurs)
+     * @param {string} value - Valeur
+     * @returns {string}
+     * @private
+     */
+    static _escapeCSV(value) {
+        let text = String(value);
+
+        // Un libellé commençant par =, +, - ou @ serait exécuté comme formule par un tableur
+        if (/^[=+\-@]/.test(text) && !/^-?\d/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Protège un texte iCalendar
+     * @param {string} text - Texte
+     * @returns {string}
+     * @private
+     */
+    static _escapeICS(text) {
+        return text
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Replie une ligne iCalendar trop longue (suite précédée d'une espace)
+     * @param {string} line - Ligne complète
+     * @returns {string} Ligne repliée, sauts de ligne compris
+     * @private
+     */
+    static _foldICS(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        // Parcourt les caractères entiers pour ne jamais couper un caractère UTF-8
+        Array.from(line).forEach(char => {
+            const size = SessionExporter._utf8Length(char);
+            const limit = parts.length === 0 ? ICS_LINE_MAX_OCTETS : ICS_LINE_MAX_OCTETS - 1;
+
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+
+            current += char;
+            octets += size;
+        });
+        parts.push(current);
+
+        return parts.join(`${EXPORT_LINE_BREAK} `);
+    }
+
+    /**
+     * Nombre d'octets d'un caractère en UTF-8
+     * @param {string} char - Caractère (point de code entier)
+     * @returns {number}
+     * @private
+     */
+    static _utf8Length(char) {
+        const code = char.codePointAt(0);
+
+        if (code < 0x80) {
+            return 1;
+        }
+
+        if (code < 0x800) {
+            return 2;
+        }
+
+        return code < 0x10000 ? 3 : 4;
+    }
+
+    /**
+     * Formate une heure en UTC pour iCalendar (ex. 20260315T083000Z)
+     * @param {Date|number} date - Date
+     * @returns {string}
+     * @private
+     */
+    static _formatUTC(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Formate un jour local (ex. 2026-03-15)
+     * @param {Date} date - Date
+     * @returns {string}
+     * @private
+     */
+    static _formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Formate une heure locale (ex. 08:30)
+     * @param {Date} date - Date
+     * @returns {string}
+     * @private
+     */
+    static _formatTime(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+}
+
+// Exporte la classe
+window.SessionExporter = SessionExporter;
@@ -0,0 +1,136 @@
+/**
+ * Objectif du jour pour Focus Chronométré
+ * Mesure la progression vers un nombre de sessions ou de minutes de focus par jour,
+ * et les séries de jours où l'objectif a été atteint
+ *
+ * Tout est déduit de l'historique des sessions : changer d'objectif recalcule
+ * aussi les séries passées.
+ */
+
+// Types d'objectif
+const DAILY_GOAL_TYPES = {
+    NONE: 'none',
+    SESSIONS: 'sessions',   // sessions de focus terminées
+    MINUTES: 'minutes'      // minutes de focus, sessions passées et abandonnées comprises
+};
+
+// Bornes et valeur proposée de chaque type d'objectif
+const DAILY_GOAL_LIMITS = {
+    sessions: { min: 1, max: 50, suggested: 8 },
+    minutes: { min: 5, max: 1440, suggested: 200 }
+};
+
+/**
+ * Calculs de l'objectif du jour
+ */
+class DailyGoal {
+    /**
+     * Vérifie un objectif
+     * @param {string} type - Type d'objectif (DAILY_GOAL_TYPES)
+     * @param {number} target - Valeur visée par jour
+     * @returns {string|null} Message d'erreur ou null si valide
+     */
+    static validate(type, target) {
+        if (!Object.values(DAILY_GOAL_TYPES).includes(type)) {
+            return 'Type d\'objectif invalide';
+        }
+
+        if (type === DAILY_GOAL_TYPES.NONE) {
+            return null;
+        }
+
+        const { min, max } = DAILY_GOAL_LIMITS[type];
+        if (!Number.isInteger(target) || target < min || target > max) {
+            return `L'objectif doit être entre ${min} et ${max} ${type === DAILY_GOAL_TYPES.SESSIONS ? 'sessions' : 'minutes'}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Progression du jour et séries
+     * @param {SessionHistory} history - Historique des sessions
+     * @param {object} goal - { type, target }
+     * @param {Date|number} now - Date de référence
+     * @returns {object|null} { type, target, value, ratio (0 à 1), met, currentStreak, longestStreak },
+     *                        null sans objectif
+     */
+    static progress(history, { type, target }, now = Date.now()) {
+        if (type === DAILY_GOAL_TYPES.NONE) {
+            return null;
+        }
+
+        const totals = history.getDayTotals();
+        const today = SessionHistory.startOfDay(now);
+        const value = DailyGoal._valueOf(totals.get(today), type);
+
+        const metDays = Array.from(totals.entries())
+            .filter(([day, dayTotals]) => day <= today && DailyGoal._valueOf(dayTotals, type) >= target)
+            .map(([day]) => day)
+            .sort((a, b) => a - b);
+
+        return {
+            type,
+            target,
+            value,
+            ratio: Math.min(1, value / target),
+            met: value >= target,
+            ...DailyGoal._streaks(metDays, today)
+        };
+    }
+
+    /**
+     * Séries de jours consécutifs
+     * @param {Array<number>} metDays - Jours où l'objectif est atteint (minuit en ms, croissants)
+     * @param {number} today - Minuit aujourd'hui
+     * @returns {object} { currentStreak, longestStreak }
+     * @private
+     */
+    static _streaks(metDays, today) {
+        let longestStreak = 0;
+        let run = 0;
+        let previous = null;
+
+        metDays.forEach(day => {
+            run = previous !== null && DailyGoal._nextDay(previous) === day ? run + 1 : 1;
+            longestStreak = Math.max(longestStreak, run);
+            previous = day;
+        });
+
+        // La série en cours tient jusqu'à la fin de la journée, même si l'objectif n'est pas encore atteint
+        const last = metDays[metDays.length - 1];
+        const isAlive = last === today || (last !== undefined && DailyGoal._nextDay(last) === today);
+
+        return { currentStreak: isAlive ? run : 0, longestStreak };
+    }
+
+    /**
+     * Minuit du lendemain (les jours n'ont pas tous 24 heures)
+     * @param {number} day - Minuit en ms
+     * @returns {number}
+     * @private
+     */
+    static _nextDay(day) {
+        const next = new Date(day);
+        next.setDate(next.getDate() + 1);
+        return next.getTime();
+    }
+
+    /**
+     * Valeur d'une journée pour un type d'objectif
+     * @param {object|undefined} totals - { sessions, minutes } de la journée
+     * @param {string} type - Type d'objectif
+     * @returns {number}
+     * @private
+     */
+    static _valueOf(totals, type) {
+        if (!totals) {
+            return 0;
+        }
+
+        return type === DAILY_GOAL_TYPES.SESSIONS ? totals.sessions : totals.minutes;
+    }
+}
+
+// Exporte la classe
+window.DailyGoal = DailyGoal;
@@ -0,0 +1,299 @@
+/**
+ * Historique des sessions pour Focus Chronométré
+ * Chaque session terminée, passée ou abandonnée devient une entrée ; les compteurs
+ * du jour en sont déduits plutôt qu'enregistrés à part
+ *
+ * Entrée :
+ * {
+ *   id, mode ('focus', 'break', 'longBreak'), outcome ('completed', 'skipped', 'abandoned'),
+ *   start, end (ms), plannedDuration (s, null si inconnue), actualDuration (s),
+ *   adjustment (s ajoutées ou retirées), interruptions: [{ at, duration, reason, auto }],
+ *   profileId (null si inconnu), label (tâche du focus, null sans tâche ; absent des anciennes entrées),
+ *   legacy (true : reconstituée depuis d'anciens compteurs)
+ * }
+ */
+
+// Longueur maximale du libellé de tâche d'une session
+const TASK_LABEL_MAX_LENGTH = 60;
+
+// Issues possibles d'une session
+const SESSION_OUTCOMES = {
+    COMPLETED: 'completed',
+    SKIPPED: 'skipped',
+    ABANDONED: 'abandoned'
+};
+
+/**
+ * Journal des sessions, trié par heure de début
+ */
+class SessionHistory {
+    /**
+     * @param {Array} entries - Entrées déjà vérifiées
+     */
+    constructor(entries = []) {
+        this.entries = entries.slice().sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Vérifie une entrée
+     * @param {object} entry - Entrée à vérifier
+     * @returns {string|null} Message d'erreur ou null si valide
+     */
+    static validateEntry(entry) {
+        if (!entry || typeof entry.id !== 'string' || !entry.id) {
+            return 'Session sans identifiant';
+        }
+
+        if (!TIMER_MODES.includes(entry.mode)) {
+            return 'Mode de session invalide';
+        }
+
+        if (!Object.values(SESSION_OUTCOMES).includes(entry.outcome)) {
+            return 'Issue de session invalide';
+        }
+
+        if (!Number.isFinite(entry.start) || !Number.isFinite(entry.end) || entry.end < entry.start) {
+            return 'Horaires de session invalides';
+        }
+
+        if (!SessionHistory._isDuration(entry.actualDuration)
+            || (entry.plannedDuration !== null && !SessionHistory._isDuration(entry.plannedDuration))) {
+            return 'Durée de session invalide';
+        }
+
+        if (!Number.isFinite(entry.adjustment)) {
+            return 'Ajustement de session invalide';
+        }
+
+        if (!Array.isArray(entry.interruptions) || !entry.interruptions.every(item => item && Number.isFinite(item.at))) {
+            return 'Interruptions de session invalides';
+        }
+
+        if (entry.profileId !== null && typeof entry.profileId !== 'string') {
+            return 'Profil de session invalide';
+        }
+
+        if (entry.label !== undefined && entry.label !== null
+            && (typeof entry.label !== 'string' || !entry.label || entry.label.length > TASK_LABEL_MAX_LENGTH)) {
+            return 'Tâche de session invalide';
+        }
+
+        return null;
+    }
+
+    /**
+     * Crée une entrée à partir d'une session du chronomètre
+     * @param {string} mode - Mode de la session
+     * @param {string} outcome - Issue (SESSION_OUTCOMES)
+     * @param {object} session - { startedAt, endedAt (par défaut maintenant), plannedDuration, duration,
+     *                            adjustment, interruptions }
+     * @param {string|null} profileId - Profil actif
+     * @param {string|null} label - Tâche en cours ('' ou null sans tâche)
+     * @returns {object} Entrée
+     */
+    static createEntry(mode, outcome, session, profileId = null, label = null) {
+        const end = Number.isFinite(session.endedAt) ? session.endedAt : Date.now();
+        const actualDuration = Math.max(0, Math.round(session.duration));
+
+        // Session démarrée avant l'enregistrement de son heure de début (ancien instantané)
+        const start = Number.isFinite(session.startedAt)
+            ? Math.min(session.startedAt, end)
+            : end - actualDuration * 1000;
+
+        return {
+            id: `session-${start.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            mode,
+            outcome,
+            start,
+            end,
+            plannedDuration: Number.isFinite(session.plannedDuration) ? Math.max(0, session.plannedDuration) : null,
+            actualDuration,
+            adjustment: session.adjustment || 0,
+            interruptions: (session.interruptions || []).map(item => ({ ...item })),
+            profileId,
+            label: label || null
+        };
+    }
+
+    /**
+     * Réunit deux listes d'entrées, sans doublon (même identifiant)
+     * @param {Array} entries - Entrées existantes
+     * @param {Array} added - Entrées ajoutées
+     * @returns {Array} Entrées triées par heure de début
+     */
+    static merge(entries, added) {
+        const byId = new Map(entries.map(entry => [entry.id, entry]));
+        added.forEach(entry => byId.set(entry.id, entry));
+
+        return Array.from(byId.values()).sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Début du jour local d'une date
+     * @param {Date|number} date - Date ou heure en ms
+     * @returns {number} Minuit en ms
+     */
+    static startOfDay(date) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return day.getTime();
+    }
+
+    /**
+     * Ajoute une entrée
+     * @param {object} entry - Entrée vérifiée
+     */
+    add(entry) {
+        // Les sessions arrivent presque toujours dans l'ordre
+        let index = this.entries.length;
+        while (index > 0 && this.entries[index - 1].start > entry.start) {
+            index--;
+        }
+
+        this.entries.splice(index, 0, entry);
+    }
+
+    /**
+     * Entrées commencées dans une période
+     * @param {object} range - { from, to } en ms ou Date (début inclus, fin exclue, null = sans limite)
+     * @returns {Array} Copies des entrées
+     */
+    query({ from = null, to = null } = {}) {
+        const min = from === null ? -Infinity : +from;
+        const max = to === null ? Infinity : +to;
+
+        return this.entries
+            .filter(entry => entry.start >= min && entry.start < max)
+            .map(entry => ({ ...entry, interruptions: entry.interruptions.map(item => ({ ...item })) }));
+    }
+
+    /**
+     * Retire les entrées commencées dans une période
+     * @param {object} range - { from, to } comme pour query()
+     * @returns {number} Nombre d'entrées retirées
+     */
+    remove({ from = null, to = null } = {}) {
+        const min = from === null ? -Infinity : +from;
+        const max = to === null ? Infinity : +to;
+        const count = this.entries.length;
+
+        this.entries = this.entries.filter(entry => entry.start < min || entry.start >= max);
+
+        return count - this.entries.length;
+    }
+
+    /**
+     * Compteurs d'une journée, déduits des sessions de focus
+     * @param {Date|number} date - Jour concerné (par défaut aujourd'hui)
+     * @param {number|null} since - Ignore les sessions commencées avant (remise à zéro des compteurs)
+     * @returns {object} { sessionsToday, totalFocusTime (min), skippedToday, extendedToday,
+     *                     abandonedToday, interruptionsToday, interruptionReasons, profileSessions }
+     */
+    getDailyStats(date = Date.now(), since = null) {
+        const day = SessionHistory.startOfDay(date);
+        const from = since === null ? day : Math.max(day, since);
+        const to = new Date(day).setDate(new Date(day).getDate() + 1);
+
+        const stats = {
+            sessionsToday: 0,
+            totalFocusTime: 0,
+            skippedToday: 0,
+            extendedToday: 0,
+            abandonedToday: 0,
+            interruptionsToday: 0,
+            interruptionReasons: {},
+            profileSessions: {}
+        };
+
+        this.entries
+            .filter(entry => entry.mode === 'focus' && entry.start >= from && entry.start < to)
+            .forEach(entry => {
+                // Temps arrondi par session, comme les compteurs d'origine
+                stats.totalFocusTime += Math.round(entry.actualDuration / 60);
+                stats.interruptionsToday += entry.interruptions.length;
+                entry.interruptions.forEach(({ reason }) => {
+                    if (reason) {
+                        stats.interruptionReasons[reason] = (stats.interruptionReasons[reason] || 0) + 1;
+                    }
+                });
+
+                if (entry.outcome === SESSION_OUTCOMES.SKIPPED) {
+                    stats.skippedToday++;
+                } else if (entry.outcome === SESSION_OUTCOMES.ABANDONED) {
+                    stats.abandonedToday++;
+                } else {
+                    stats.sessionsToday++;
+                    if (entry.adjustment > 0) {
+                        stats.extendedToday++;
+                    }
+                    if (entry.profileId) {
+                        stats.profileSessions[entry.profileId] = (stats.profileSessions[entry.profileId] || 0) + 1;
+                    }
+                }
+            });
+
+        return stats;
+    }
+
+    /**
+     * Sessions terminées et minutes de focus de chaque jour, comptées comme getDailyStats()
+     * @returns {Map<number, object>} Minuit en ms → { sessions, minutes }
+     */
+    getDayTotals() {
+        const totals = new Map();
+
+        this.entries
+            .filter(entry => entry.mode === 'focus')
+            .forEach(entry => {
+                const day = SessionHistory.startOfDay(entry.start);
+                const dayTotals = totals.get(day) || { sessions: 0, minutes: 0 };
+
+                dayTotals.minutes += Math.round(entry.actualDuration / 60);
+                if (entry.outcome === SESSION_OUTCOMES.COMPLETED) {
+                    dayTotals.sessions++;
+                }
+                totals.set(day, dayTotals);
+            });
+
+        return totals;
+    }
+
+    /**
+     * Tâches des sessions, de la plus récente à la plus ancienne
+     * @param {number} limit - Nombre maximal de tâches
+     * @returns {Array<string>} Libellés distincts
+     */
+    getRecentLabels(limit = Infinity) {
+        const labels = [];
+
+        for (let index = this.entries.length - 1; index >= 0 && labels.length < limit; index--) {
+            const { label } = this.entries[index];
+            if (label && !labels.includes(label)) {
+                labels.push(label);
+            }
+        }
+
+        return labels;
+    }
+
+    /**
+     * Entrées à enregistrer
+     * @returns {Array}
+     */
+    toJSON() {
+        return this.entries;
+    }
+
+    /**
+     * Indique si une durée en secondes est valide
+     * @param {*} value - Valeur à tester
+     * @returns {boolean}
+     * @private
+     */
+    static _isDuration(value) {
+        return Number.isFinite(value) && value >= 0;
+    }
+}
+
+// Exporte la classe
+window.SessionHistory = SessionHistory;
@@ -6,6 +6,7 @@
 class HomepageManager {
     constructor() {
         this.themeToggle = document.getElementById('themeToggle');
+        this.storage = new StorageManager();
         this.init();
     }
 
@@ -32,11 +33,13 @@ class HomepageManager {
      * Initialise le thème
      */
     initTheme() {
-        // Récupère le thème sauvegardé ou utilise 'light' par défaut
-        const savedTheme = localStorage.getItem('theme') || 'light';
+        // Récupère le thème sauvegardé ou utilise 'light' par défaut, une fois les données chargées
+        this.storage.load().then(() => {
+            const savedTheme = this.storage.get('settings').theme || 'light';
 
-        // Applique le thème
-        this.setTheme(savedTheme);
+            // Applique le thème, déjà enregistré
+            this.setTheme(savedTheme, false);
+        });
 
         // Écoute le bouton de thème
         if (this.themeToggle) {
@@ -49,8 +52,10 @@ class HomepageManager {
 
     /**
      * Change le thème
+     * @param {string} theme - 'dark' ou 'light'
+     * @param {boolean} save - Enregistre le thème pour l'application
      */
-    setTheme(theme) {
+    setTheme(theme, save = true) {
         if (theme === 'dark') {
             document.body.classList.add('dark-mode');
             document.body.classList.remove('light-mode');
@@ -65,8 +70,10 @@ class HomepageManager {
             }
         }
 
-        // Sauvegarde dans localStorage
-        localStorage.setItem('theme', theme);
+        // Sauvegarde dans le document partagé avec l'application
+        if (save) {
+            this.storage.save({ settings: { ...this.storage.get('settings'), theme } });
+        }
 
         // Sauvegarde aussi dans un cookie pour partage entre pages
         document.cookie = `theme=${theme}; path=/; max-age=31536000`;
@@ -102,16 +109,10 @@ class HomepageManager {
      * Synchronise avec le thème de l'application
      */
     syncWithAppTheme() {
-        // Vérifie si un thème est déjà défini dans l'application
-        const appTheme = localStorage.getItem('theme');
-        if (appTheme) {
-            this.setTheme(appTheme);
-        }
-
         // Écoute les changements de thème depuis d'autres pages
-        window.addEventListener('storage', (e) => {
-            if (e.key === 'theme') {
-                this.setTheme(e.newValue);
+        this.storage.on('remoteChange', (sections) => {
+            if (sections.settings && sections.settings.theme) {
+                this.setTheme(sections.settings.theme, false);
             }
         });
     }
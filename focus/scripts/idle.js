@@ -0,0 +1,212 @@
+/**
+ * Détection d'inactivité pour Focus Chronométré
+ * Repère quand l'utilisateur s'éloigne : page masquée ou aucune saisie
+ */
+
+// Événements considérés comme une activité de l'utilisateur
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+// Dernière activité partagée entre les onglets
+const ACTIVITY_KEY = StorageManager.key('lastActivity');
+
+// Cadence de vérification et de partage de l'activité (ms)
+const IDLE_CHECK_INTERVAL = 5000;
+const ACTIVITY_SHARE_INTERVAL = 5000;
+
+/**
+ * Classe de surveillance de l'inactivité
+ *
+ * Événements (idle.on(nom, écouteur)) :
+ * - idle (since, cause) : inactif depuis l'horodatage since, cause 'hidden' ou 'inactive'
+ * - active (since) : retour après une inactivité commencée à since
+ */
+class IdleMonitor extends EventEmitter {
+    /**
+     * @param {number} thresholdMinutes - Durée sans activité avant de considérer l'utilisateur absent
+     */
+    constructor(thresholdMinutes) {
+        super();
+
+        this.threshold = thresholdMinutes * 60 * 1000;
+
+        // État de la surveillance
+        this.running = false;
+        this.lastActivity = Date.now();
+        this.lastShared = 0;
+        this.idleSince = null;
+        this.intervalId = null;
+
+        // Gestionnaires liés, pour pouvoir les retirer
+        this._handleActivity = () => this._markActive(Date.now());
+        this._handleVisibilityChange = () => this._onVisibilityChange();
+        this._handleStorage = (event) => {
+            if (event.key === ACTIVITY_KEY && this.idleSince !== null && this._readSharedActivity() > this.idleSince) {
+                this._markActive(this._readSharedActivity());
+            }
+        };
+    }
+
+    /**
+     * Démarre la surveillance
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        this.lastActivity = Date.now();
+        this.idleSince = null;
+
+        ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, this._handleActivity, { passive: true });
+        });
+        document.addEventListener('visibilitychange', this._handleVisibilityChange);
+        window.addEventListener('storage', this._handleStorage);
+
+        this.intervalId = setInterval(() => this._check(), IDLE_CHECK_INTERVAL);
+
+        console.log(`💤 Détection d'inactivité activée (${this.threshold / 60000} min)`);
+    }
+
+    /**
+     * Arrête la surveillance
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+
+        this.running = false;
+        this.idleSince = null;
+
+        ACTIVITY_EVENTS.forEach(type => {
+            document.removeEventListener(type, this._handleActivity);
+        });
+        document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+        window.removeEventListener('storage', this._handleStorage);
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+
+        console.log('💤 Détection d\'inactivité désactivée');
+    }
+
+    /**
+     * Change le délai d'inactivité
+     * @param {number} minutes - Durée sans activité avant de considérer l'utilisateur absent
+     */
+    setThreshold(minutes) {
+        this.threshold = minutes * 60 * 1000;
+    }
+
+    /**
+     * Indique si l'utilisateur est considéré comme absent
+     * @returns {boolean}
+     */
+    isIdle() {
+        return this.idleSince !== null;
+    }
+
+    /**
+     * Traite un changement de visibilité de la page
+     * @private
+     */
+    _onVisibilityChange() {
+        if (document.hidden) {
+            // Plus aucune saisie ne peut arriver : l'absence commence maintenant
+            this._shareActivity(Date.now(), true);
+            return;
+        }
+
+        // Les minuteries sont ralenties en arrière-plan : vérifie avant de noter le retour
+        this._check();
+        this._markActive(Date.now());
+    }
+
+    /**
+     * Note une activité et signale la fin d'une absence
+     * @param {number} timestamp - Moment de l'activité
+     * @private
+     */
+    _markActive(timestamp) {
+        this.lastActivity = Math.max(this.lastActivity, timestamp);
+        this._shareActivity(this.lastActivity);
+
+        if (this.idleSince === null) {
+            return;
+        }
+
+        const since = this.idleSince;
+        this.idleSince = null;
+
+        console.log('👋 Retour après une inactivité');
+        this.emit('active', since);
+    }
+
+    /**
+     * Vérifie si le délai d'inactivité est dépassé
+     * @private
+     */
+    _check() {
+        if (!this.running || this.idleSince !== null) {
+            return;
+        }
+
+        // Une activité dans un autre onglet compte aussi
+        const last = Math.max(this.lastActivity, this._readSharedActivity());
+
+        if (Date.now() - last < this.threshold) {
+            return;
+        }
+
+        this.idleSince = last;
+        const cause = document.hidden ? 'hidden' : 'inactive';
+
+        console.log(`💤 Inactif depuis ${new Date(last).toLocaleTimeString()} (${cause})`);
+        this.emit('idle', last, cause);
+    }
+
+    /**
+     * Partage la dernière activité avec les autres onglets (au plus toutes les quelques secondes)
+     * @param {number} timestamp - Moment de l'activité
+     * @param {boolean} force - Écrit même si le dernier partage est récent
+     * @private
+     */
+    _shareActivity(timestamp, force = false) {
+        if (!force && timestamp - this.lastShared < ACTIVITY_SHARE_INTERVAL) {
+            return;
+        }
+
+        this.lastShared = timestamp;
+
+        try {
+            localStorage.setItem(ACTIVITY_KEY, String(timestamp));
+        } catch (error) {
+            // Le partage est facultatif : la détection reste locale
+        }
+    }
+
+    /**
+     * Lit la dernière activité partagée par les onglets
+     * @returns {number} Horodatage (0 si inconnu)
+     * @private
+     */
+    _readSharedActivity() {
+        try {
+            return parseInt(localStorage.getItem(ACTIVITY_KEY)) || 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Nettoie la surveillance
+     */
+    destroy() {
+        this.stop();
+    }
+}
+
+// Exporte la classe
+window.IdleMonitor = IdleMonitor;
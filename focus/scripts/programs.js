@@ -0,0 +1,169 @@
+/**
+ * Programmes d'intervalles pour Focus Chronométré
+ * Décrit les enchaînements de phases au-delà du cycle Pomodoro classique
+ */
+
+// Types de phase
+const PHASE_KINDS = {
+    WORK: 'work',
+    REST: 'rest'
+};
+
+// Identifiant du cycle Pomodoro piloté par les durées des paramètres
+const POMODORO_PROGRAM_ID = 'pomodoro';
+
+// Limites de saisie
+const PHASE_MIN_DURATION = 1;   // minutes
+const PHASE_MAX_DURATION = 180; // minutes
+const PROGRAM_NAME_MAX_LENGTH = 40;
+
+// Programmes prédéfinis
+const PROGRAM_PRESETS = [
+    {
+        id: 'preset-52-17',
+        name: '52 / 17',
+        builtIn: true,
+        phases: [
+            { name: 'Travail', duration: 52, kind: PHASE_KINDS.WORK },
+            { name: 'Pause', duration: 17, kind: PHASE_KINDS.REST }
+        ]
+    },
+    {
+        id: 'preset-ultradian',
+        name: 'Ultradien 90 / 20',
+        builtIn: true,
+        phases: [
+            { name: 'Bloc profond', duration: 90, kind: PHASE_KINDS.WORK },
+            { name: 'Récupération', duration: 20, kind: PHASE_KINDS.REST }
+        ]
+    },
+    {
+        id: 'preset-3x25-30',
+        name: '3 × 25 puis 30',
+        builtIn: true,
+        phases: [
+            { name: 'Focus', duration: 25, kind: PHASE_KINDS.WORK },
+            { name: 'Pause', duration: 5, kind: PHASE_KINDS.REST },
+            { name: 'Focus', duration: 25, kind: PHASE_KINDS.WORK },
+            { name: 'Pause', duration: 5, kind: PHASE_KINDS.REST },
+            { name: 'Focus', duration: 25, kind: PHASE_KINDS.WORK },
+            { name: 'Pause longue', duration: 30, kind: PHASE_KINDS.REST }
+        ]
+    }
+];
+
+/**
+ * Utilitaires de manipulation des programmes
+ */
+class ProgramLibrary {
+    /**
+     * Récupère une copie des programmes prédéfinis
+     * @returns {Array} Programmes prédéfinis
+     */
+    static getPresets() {
+        return PROGRAM_PRESETS.map(program => ProgramLibrary.clone(program));
+    }
+
+    /**
+     * Crée un nouveau programme personnalisé
+     * @param {string} name - Nom du programme
+     * @returns {object} Programme avec une phase de travail et une pause
+     */
+    static createProgram(name = 'Mon programme') {
+        return {
+            id: `custom-${Date.now().toString(36)}`,
+            name,
+            builtIn: false,
+            phases: [
+                { name: 'Travail', duration: 25, kind: PHASE_KINDS.WORK },
+                { name: 'Pause', duration: 5, kind: PHASE_KINDS.REST }
+            ]
+        };
+    }
+
+    /**
+     * Copie profonde d'un programme
+     * @param {object} program - Programme à copier
+     * @returns {object} Copie indépendante
+     */
+    static clone(program) {
+        return {
+            ...program,
+            phases: program.phases.map(phase => ({ ...phase }))
+        };
+    }
+
+    /**
+     * Vérifie une phase
+     * @param {object} phase - Phase à vérifier
+     * @returns {string|null} Message d'erreur ou null si valide
+     */
+    static validatePhase(phase) {
+        if (!phase || typeof phase.name !== 'string' || !phase.name.trim()) {
+            return 'Chaque phase doit avoir un nom';
+        }
+
+        if (!Number.isInteger(phase.duration) ||
+            phase.duration < PHASE_MIN_DURATION ||
+            phase.duration > PHASE_MAX_DURATION) {
+            return `La durée de « ${phase.name} » doit être entre ${PHASE_MIN_DURATION} et ${PHASE_MAX_DURATION} minutes`;
+        }
+
+        if (phase.kind !== PHASE_KINDS.WORK && phase.kind !== PHASE_KINDS.REST) {
+            return `Type de phase invalide pour « ${phase.name} »`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Vérifie un programme complet
+     * @param {object} program - Programme à vérifier
+     * @returns {string|null} Message d'erreur ou null si valide
+     */
+    static validateProgram(program) {
+        if (!program || typeof program.id !== 'string' || !program.id) {
+            return 'Programme sans identifiant';
+        }
+
+        if (typeof program.name !== 'string' || !program.name.trim()) {
+            return 'Le programme doit avoir un nom';
+        }
+
+        if (program.name.length > PROGRAM_NAME_MAX_LENGTH) {
+            return `Le nom du programme ne doit pas dépasser ${PROGRAM_NAME_MAX_LENGTH} caractères`;
+        }
+
+        if (!Array.isArray(program.phases) || program.phases.length === 0) {
+            return 'Le programme doit contenir au moins une phase';
+        }
+
+        // Chaque phase d'abord : une phase absente (null) est rejetée, pas une exception
+        for (const phase of program.phases) {
+            const error = ProgramLibrary.validatePhase(phase);
+            if (error) {
+                return error;
+            }
+        }
+
+        if (!program.phases.some(phase => phase.kind === PHASE_KINDS.WORK)) {
+            return 'Le programme doit contenir au moins une phase de travail';
+        }
+
+        return null;
+    }
+
+    /**
+     * Convertit le type d'une phase en mode du chronomètre
+     * @param {object} phase - Phase concernée
+     * @returns {string} 'focus' ou 'break'
+     */
+    static getPhaseMode(phase) {
+        return phase.kind === PHASE_KINDS.WORK ? 'focus' : 'break';
+    }
+}
+
+// Exporte les utilitaires
+window.ProgramLibrary = ProgramLibrary;
+window.PHASE_KINDS = PHASE_KINDS;
+window.POMODORO_PROGRAM_ID = POMODORO_PROGRAM_ID;
@@ -3,129 +3,335 @@
  * Gère le stockage local et les préférences utilisateur
  */
 
-// Clés pour le localStorage
-const STORAGE_KEYS = {
-    FOCUS_DURATION: 'focusDuration',
-    BREAK_DURATION: 'breakDuration',
-    SOUND_ENABLED: 'soundEnabled',
-    THEME: 'theme',
-    STATS: 'focusStats'
+// Paramètres propres à chaque profil (durées, son et enchaînement du cycle)
+const PROFILE_KEYS = ['focusDuration', 'breakDuration', 'longBreakDuration', 'cyclesBeforeLongBreak',
+    'soundEnabled', 'autoStartBreaks', 'autoStartFocus'];
+
+// Nombre de tâches récentes proposées à la saisie
+const RECENT_LABELS_COUNT = 20;
+
+// Profil créé à partir des paramètres existants
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'Par défaut';
+const PROFILE_NAME_MAX_LENGTH = 40;
+
+// Règles de validation des paramètres, partagées par les setters, le chargement et l'import
+const SETTING_RULES = {
+    focusDuration: value => typeof value === 'number' && value >= 1 && value <= 120,
+    breakDuration: value => typeof value === 'number' && value >= 1 && value <= 30,
+    longBreakDuration: value => typeof value === 'number' && value >= 5 && value <= 60,
+    cyclesBeforeLongBreak: value => Number.isInteger(value) && value >= 2 && value <= 10,
+    soundEnabled: value => typeof value === 'boolean',
+    autoStartBreaks: value => typeof value === 'boolean',
+    autoStartFocus: value => typeof value === 'boolean',
+    overtimeEnabled: value => typeof value === 'boolean',
+    countMode: value => Object.values(COUNT_MODES).includes(value),
+    targetTime: value => typeof value === 'string' && CLOCK_TIME_PATTERN.test(value),
+    autoPauseEnabled: value => typeof value === 'boolean',
+    idleThreshold: value => Number.isInteger(value) && value >= 1 && value <= 60,
+    dailyGoalType: value => Object.values(DAILY_GOAL_TYPES).includes(value),
+    dailyGoalTarget: value => Number.isInteger(value) && value >= 1 && value <= DAILY_GOAL_LIMITS.minutes.max,
+    taskLabel: value => typeof value === 'string' && value.length <= TASK_LABEL_MAX_LENGTH,
+    programs: value => Array.isArray(value),
+    activeProgramId: value => typeof value === 'string' && value !== '',
+    profiles: value => Array.isArray(value) && value.length > 0,
+    activeProfileId: value => typeof value === 'string' && value !== '',
+    theme: value => value === 'dark' || value === 'light'
+};
+
+// Règles de validation de l'historique importé
+const HISTORY_RULES = {
+    sessions: value => Array.isArray(value)
+};
+
+// Sections d'une sauvegarde que l'utilisateur peut choisir d'importer, avec leurs règles
+const IMPORT_SECTIONS = {
+    preferences: SETTING_RULES,
+    history: HISTORY_RULES
+};
+
+// Validation élément par élément des listes importées
+const IMPORT_LIST_VALIDATORS = {
+    programs: program => ProgramLibrary.validateProgram(program),
+    profiles: profile => SettingsManager.validateProfile(profile),
+    sessions: entry => SessionHistory.validateEntry(entry)
 };
 
+// Champs descriptifs d'une sauvegarde, ignorés à l'import
+const EXPORT_META_KEYS = ['app', 'version', 'exportedAt'];
+
 /**
  * Classe de gestion des paramètres
+ *
+ * Les statistiques du jour (settings.stats) sont déduites de l'historique des sessions.
+ *
+ * Événements (settings.on(nom, écouteur)) :
+ * - change (key, newValue, oldValue), dont 'stats' quand l'historique change
+ *   et 'dailyGoal' ({ type, target }) quand l'objectif du jour change
+ * - settingsImported (importedKeys, sections)
  */
-class SettingsManager {
-    constructor() {
+class SettingsManager extends EventEmitter {
+    /**
+     * @param {object} options - { storage } (par défaut un StorageManager sur le support du navigateur)
+     */
+    constructor({ storage = new StorageManager() } = {}) {
+        super({ change: 'onSettingsChange' });
+
         // Valeurs par défaut
         this.defaults = {
             focusDuration: 25,    // minutes
             breakDuration: 5,     // minutes
+            longBreakDuration: 15, // minutes
+            cyclesBeforeLongBreak: 4,
             soundEnabled: true,
+            autoStartBreaks: false,
+            autoStartFocus: false,
+            overtimeEnabled: false,
+            countMode: COUNT_MODES.COUNTDOWN,
+            targetTime: '12:00',  // heure visée en mode 'target'
+            autoPauseEnabled: false,
+            idleThreshold: 5,     // minutes d'absence avant la pause automatique
+            dailyGoalType: DAILY_GOAL_TYPES.NONE,
+            dailyGoalTarget: DAILY_GOAL_LIMITS.sessions.suggested, // sessions ou minutes par jour
+            taskLabel: '',        // tâche en cours, attachée aux sessions de focus ('' = aucune)
+            programs: [],         // programmes personnalisés
+            activeProgramId: POMODORO_PROGRAM_ID,
+            profiles: [],         // profils nommés (créés au chargement si absents)
+            activeProfileId: DEFAULT_PROFILE_ID,
             theme: 'dark',
-            stats: {
+            stats: {              // déduites de l'historique, jamais enregistrées
                 sessionsToday: 0,
                 totalFocusTime: 0,
-                lastResetDate: null
+                skippedToday: 0,   // sessions de focus passées avant la fin
+                extendedToday: 0,  // sessions de focus terminées avec du temps ajouté
+                abandonedToday: 0, // sessions de focus réinitialisées avant la fin
+                interruptionsToday: 0,
+                interruptionReasons: {}, // nombre d'interruptions par raison
+                profileSessions: {}      // nombre de sessions terminées par profil
             }
         };
 
         // État actuel des paramètres
         this.settings = { ...this.defaults };
 
-        // Callbacks pour les changements
+        // Sessions terminées, passées ou abandonnées
+        this.history = new SessionHistory();
+
+        // Document persistant (chargé par load)
+        this.storage = storage;
+
+        // Paramètres remplacés pour la visite seulement : clé → { saved, value }
+        this.visitOverrides = {};
+
+        // Callback historique pour les changements (préférer settings.on('change'))
         this.onSettingsChange = null;
+    }
 
-        // Initialisation
-        this._init();
+    /**
+     * Charge le document persistant, l'historique, puis les paramètres
+     * @returns {Promise} Résolue quand les paramètres sont prêts
+     */
+    load() {
+        return this.storage.load()
+            .then(() => this.storage.loadHistory())
+            .then(entries => this._init(entries));
     }
 
     /**
      * Initialisation du gestionnaire
+     * @param {Array} entries - Sessions enregistrées
      * @private
      */
-    _init() {
-        this._loadSettings();
-        this._checkStatsReset();
+    _init(entries) {
+        this._loadSettings(entries);
+
+        // Recharge les paramètres modifiés par un autre onglet ou la page d'accueil
+        this._handleRemoteChange = (sections) => {
+            if (sections.settings) {
+                this._reloadSettings();
+            }
+
+            // Les compteurs du jour dépendent aussi de leur remise à zéro
+            if (sections.app) {
+                this._refreshStats();
+            }
+        };
+        this.storage.on('remoteChange', this._handleRemoteChange);
+
+        // Reporte les sessions enregistrées ou effacées par un autre onglet
+        this._handleRemoteHistoryChange = (change) => {
+            this._applyHistoryChange(change).then(() => this._refreshStats());
+        };
+        this.storage.on('remoteHistoryChange', this._handleRemoteHistoryChange);
+
         console.log('⚙️ Gestionnaire de paramètres initialisé');
     }
 
     /**
-     * Charge les paramètres depuis le localStorage
+     * Charge les paramètres et l'historique depuis le document persistant
+     * @param {Array} entries - Sessions enregistrées
      * @private
      */
-    _loadSettings() {
-        try {
-            // Charge chaque paramètre
-            const focusDuration = localStorage.getItem(STORAGE_KEYS.FOCUS_DURATION);
-            const breakDuration = localStorage.getItem(STORAGE_KEYS.BREAK_DURATION);
-            const soundEnabled = localStorage.getItem(STORAGE_KEYS.SOUND_ENABLED);
-            const theme = localStorage.getItem(STORAGE_KEYS.THEME);
-            const stats = localStorage.getItem(STORAGE_KEYS.STATS);
-
-            // Applique les paramètres chargés
-            if (focusDuration !== null) {
-                this.settings.focusDuration = parseInt(focusDuration);
+    _loadSettings(entries) {
+        this._readSettings();
+
+        this.history = new SessionHistory(this._recoverHistory(entries));
+        this.settings.stats = this._getDailyStats();
+
+        console.log(`📂 Paramètres chargés (${this.storage.getAdapterName()})`);
+    }
+
+    /**
+     * Recharge les paramètres enregistrés ailleurs, sans quoi la prochaine sauvegarde les écraserait
+     *
+     * Les paramètres propres à la visite gardent leur valeur ; seule leur valeur enregistrée change.
+     * @private
+     */
+    _reloadSettings() {
+        const oldSettings = { ...this.settings };
+        this.settings = { ...this.defaults, stats: oldSettings.stats };
+        this._readSettings();
+
+        Object.entries(this.visitOverrides).forEach(([key, override]) => {
+            override.saved = this.settings[key];
+            this.settings[key] = override.value;
+        });
+
+        console.log('📂 Paramètres rechargés (modifiés ailleurs)');
+
+        // Notifie les changements (les listes sont recréées à chaque lecture)
+        Object.keys(SETTING_RULES).forEach(key => {
+            if (JSON.stringify(this.settings[key]) !== JSON.stringify(oldSettings[key])) {
+                this._notifyChange(key, this.settings[key], oldSettings[key]);
             }
+        });
+    }
 
-            if (breakDuration !== null) {
-                this.settings.breakDuration = parseInt(breakDuration);
+    /**
+     * Lit les paramètres du document persistant
+     *
+     * Chaque champ est vérifié séparément : un champ absent ou invalide reprend
+     * sa valeur par défaut sans emporter les autres.
+     * @private
+     */
+    _readSettings() {
+        const saved = this.storage.get('settings');
+
+        Object.keys(SETTING_RULES).forEach(key => {
+            if (saved[key] === undefined) {
+                return;
             }
 
-            if (soundEnabled !== null) {
-                this.settings.soundEnabled = soundEnabled === 'true';
+            if (SETTING_RULES[key](saved[key])) {
+                this.settings[key] = saved[key];
+            } else {
+                console.warn(`⚠️ Paramètre ${key} invalide, valeur par défaut conservée:`, saved[key]);
             }
+        });
 
-            if (theme !== null) {
-                this.settings.theme = theme;
+        // Écarte les programmes personnalisés invalides sans perdre les autres
+        this.settings.programs = this.settings.programs.filter(program => {
+            const error = ProgramLibrary.validateProgram(program);
+            if (error) {
+                console.warn('⚠️ Programme enregistré invalide ignoré:', error);
             }
+            return !error;
+        });
 
-            if (stats !== null) {
-                this.settings.stats = JSON.parse(stats);
+        // Complète les profils incomplets avec les paramètres chargés
+        this.settings.profiles = this.settings.profiles
+            .map(profile => this._recoverProfile(profile))
+            .filter(profile => profile !== null);
+        this._ensureActiveProfile();
+    }
+
+    /**
+     * Écarte les entrées d'historique invalides sans perdre les autres
+     * @param {Array} saved - Entrées enregistrées
+     * @returns {Array} Entrées valides
+     * @private
+     */
+    _recoverHistory(saved) {
+        return saved.filter(entry => {
+            const error = SessionHistory.validateEntry(entry);
+            if (error) {
+                console.warn('⚠️ Session enregistrée invalide ignorée:', error);
             }
+            return !error;
+        });
+    }
 
-            console.log('📂 Paramètres chargés depuis le localStorage');
-        } catch (error) {
-            console.error('❌ Erreur lors du chargement des paramètres:', error);
-            // Réinitialise aux valeurs par défaut en cas d'erreur
-            this.settings = { ...this.defaults };
-        }
+    /**
+     * Sauvegarde les paramètres dans le document persistant
+     * @param {string[]} chosenKeys - Paramètres que l'utilisateur vient de choisir : ils ne sont plus
+     *                                propres à la visite, même si leur valeur n'a pas changé
+     * @private
+     */
+    _saveSettings(chosenKeys = []) {
+        chosenKeys.forEach(key => {
+            delete this.visitOverrides[key];
+        });
+
+        // Le profil actif suit les paramètres modifiés (sans ceux de la visite)
+        this._ensureActiveProfile();
+        const persisted = this._getPersistedSettings();
+        this._syncActiveProfile(persisted);
+
+        const { stats, ...settings } = { ...persisted, profiles: this.settings.profiles };
+
+        this.storage.save({ settings }).then(saved => {
+            if (saved) {
+                console.log('💾 Paramètres sauvegardés');
+            }
+        });
     }
 
     /**
-     * Sauvegarde les paramètres dans le localStorage
+     * Reporte dans l'historique en mémoire une modification faite par un autre onglet
+     * @param {object} change - { added }, { removed: { from, to } } ou { replaced: true }
+     * @returns {Promise} Résolue une fois l'historique à jour
      * @private
      */
-    _saveSettings() {
-        try {
-            localStorage.setItem(STORAGE_KEYS.FOCUS_DURATION, this.settings.focusDuration);
-            localStorage.setItem(STORAGE_KEYS.BREAK_DURATION, this.settings.breakDuration);
-            localStorage.setItem(STORAGE_KEYS.SOUND_ENABLED, this.settings.soundEnabled);
-            localStorage.setItem(STORAGE_KEYS.THEME, this.settings.theme);
-            localStorage.setItem(STORAGE_KEYS.STATS, JSON.stringify(this.settings.stats));
+    _applyHistoryChange(change) {
+        if (Array.isArray(change.added)) {
+            const known = new Set(this.history.entries.map(entry => entry.id));
+            this._recoverHistory(change.added)
+                .filter(entry => !known.has(entry.id))
+                .forEach(entry => this.history.add(entry));
+            return Promise.resolve();
+        }
 
-            console.log('💾 Paramètres sauvegardés dans le localStorage');
-        } catch (error) {
-            console.error('❌ Erreur lors de la sauvegarde des paramètres:', error);
+        if (change.removed) {
+            this.history.remove(change.removed);
+            return Promise.resolve();
         }
+
+        // Historique remplacé (import) : relu depuis le magasin
+        return this.storage.loadHistory().then(entries => {
+            this.history = new SessionHistory(this._recoverHistory(entries));
+        });
     }
 
     /**
-     * Vérifie et réinitialise les statistiques si nécessaire
+     * Compteurs du jour, depuis leur dernière remise à zéro
+     * @returns {object} Statistiques du jour
      * @private
      */
-    _checkStatsReset() {
-        const today = new Date().toDateString();
-        const lastResetDate = this.settings.stats.lastResetDate;
+    _getDailyStats() {
+        const { statsResetAt } = this.storage.get('app');
+        return this.history.getDailyStats(Date.now(), Number.isFinite(statsResetAt) ? statsResetAt : null);
+    }
 
-        // Réinitialise les statistiques si c'est un nouveau jour
-        if (lastResetDate !== today) {
-            this.settings.stats.sessionsToday = 0;
-            this.settings.stats.totalFocusTime = 0;
-            this.settings.stats.lastResetDate = today;
-            this._saveSettings();
+    /**
+     * Recalcule les statistiques du jour à partir de l'historique
+     * @private
+     */
+    _refreshStats() {
+        const oldValue = this.settings.stats;
+        this.settings.stats = this._getDailyStats();
 
-            console.log('📊 Statistiques réinitialisées pour le nouveau jour');
+        if (JSON.stringify(this.settings.stats) !== JSON.stringify(oldValue)) {
+            this._notifyChange('stats', this.settings.stats, oldValue);
         }
     }
 
@@ -134,14 +340,14 @@ class SettingsManager {
      * @param {number} minutes - Durée en minutes
      */
     setFocusDuration(minutes) {
-        if (minutes < 1 || minutes > 120) {
+        if (!SETTING_RULES.focusDuration(minutes)) {
             console.error('Durée de focus invalide:', minutes);
             return false;
         }
 
         const oldValue = this.settings.focusDuration;
         this.settings.focusDuration = minutes;
-        this._saveSettings();
+        this._saveSettings(['focusDuration']);
 
         // Notifie le changement
         this._notifyChange('focusDuration', minutes, oldValue);
@@ -154,14 +360,14 @@ class SettingsManager {
      * @param {number} minutes - Durée en minutes
      */
     setBreakDuration(minutes) {
-        if (minutes < 1 || minutes > 30) {
+        if (!SETTING_RULES.breakDuration(minutes)) {
             console.error('Durée de pause invalide:', minutes);
             return false;
         }
 
         const oldValue = this.settings.breakDuration;
         this.settings.breakDuration = minutes;
-        this._saveSettings();
+        this._saveSettings(['breakDuration']);
 
         // Notifie le changement
         this._notifyChange('breakDuration', minutes, oldValue);
@@ -169,6 +375,46 @@ class SettingsManager {
         return true;
     }
 
+    /**
+     * Définit la durée de la pause longue
+     * @param {number} minutes - Durée en minutes
+     */
+    setLongBreakDuration(minutes) {
+        if (!SETTING_RULES.longBreakDuration(minutes)) {
+            console.error('Durée de pause longue invalide:', minutes);
+            return false;
+        }
+
+        const oldValue = this.settings.longBreakDuration;
+        this.settings.longBreakDuration = minutes;
+        this._saveSettings(['longBreakDuration']);
+
+        // Notifie le changement
+        this._notifyChange('longBreakDuration', minutes, oldValue);
+
+        return true;
+    }
+
+    /**
+     * Définit le nombre de cycles avant une pause longue
+     * @param {number} count - Nombre de sessions de focus par série
+     */
+    setCyclesBeforeLongBreak(count) {
+        if (!SETTING_RULES.cyclesBeforeLongBreak(count)) {
+            console.error('Nombre de cycles invalide:', count);
+            return false;
+        }
+
+        const oldValue = this.settings.cyclesBeforeLongBreak;
+        this.settings.cyclesBeforeLongBreak = count;
+        this._saveSettings(['cyclesBeforeLongBreak']);
+
+        // Notifie le changement
+        this._notifyChange('cyclesBeforeLongBreak', count, oldValue);
+
+        return true;
+    }
+
     /**
      * Active ou désactive le son
      * @param {boolean} enabled - État du son
@@ -176,7 +422,7 @@ class SettingsManager {
     setSoundEnabled(enabled) {
         const oldValue = this.settings.soundEnabled;
         this.settings.soundEnabled = enabled;
-        this._saveSettings();
+        this._saveSettings(['soundEnabled']);
 
         // Notifie le changement
         this._notifyChange('soundEnabled', enabled, oldValue);
@@ -185,134 +431,1100 @@ class SettingsManager {
     }
 
     /**
-     * Définit le thème
-     * @param {string} theme - 'dark' ou 'light'
+     * Active ou désactive le démarrage automatique des pauses
+     * @param {boolean} enabled - État du démarrage automatique
      */
-    setTheme(theme) {
-        if (theme !== 'dark' && theme !== 'light') {
-            console.error('Thème invalide:', theme);
+    setAutoStartBreaks(enabled) {
+        const oldValue = this.settings.autoStartBreaks;
+        this.settings.autoStartBreaks = enabled;
+        this._saveSettings(['autoStartBreaks']);
+
+        // Notifie le changement
+        this._notifyChange('autoStartBreaks', enabled, oldValue);
+
+        return true;
+    }
+
+    /**
+     * Active ou désactive le démarrage automatique des sessions de focus
+     * @param {boolean} enabled - État du démarrage automatique
+     */
+    setAutoStartFocus(enabled) {
+        const oldValue = this.settings.autoStartFocus;
+        this.settings.autoStartFocus = enabled;
+        this._saveSettings(['autoStartFocus']);
+
+        // Notifie le changement
+        this._notifyChange('autoStartFocus', enabled, oldValue);
+
+        return true;
+    }
+
+    /**
+     * Active ou désactive la prolongation des sessions de focus
+     * @param {boolean} enabled - État de la prolongation
+     */
+    setOvertimeEnabled(enabled) {
+        const oldValue = this.settings.overtimeEnabled;
+        this.settings.overtimeEnabled = enabled;
+        this._saveSettings(['overtimeEnabled']);
+
+        // Notifie le changement
+        this._notifyChange('overtimeEnabled', enabled, oldValue);
+
+        return true;
+    }
+
+    /**
+     * Choisit comment compter les sessions de focus
+     * @param {string} countMode - 'countdown', 'target' ou 'stopwatch'
+     */
+    setCountMode(countMode) {
+        if (!SETTING_RULES.countMode(countMode)) {
+            console.error('Façon de compter invalide:', countMode);
             return false;
         }
 
-        const oldValue = this.settings.theme;
-        this.settings.theme = theme;
-        this._saveSettings();
+        const oldValue = this.settings.countMode;
+        this.settings.countMode = countMode;
+        this._saveSettings(['countMode']);
 
         // Notifie le changement
-        this._notifyChange('theme', theme, oldValue);
+        this._notifyChange('countMode', countMode, oldValue);
 
         return true;
     }
 
     /**
-     * Incrémente le nombre de sessions
+     * Définit l'heure visée par les sessions de focus en mode 'target'
+     * @param {string} targetTime - Heure au format 'HH:MM'
      */
-    incrementSessions() {
-        this.settings.stats.sessionsToday++;
-        this._saveSettings();
+    setTargetTime(targetTime) {
+        if (!SETTING_RULES.targetTime(targetTime)) {
+            console.error('Heure visée invalide:', targetTime);
+            return false;
+        }
+
+        const oldValue = this.settings.targetTime;
+        this.settings.targetTime = targetTime;
+        this._saveSettings(['targetTime']);
+
+        // Notifie le changement
+        this._notifyChange('targetTime', targetTime, oldValue);
 
-        console.log(`📈 Session ajoutée. Total: ${this.settings.stats.sessionsToday}`);
+        return true;
     }
 
     /**
-     * Ajoute du temps de focus aux statistiques
-     * @param {number} minutes - Temps en minutes
+     * Active ou désactive la pause automatique en cas d'absence
+     * @param {boolean} enabled - État de la pause automatique
      */
-    addFocusTime(minutes) {
-        this.settings.stats.totalFocusTime += minutes;
-        this._saveSettings();
+    setAutoPauseEnabled(enabled) {
+        const oldValue = this.settings.autoPauseEnabled;
+        this.settings.autoPauseEnabled = enabled;
+        this._saveSettings(['autoPauseEnabled']);
+
+        // Notifie le changement
+        this._notifyChange('autoPauseEnabled', enabled, oldValue);
 
-        console.log(`⏱️ ${minutes} minutes ajoutées aux statistiques`);
+        return true;
     }
 
     /**
-     * Notifie les observateurs d'un changement
-     * @private
+     * Définit la durée d'absence avant la pause automatique
+     * @param {number} minutes - Durée en minutes
      */
-    _notifyChange(key, newValue, oldValue) {
-        if (this.onSettingsChange) {
-            this.onSettingsChange(key, newValue, oldValue);
+    setIdleThreshold(minutes) {
+        if (!SETTING_RULES.idleThreshold(minutes)) {
+            console.error('Délai d\'inactivité invalide:', minutes);
+            return false;
         }
+
+        const oldValue = this.settings.idleThreshold;
+        this.settings.idleThreshold = minutes;
+        this._saveSettings(['idleThreshold']);
+
+        // Notifie le changement
+        this._notifyChange('idleThreshold', minutes, oldValue);
+
+        return true;
     }
 
     /**
-     * Récupère les paramètres actuels
-     * @returns {object} Paramètres actuels
+     * Définit l'objectif du jour
+     * @param {string} type - Type d'objectif (DAILY_GOAL_TYPES)
+     * @param {number} target - Sessions ou minutes par jour (conservé tel quel sans objectif)
      */
-    getSettings() {
-        return { ...this.settings };
+    setDailyGoal(type, target = this.settings.dailyGoalTarget) {
+        const error = DailyGoal.validate(type, target);
+        if (error) {
+            console.error('Objectif du jour invalide:', error);
+            return false;
+        }
+
+        const oldValue = this.getDailyGoal();
+        this.settings.dailyGoalType = type;
+        if (type !== DAILY_GOAL_TYPES.NONE) {
+            this.settings.dailyGoalTarget = target;
+        }
+        this._saveSettings(['dailyGoalType', 'dailyGoalTarget']);
+
+        // Notifie le changement
+        this._notifyChange('dailyGoal', this.getDailyGoal(), oldValue);
+
+        return true;
     }
 
     /**
-     * Récupère une valeur spécifique
-     * @param {string} key - Clé du paramètre
-     * @returns {*} Valeur du paramètre
+     * Récupère l'objectif du jour
+     * @returns {object} { type, target }
      */
-    getSetting(key) {
-        return this.settings[key];
+    getDailyGoal() {
+        return { type: this.settings.dailyGoalType, target: this.settings.dailyGoalTarget };
     }
 
     /**
-     * Réinitialise tous les paramètres aux valeurs par défaut
+     * Progression vers l'objectif du jour et séries de jours où il a été atteint
+     * @param {Date|number} now - Date de référence
+     * @returns {object|null} Voir DailyGoal.progress(), null sans objectif
      */
-    resetToDefaults() {
-        const oldSettings = { ...this.settings };
-        this.settings = { ...this.defaults };
-        this._saveSettings();
-
-        console.log('🔄 Paramètres réinitialisés aux valeurs par défaut');
+    getGoalProgress(now = Date.now()) {
+        return DailyGoal.progress(this.history, this.getDailyGoal(), now);
+    }
 
-        // Notifie tous les changements
-        if (this.onSettingsChange) {
-            Object.keys(this.settings).forEach(key => {
-                this.onSettingsChange(key, this.settings[key], oldSettings[key]);
-            });
+    /**
+     * Définit la tâche en cours
+     * @param {string} label - Libellé ('' pour aucune tâche)
+     */
+    setTaskLabel(label) {
+        const trimmed = typeof label === 'string' ? label.trim() : label;
+        if (!SETTING_RULES.taskLabel(trimmed)) {
+            console.error('Tâche invalide:', label);
+            return false;
         }
 
+        const oldValue = this.settings.taskLabel;
+        this.settings.taskLabel = trimmed;
+        this._saveSettings(['taskLabel']);
+
+        // Notifie le changement
+        this._notifyChange('taskLabel', trimmed, oldValue);
+
         return true;
     }
 
     /**
-     * Exporte les paramètres sous forme de JSON
-     * @returns {string} JSON des paramètres
+     * Tâches des dernières sessions, pour les proposer à nouveau
+     * @param {number} limit - Nombre maximal de tâches
+     * @returns {Array<string>} Libellés, du plus récent au plus ancien
      */
-    exportSettings() {
-        return JSON.stringify(this.settings, null, 2);
+    getRecentLabels(limit = RECENT_LABELS_COUNT) {
+        return this.history.getRecentLabels(limit);
     }
 
     /**
-     * Importe des paramètres depuis du JSON
-     * @param {string} jsonString - JSON des paramètres
+     * Récupère tous les programmes disponibles (prédéfinis puis personnalisés)
+     * @returns {Array} Programmes
      */
-    importSettings(jsonString) {
-        try {
-            const importedSettings = JSON.parse(jsonString);
-            const oldSettings = { ...this.settings };
+    getPrograms() {
+        return [
+            ...ProgramLibrary.getPresets(),
+            ...this.settings.programs.map(program => ProgramLibrary.clone(program))
+        ];
+    }
 
-            // Fusionne les paramètres importés avec les paramètres actuels
-            this.settings = { ...this.settings, ...importedSettings };
-            this._saveSettings();
+    /**
+     * Récupère un programme par son identifiant
+     * @param {string} id - Identifiant du programme
+     * @returns {object|null} Programme ou null s'il n'existe pas
+     */
+    getProgram(id) {
+        return this.getPrograms().find(program => program.id === id) || null;
+    }
 
-            console.log('📤 Paramètres importés avec succès');
+    /**
+     * Récupère le programme actif
+     * @returns {object|null} Programme actif ou null pour le cycle Pomodoro classique
+     */
+    getActiveProgram() {
+        if (this.settings.activeProgramId === POMODORO_PROGRAM_ID) {
+            return null;
+        }
 
-            // Notifie les changements
-            if (this.onSettingsChange) {
-                Object.keys(importedSettings).forEach(key => {
-                    this.onSettingsChange(key, this.settings[key], oldSettings[key]);
-                });
-            }
+        return this.getProgram(this.settings.activeProgramId);
+    }
 
-            return true;
-        } catch (error) {
-            console.error('❌ Erreur lors de l\'importation des paramètres:', error);
+    /**
+     * Crée ou met à jour un programme personnalisé
+     * @param {object} program - Programme à enregistrer
+     * @returns {string|null} Message d'erreur ou null si enregistré
+     */
+    saveProgram(program) {
+        const error = ProgramLibrary.validateProgram(program);
+        if (error) {
+            console.error('Programme invalide:', error);
+            return error;
+        }
+
+        if (program.builtIn || PROGRAM_PRESETS.some(preset => preset.id === program.id)) {
+            return 'Les programmes prédéfinis ne peuvent pas être modifiés';
+        }
+
+        const oldValue = this.settings.programs;
+        const saved = { ...ProgramLibrary.clone(program), name: program.name.trim(), builtIn: false };
+        const index = oldValue.findIndex(existing => existing.id === program.id);
+
+        this.settings.programs = index === -1
+            ? [...oldValue, saved]
+            : oldValue.map(existing => (existing.id === program.id ? saved : existing));
+        this._saveSettings(['programs']);
+
+        // Notifie le changement
+        this._notifyChange('programs', this.settings.programs, oldValue);
+
+        return null;
+    }
+
+    /**
+     * Supprime un programme personnalisé
+     * @param {string} id - Identifiant du programme
+     */
+    deleteProgram(id) {
+        const oldValue = this.settings.programs;
+        this.settings.programs = oldValue.filter(program => program.id !== id);
+
+        if (this.settings.programs.length === oldValue.length) {
+            return false;
+        }
+
+        // Revient au cycle Pomodoro si le programme supprimé était actif
+        if (this.settings.activeProgramId === id) {
+            this.setActiveProgram(POMODORO_PROGRAM_ID);
+        }
+
+        this._saveSettings(['programs']);
+
+        // Notifie le changement
+        this._notifyChange('programs', this.settings.programs, oldValue);
+
+        return true;
+    }
+
+    /**
+     * Définit le programme actif
+     * @param {string} id - Identifiant du programme ou POMODORO_PROGRAM_ID
+     */
+    setActiveProgram(id) {
+        if (id !== POMODORO_PROGRAM_ID && !this.getProgram(id)) {
+            console.error('Programme inconnu:', id);
             return false;
         }
+
+        const oldValue = this.settings.activeProgramId;
+        this.settings.activeProgramId = id;
+        this._saveSettings(['activeProgramId']);
+
+        // Notifie le changement
+        this._notifyChange('activeProgramId', id, oldValue);
+
+        return true;
+    }
+
+    /**
+     * Vérifie qu'un profil est complet et valide
+     * @param {object} profile - Profil à vérifier
+     * @returns {string|null} Message d'erreur ou null si valide
+     */
+    static validateProfile(profile) {
+        if (!profile || typeof profile.id !== 'string' || !profile.id) {
+            return 'Profil sans identifiant';
+        }
+
+        if (typeof profile.name !== 'string' || !profile.name.trim()) {
+            return 'Le profil doit avoir un nom';
+        }
+
+        if (profile.name.length > PROFILE_NAME_MAX_LENGTH) {
+            return `Le nom du profil ne doit pas dépasser ${PROFILE_NAME_MAX_LENGTH} caractères`;
+        }
+
+        const invalidKey = PROFILE_KEYS.find(key => !SETTING_RULES[key](profile[key]));
+        if (invalidKey) {
+            return `Valeur invalide dans le profil : ${invalidKey}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Récupère les profils
+     * @returns {Array} Profils { id, name, focusDuration, ... }
+     */
+    getProfiles() {
+        return this.settings.profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * Récupère le profil actif
+     * @returns {object} Profil actif
+     */
+    getActiveProfile() {
+        const profile = this.settings.profiles.find(existing => existing.id === this.settings.activeProfileId);
+        return { ...profile };
+    }
+
+    /**
+     * Crée un profil à partir des paramètres actuels et l'active
+     * @param {string} name - Nom du profil
+     * @returns {string|null} Message d'erreur ou null si créé
+     */
+    createProfile(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        const profile = this._createProfile(`profile-${Date.now().toString(36)}`, trimmed);
+
+        const error = SettingsManager.validateProfile(profile);
+        if (error) {
+            console.error('Profil invalide:', error);
+            return error;
+        }
+
+        if (this.settings.profiles.some(existing => existing.name.toLowerCase() === trimmed.toLowerCase())) {
+            return 'Un profil porte déjà ce nom';
+        }
+
+        const oldValue = this.settings.profiles;
+        this.settings.profiles = [...oldValue, profile];
+        this._notifyChange('profiles', this.settings.profiles, oldValue);
+
+        this.setActiveProfile(profile.id);
+
+        return null;
+    }
+
+    /**
+     * Supprime un profil (le dernier profil est conservé)
+     * @param {string} id - Identifiant du profil
+     */
+    deleteProfile(id) {
+        const oldValue = this.settings.profiles;
+        if (oldValue.length <= 1 || !oldValue.some(profile => profile.id === id)) {
+            return false;
+        }
+
+        this.settings.profiles = oldValue.filter(profile => profile.id !== id);
+
+        // Passe au premier profil restant si le profil supprimé était actif
+        if (this.settings.activeProfileId === id) {
+            this.setActiveProfile(this.settings.profiles[0].id);
+        } else {
+            this._saveSettings();
+        }
+
+        // Notifie le changement
+        this._notifyChange('profiles', this.settings.profiles, oldValue);
+
+        return true;
+    }
+
+    /**
+     * Active un profil : ses durées, son son et son cycle remplacent les paramètres actuels
+     * @param {string} id - Identifiant du profil
+     */
+    setActiveProfile(id) {
+        const profile = this.settings.profiles.find(existing => existing.id === id);
+        if (!profile) {
+            console.error('Profil inconnu:', id);
+            return false;
+        }
+
+        const oldSettings = { ...this.settings };
+        this.settings.activeProfileId = id;
+        this._applyProfile(profile);
+        this._saveSettings(['activeProfileId', ...PROFILE_KEYS]);
+
+        console.log(`👤 Profil actif : ${profile.name}`);
+
+        // Notifie les changements
+        PROFILE_KEYS.forEach(key => {
+            if (this.settings[key] !== oldSettings[key]) {
+                this._notifyChange(key, this.settings[key], oldSettings[key]);
+            }
+        });
+        this._notifyChange('activeProfileId', id, oldSettings.activeProfileId);
+
+        return true;
+    }
+
+    /**
+     * Active le profil suivant (revient au premier après le dernier)
+     * @returns {object} Profil activé
+     */
+    cycleProfile() {
+        const profiles = this.settings.profiles;
+        const index = profiles.findIndex(profile => profile.id === this.settings.activeProfileId);
+        const next = profiles[(index + 1) % profiles.length];
+
+        if (next.id !== this.settings.activeProfileId) {
+            this.setActiveProfile(next.id);
+        }
+
+        return { ...next };
+    }
+
+    /**
+     * Trouve un profil par identifiant ou par nom (sans tenir compte de la casse)
+     * @param {string} reference - Identifiant ou nom
+     * @returns {object|null} Copie du profil, ou null
+     */
+    findProfile(reference) {
+        const name = reference.trim().toLowerCase();
+        const profile = this.settings.profiles.find(existing => existing.id === reference)
+            || this.settings.profiles.find(existing => existing.name.toLowerCase() === name);
+
+        return profile ? { ...profile } : null;
+    }
+
+    /**
+     * Crée un profil à partir des paramètres actuels
+     * @param {string} id - Identifiant du profil
+     * @param {string} name - Nom du profil
+     * @param {object} source - Paramètres à recopier (par défaut les paramètres actuels)
+     * @returns {object} Profil
+     * @private
+     */
+    _createProfile(id, name, source = this.settings) {
+        const profile = { id, name };
+        PROFILE_KEYS.forEach(key => {
+            profile[key] = source[key];
+        });
+
+        return profile;
+    }
+
+    /**
+     * Reconstitue un profil enregistré champ par champ
+     * @param {object} saved - Profil enregistré
+     * @returns {object|null} Profil complet, ou null sans identifiant ni nom valides
+     * @private
+     */
+    _recoverProfile(saved) {
+        if (!saved || typeof saved.id !== 'string' || !saved.id
+            || typeof saved.name !== 'string' || !saved.name.trim()) {
+            console.warn('⚠️ Profil enregistré invalide ignoré:', saved);
+            return null;
+        }
+
+        const profile = this._createProfile(saved.id, saved.name.slice(0, PROFILE_NAME_MAX_LENGTH));
+        PROFILE_KEYS.forEach(key => {
+            if (SETTING_RULES[key](saved[key])) {
+                profile[key] = saved[key];
+            }
+        });
+
+        return profile;
+    }
+
+    /**
+     * Garantit qu'un profil existe et qu'il est actif
+     * @private
+     */
+    _ensureActiveProfile() {
+        if (this.settings.profiles.length === 0) {
+            this.settings.profiles = [this._createProfile(DEFAULT_PROFILE_ID, DEFAULT_PROFILE_NAME)];
+            this.settings.activeProfileId = DEFAULT_PROFILE_ID;
+            return;
+        }
+
+        const active = this.settings.profiles.find(profile => profile.id === this.settings.activeProfileId);
+        if (!active) {
+            this.settings.activeProfileId = this.settings.profiles[0].id;
+            this._applyProfile(this.settings.profiles[0]);
+        }
+    }
+
+    /**
+     * Recopie les paramètres dans le profil actif
+     * @param {object} source - Paramètres à recopier (par défaut les paramètres actuels)
+     * @private
+     */
+    _syncActiveProfile(source = this.settings) {
+        this.settings.profiles = this.settings.profiles.map(profile => (
+            profile.id === source.activeProfileId
+                ? this._createProfile(profile.id, profile.name, source)
+                : profile
+        ));
+    }
+
+    /**
+     * Applique les valeurs d'un profil aux paramètres actuels
+     * @param {object} profile - Profil à appliquer
+     * @private
+     */
+    _applyProfile(profile) {
+        PROFILE_KEYS.forEach(key => {
+            this.settings[key] = profile[key];
+        });
+    }
+
+    /**
+     * Remplace des paramètres, pour la visite seulement ou durablement (ex. lien de configuration)
+     *
+     * Un paramètre remplacé pour la visite garde sa valeur enregistrée dans le document,
+     * jusqu'à ce que l'utilisateur le modifie lui-même.
+     * @param {object} values - Paramètres → valeurs
+     * @param {object} options - { profileId : profil activé avant les valeurs, persist : enregistre le tout }
+     * @returns {string[]} Paramètres modifiés
+     */
+    applyOverrides(values, { profileId = null, persist = false } = {}) {
+        const next = {};
+
+        if (profileId) {
+            const profile = this.settings.profiles.find(existing => existing.id === profileId);
+            if (!profile) {
+                console.error('Profil inconnu:', profileId);
+                return [];
+            }
+
+            next.activeProfileId = profileId;
+            PROFILE_KEYS.forEach(key => {
+                next[key] = profile[key];
+            });
+        }
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (!SETTING_RULES[key] || !SETTING_RULES[key](value)) {
+                console.error(`Paramètre ${key} invalide:`, value);
+                return;
+            }
+            next[key] = value;
+        });
+
+        const oldSettings = { ...this.settings };
+        Object.entries(next).forEach(([key, value]) => {
+            if (persist) {
+                delete this.visitOverrides[key];
+            } else if (!this.visitOverrides[key]) {
+                this.visitOverrides[key] = { saved: this.settings[key], value };
+            } else {
+                this.visitOverrides[key].value = value;
+            }
+            this.settings[key] = value;
+        });
+
+        if (persist) {
+            this._saveSettings();
+        }
+
+        // Notifie les changements
+        const changedKeys = Object.keys(next).filter(key => this.settings[key] !== oldSettings[key]);
+        changedKeys.forEach(key => {
+            this._notifyChange(key, this.settings[key], oldSettings[key]);
+        });
+
+        return changedKeys;
+    }
+
+    /**
+     * Indique si des paramètres sont remplacés pour la visite seulement
+     * @returns {boolean}
+     */
+    hasVisitOverrides() {
+        return Object.keys(this.visitOverrides).length > 0;
+    }
+
+    /**
+     * Paramètres à enregistrer : ceux remplacés pour la visite reprennent leur valeur enregistrée
+     * @returns {object} Copie des paramètres
+     * @private
+     */
+    _getPersistedSettings() {
+        const persisted = { ...this.settings };
+
+        Object.entries(this.visitOverrides).forEach(([key, override]) => {
+            persisted[key] = override.saved;
+        });
+
+        return persisted;
+    }
+
+    /**
+     * Indique si la phase donnée doit démarrer automatiquement
+     * @param {string} mode - Mode de la phase suivante
+     * @returns {boolean}
+     */
+    shouldAutoStart(mode) {
+        return mode === 'focus' ? this.settings.autoStartFocus : this.settings.autoStartBreaks;
+    }
+
+    /**
+     * Définit le thème
+     * @param {string} theme - 'dark' ou 'light'
+     */
+    setTheme(theme) {
+        if (!SETTING_RULES.theme(theme)) {
+            console.error('Thème invalide:', theme);
+            return false;
+        }
+
+        const oldValue = this.settings.theme;
+        this.settings.theme = theme;
+        this._saveSettings(['theme']);
+
+        // Notifie le changement
+        this._notifyChange('theme', theme, oldValue);
+
+        return true;
+    }
+
+    /**
+     * Enregistre une session dans l'historique, avec la tâche fixée à son démarrage pour le focus
+     * @param {string} mode - Mode de la session
+     * @param {string} outcome - Issue (SESSION_OUTCOMES)
+     * @param {object} session - Session décrite par le chronomètre (label : tâche du focus)
+     * @returns {object} Entrée enregistrée
+     */
+    recordSession(mode, outcome, session) {
+        // Changer de tâche pendant un focus ne concerne que les sessions suivantes
+        const label = mode === 'focus' ? session.label : null;
+        const entry = SessionHistory.createEntry(mode, outcome, session, this.settings.activeProfileId, label);
+        this.history.add(entry);
+        this.storage.addHistory([entry]);
+
+        console.log(`📈 Session ${mode} enregistrée (${outcome}, ${entry.actualDuration} s)`);
+
+        this._refreshStats();
+
+        return { ...entry };
+    }
+
+    /**
+     * Récupère l'historique des sessions commencées dans une période
+     * @param {object} range - { from, to } en ms ou Date (début inclus, fin exclue, par défaut tout)
+     * @returns {Array} Entrées triées par heure de début
+     */
+    getHistory({ from = null, to = null } = {}) {
+        return this.history.query({ from, to });
+    }
+
+    /**
+     * Efface les sessions commencées dans une période
+     * @param {object} range - { from, to } comme pour getHistory()
+     * @returns {number} Nombre de sessions effacées
+     */
+    clearHistory({ from = null, to = null } = {}) {
+        const removed = this.history.remove({ from, to });
+        if (removed > 0) {
+            this.storage.removeHistory({ from, to });
+            this._refreshStats();
+        }
+
+        return removed;
+    }
+
+    /**
+     * Remet à zéro les compteurs du jour ; les sessions restent dans l'historique
+     */
+    resetDailyStats() {
+        this.storage.save({ app: { ...this.storage.get('app'), statsResetAt: Date.now() } });
+        this._refreshStats();
+    }
+
+    /**
+     * Sauvegarde l'état de la session en cours
+     * @param {object} snapshot - Instantané du chronomètre
+     * @param {object} options - { closing : la page se ferme, l'écriture doit être synchrone }
+     */
+    saveTimerState(snapshot, { closing = false } = {}) {
+        if (closing) {
+            this.storage.saveNow({ timerState: snapshot });
+        } else {
+            this.storage.save({ timerState: snapshot });
+        }
+    }
+
+    /**
+     * Récupère l'état de la dernière session sauvegardée
+     * @returns {object|null} Instantané du chronomètre
+     */
+    loadTimerState() {
+        return this.storage.get('timerState');
+    }
+
+    /**
+     * Supprime l'état de session sauvegardé
+     */
+    clearTimerState() {
+        this.storage.save({ timerState: null });
+    }
+
+    /**
+     * Notifie les observateurs d'un changement
+     * @private
+     */
+    _notifyChange(key, newValue, oldValue) {
+        this.emit('change', key, newValue, oldValue);
+    }
+
+    /**
+     * Récupère les paramètres actuels
+     * @returns {object} Paramètres actuels
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Récupère une valeur spécifique
+     * @param {string} key - Clé du paramètre
+     * @returns {*} Valeur du paramètre
+     */
+    getSetting(key) {
+        return this.settings[key];
+    }
+
+    /**
+     * Réinitialise tous les paramètres aux valeurs par défaut
+     */
+    resetToDefaults() {
+        const oldSettings = { ...this.settings };
+        this.settings = { ...this.defaults, stats: this._getDailyStats() };
+        this.visitOverrides = {};
+        this._saveSettings();
+
+        console.log('🔄 Paramètres réinitialisés aux valeurs par défaut');
+
+        // Notifie tous les changements
+        Object.keys(this.settings).forEach(key => {
+            this._notifyChange(key, this.settings[key], oldSettings[key]);
+        });
+
+        return true;
+    }
+
+    /**
+     * Exporte les paramètres sous forme de JSON
+     * @returns {string} JSON de la sauvegarde { app, version, exportedAt, preferences, history }
+     */
+    exportSettings() {
+        // Les paramètres propres à la visite (ex. lien de configuration) ne sont pas sauvegardés
+        const { stats, ...preferences } = this._getPersistedSettings();
+
+        return JSON.stringify({
+            app: STORAGE_NAMESPACE,
+            version: STORAGE_VERSION,
+            exportedAt: new Date().toISOString(),
+            preferences,
+            history: { sessions: this.history.toJSON() }
+        }, null, 2);
+    }
+
+    /**
+     * Exporte les sessions d'une période en CSV (feuilles de temps)
+     * @param {object} range - { from, to } comme pour getHistory()
+     * @returns {string} CSV
+     */
+    exportSessionsCSV({ from = null, to = null } = {}) {
+        return SessionExporter.toCSV(this.history.query({ from, to }));
+    }
+
+    /**
+     * Exporte les sessions de focus d'une période en iCalendar (agendas)
+     * @param {object} range - { from, to } comme pour getHistory()
+     * @returns {string} Contenu du fichier .ics
+     */
+    exportSessionsICS({ from = null, to = null } = {}) {
+        return SessionExporter.toICS(this.history.query({ from, to }));
+    }
+
+    /**
+     * Analyse une sauvegarde sans rien modifier
+     *
+     * Chaque valeur est vérifiée avec les mêmes règles que les setters. Le rapport liste :
+     * - accepted : { section, key, value } valeurs valides
+     * - rejected : { section, key, value, reason } valeurs ignorées
+     * - coerced : { section, key, from, to } valeurs converties (ex. '25' → 25)
+     * - sections : par section présente, { values, changes: [{ key, from, to }] }
+     * @param {string} jsonString - JSON de la sauvegarde (ou ancien export à plat)
+     * @returns {object} Rapport { ok, error, accepted, rejected, coerced, sections }
+     */
+    previewImport(jsonString) {
+        const report = { ok: false, error: null, accepted: [], rejected: [], coerced: [], sections: {} };
+
+        let data;
+        try {
+            data = JSON.parse(jsonString);
+        } catch (error) {
+            report.error = 'Le fichier n\'est pas un JSON valide';
+            return report;
+        }
+
+        if (!this._isPlainObject(data)) {
+            report.error = 'La sauvegarde doit être un objet JSON';
+            return report;
+        }
+
+        if (Number.isInteger(data.version) && data.version > STORAGE_VERSION) {
+            report.error = 'Sauvegarde créée par une version plus récente de l\'application';
+            return report;
+        }
+
+        // Ancien export : les paramètres à plat, les statistiques dans 'stats'
+        const source = 'preferences' in data ? { ...data } : this._splitFlatExport(data);
+
+        // Anciens compteurs du jour : convertis en sessions, comme dans le document persistant
+        if ('stats' in source) {
+            const sessions = StorageManager.statsToHistory(source.stats);
+            if (sessions.length > 0 && source.history === undefined) {
+                source.history = { sessions };
+            } else if (source.stats !== undefined && sessions.length === 0
+                && !(this._isPlainObject(source.stats) && Number.isFinite(Date.parse(source.stats.lastResetDate)))) {
+                report.rejected.push({ section: null, key: 'stats', value: source.stats, reason: 'Statistiques sans date' });
+            }
+            delete source.stats;
+        }
+
+        Object.keys(source).forEach(key => {
+            if (!(key in IMPORT_SECTIONS) && !EXPORT_META_KEYS.includes(key)) {
+                report.rejected.push({ section: null, key, value: source[key], reason: 'Section inconnue' });
+            }
+        });
+
+        Object.keys(IMPORT_SECTIONS).forEach(section => {
+            if (source[section] !== undefined) {
+                this._validateSection(section, source[section], report);
+            }
+        });
+
+        report.ok = report.accepted.length > 0;
+        if (!report.ok) {
+            report.error = 'Aucune valeur valide à importer';
+        }
+
+        return report;
+    }
+
+    /**
+     * Applique les sections choisies d'une sauvegarde analysée
+     * @param {object} report - Rapport de previewImport()
+     * @param {Array} sections - Sections à appliquer (par défaut toutes)
+     * @returns {Array} Clés modifiées
+     */
+    applyImport(report, sections = Object.keys(IMPORT_SECTIONS)) {
+        if (!report.ok) {
+            return [];
+        }
+
+        const oldSettings = { ...this.settings };
+        const chosen = sections.filter(section => report.sections[section]);
+        const importedKeys = [];
+
+        chosen.forEach(section => {
+            const { values } = report.sections[section];
+
+            if (section === 'history') {
+                this.history = new SessionHistory(values.sessions);
+                this.storage.replaceHistory(this.history.toJSON());
+                importedKeys.push('history');
+            } else {
+                Object.assign(this.settings, values);
+                importedKeys.push(...Object.keys(values));
+
+                // Les valeurs importées sont enregistrées, même celles remplacées pour la visite
+                Object.keys(values).forEach(key => delete this.visitOverrides[key]);
+
+                // Profils importés sans les durées : celles du profil actif s'appliquent
+                const active = this.settings.profiles.find(profile => profile.id === this.settings.activeProfileId);
+                if (active && (values.profiles || values.activeProfileId) && !PROFILE_KEYS.some(key => key in values)) {
+                    this._applyProfile(active);
+                    importedKeys.push(...PROFILE_KEYS);
+                }
+            }
+        });
+
+        if (importedKeys.length === 0) {
+            return [];
+        }
+
+        this._saveSettings();
+
+        console.log(`📤 Paramètres importés (${chosen.join(', ')})`);
+
+        // Notifie les changements
+        importedKeys.filter(key => key in this.settings).forEach(key => {
+            this._notifyChange(key, this.settings[key], oldSettings[key]);
+        });
+        this._refreshStats();
+        this.emit('settingsImported', importedKeys, chosen);
+
+        return importedKeys;
+    }
+
+    /**
+     * Importe des paramètres depuis du JSON (analyse puis application)
+     * @param {string} jsonString - JSON de la sauvegarde
+     * @param {Array} sections - Sections à appliquer (par défaut toutes)
+     * @returns {object} Rapport de previewImport(), complété par importedKeys
+     */
+    importSettings(jsonString, sections) {
+        const report = this.previewImport(jsonString);
+        report.importedKeys = this.applyImport(report, sections);
+
+        if (!report.ok) {
+            console.error('❌ Erreur lors de l\'importation des paramètres:', report.error);
+        }
+
+        return report;
+    }
+
+    /**
+     * Répartit un ancien export à plat en sections
+     * @param {object} data - Paramètres et statistiques au même niveau
+     * @returns {object} { preferences, stats } (stats : anciens compteurs, convertis par previewImport)
+     * @private
+     */
+    _splitFlatExport(data) {
+        const { stats, ...preferences } = data;
+        const source = { stats };
+
+        if (Object.keys(preferences).length > 0) {
+            source.preferences = preferences;
+        }
+
+        return source;
+    }
+
+    /**
+     * Vérifie les valeurs d'une section importée et complète le rapport
+     * @param {string} section - Nom de la section
+     * @param {*} values - Valeurs importées
+     * @param {object} report - Rapport à compléter
+     * @private
+     */
+    _validateSection(section, values, report) {
+        if (!this._isPlainObject(values)) {
+            report.rejected.push({ section, key: null, value: values, reason: 'Section invalide' });
+            return;
+        }
+
+        const rules = IMPORT_SECTIONS[section];
+        const defaults = section === 'history' ? { sessions: [] } : this.defaults;
+        const current = section === 'history' ? { sessions: this.history.toJSON() } : this.settings;
+        const accepted = {};
+
+        Object.keys(values).forEach(key => {
+            const value = values[key];
+
+            if (!rules[key]) {
+                report.rejected.push({ section, key, value, reason: 'Champ inconnu' });
+                return;
+            }
+
+            const coerced = this._coerceImportValue(value, defaults[key]);
+            let checked = coerced;
+
+            // Les programmes et profils invalides sont écartés un par un
+            if (IMPORT_LIST_VALIDATORS[key] && Array.isArray(coerced)) {
+                checked = coerced.filter((item, index) => {
+                    const error = IMPORT_LIST_VALIDATORS[key](item);
+                    if (error) {
+                        report.rejected.push({ section, key: `${key}[${index}]`, value: item, reason: error });
+                    }
+                    return !error;
+                });
+            }
+
+            if (!rules[key](checked)) {
+                report.rejected.push({ section, key, value, reason: 'Valeur invalide ou hors limites' });
+                return;
+            }
+
+            if (coerced !== value) {
+                report.coerced.push({ section, key, from: value, to: coerced });
+            }
+
+            accepted[key] = checked;
+        });
+
+        // Le programme actif doit exister parmi les programmes prédéfinis ou importés
+        if (section === 'preferences' && accepted.activeProgramId !== undefined) {
+            const programs = [...PROGRAM_PRESETS, ...(accepted.programs || this.settings.programs)];
+            const id = accepted.activeProgramId;
+
+            if (id !== POMODORO_PROGRAM_ID && !programs.some(program => program.id === id)) {
+                report.rejected.push({ section, key: 'activeProgramId', value: id, reason: 'Programme inconnu' });
+                delete accepted.activeProgramId;
+            }
+        }
+
+        // Le profil actif doit exister parmi les profils importés ou actuels
+        if (section === 'preferences' && accepted.activeProfileId !== undefined) {
+            const profiles = accepted.profiles || this.settings.profiles;
+            const id = accepted.activeProfileId;
+
+            if (!profiles.some(profile => profile.id === id)) {
+                report.rejected.push({ section, key: 'activeProfileId', value: id, reason: 'Profil inconnu' });
+                delete accepted.activeProfileId;
+            }
+        }
+
+        // Les sessions importées complètent l'historique au lieu de le remplacer
+        if (section === 'history' && accepted.sessions !== undefined) {
+            accepted.sessions = SessionHistory.merge(current.sessions, accepted.sessions);
+        }
+
+        Object.keys(accepted).forEach(key => {
+            report.accepted.push({ section, key, value: accepted[key] });
+        });
+
+        report.sections[section] = {
+            values: accepted,
+            changes: Object.keys(accepted)
+                .filter(key => JSON.stringify(accepted[key]) !== JSON.stringify(current[key]))
+                .map(key => ({ key, from: current[key], to: accepted[key] }))
+        };
+    }
+
+    /**
+     * Convertit une valeur importée vers le type de sa valeur par défaut quand c'est sans ambiguïté
+     * @param {*} value - Valeur importée
+     * @param {*} defaultValue - Valeur par défaut du champ
+     * @returns {*} Valeur convertie (ou inchangée)
+     * @private
+     */
+    _coerceImportValue(value, defaultValue) {
+        if (typeof defaultValue === 'number' && typeof value === 'string' && value.trim() !== '') {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : value;
+        }
+
+        if (typeof defaultValue === 'boolean' && (value === 'true' || value === 'false')) {
+            return value === 'true';
+        }
+
+        if (typeof defaultValue === 'string' && typeof value === 'string') {
+            return value.trim();
+        }
+
+        return value;
+    }
+
+    /**
+     * Indique si une valeur est un objet simple
+     * @param {*} value - Valeur à tester
+     * @returns {boolean}
+     * @private
+     */
+    _isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
     }
 
     /**
      * Nettoie le gestionnaire
      */
     destroy() {
+        this.storage.off('remoteChange', this._handleRemoteChange);
+        this.storage.off('remoteHistoryChange', this._handleRemoteHistoryChange);
+        this.storage.destroy();
         console.log('🗑️ Gestionnaire de paramètres nettoyé');
     }
 }
@@ -0,0 +1,494 @@
+/**
+ * Adaptateurs de stockage pour Focus Chronométré
+ * Fournissent au StorageManager un espace clé → valeur pour les petites sections,
+ * et un journal des sessions où chaque entrée est un enregistrement à part
+ *
+ * Un adaptateur expose (toutes les méthodes renvoient une Promise) :
+ * - name : nom du support, pour les messages
+ * - shared : true si les autres onglets voient les mêmes données
+ * - get(key) (null si absent), set(key, value), remove(key)
+ * - update(key, transform) : relit la valeur et écrit transform(valeur) d'un seul tenant,
+ *   renvoie la nouvelle valeur
+ * - getEntries({ from, to }) : sessions commencées dans la période (début inclus, fin exclue,
+ *   null = sans limite), triées par heure de début
+ * - addEntries(entries) : ajoute ou remplace des sessions (même identifiant)
+ * - removeEntries({ from, to }) : efface les sessions de la période, renvoie leur nombre
+ * - replaceEntries(entries) : remplace tout l'historique
+ */
+
+// Base IndexedDB : magasin des sections (clé → valeur) et magasin des sessions (clé : id)
+// Version 2 : ajout du magasin des sessions, indexé par heure de début
+const IDB_DATABASE_VERSION = 2;
+const IDB_STORE = 'documents';
+const IDB_HISTORY_STORE = 'history';
+const IDB_HISTORY_INDEX = 'start';
+
+// Clé de l'historique dans le localStorage (une seule liste, le support étant de toute façon limité)
+const LOCAL_HISTORY_KEY = StorageManager.key('history');
+
+/**
+ * Adaptateur localStorage : synchrone et limité en taille, mais disponible partout
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+        this.shared = true;
+    }
+
+    /**
+     * Indique si le localStorage accepte les écritures (il peut être bloqué par le navigateur)
+     * @returns {boolean}
+     */
+    static isAvailable() {
+        const probe = StorageManager.key('probe');
+
+        try {
+            localStorage.setItem(probe, '1');
+            localStorage.removeItem(probe);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Lit une valeur
+     * @param {string} key - Clé
+     * @returns {Promise<*>} Valeur décodée, ou null si absente ou illisible
+     */
+    get(key) {
+        const raw = localStorage.getItem(key);
+        if (raw === null) {
+            return Promise.resolve(null);
+        }
+
+        try {
+            return Promise.resolve(JSON.parse(raw));
+        } catch (error) {
+            console.error('❌ Document de stockage illisible, données réinitialisées:', error);
+
+            // Garde une copie du document corrompu pour pouvoir le récupérer à la main
+            try {
+                localStorage.setItem(`${key}.corrupted`, raw);
+                localStorage.removeItem(key);
+            } catch (backupError) {
+                // Le stockage est peut-être plein : le document sera réécrit
+            }
+
+            return Promise.resolve(null);
+        }
+    }
+
+    /**
+     * Écrit une valeur
+     * @param {string} key - Clé
+     * @param {*} value - Valeur sérialisable en JSON
+     * @returns {Promise}
+     */
+    set(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Supprime une valeur
+     * @param {string} key - Clé
+     * @returns {Promise}
+     */
+    remove(key) {
+        localStorage.removeItem(key);
+        return Promise.resolve();
+    }
+
+    /**
+     * Relit puis réécrit une valeur, sans laisser la main entre les deux
+     * @param {string} key - Clé
+     * @param {Function} transform - Reçoit la valeur enregistrée (null si absente), renvoie la nouvelle
+     * @returns {Promise<*>} Nouvelle valeur
+     */
+    update(key, transform) {
+        try {
+            const raw = localStorage.getItem(key);
+            const value = transform(raw === null ? null : JSON.parse(raw));
+            localStorage.setItem(key, JSON.stringify(value));
+            return Promise.resolve(value);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Lit les sessions d'une période
+     * @param {object} range - { from, to } en ms
+     * @returns {Promise<Array>}
+     */
+    getEntries(range = {}) {
+        return this.get(LOCAL_HISTORY_KEY)
+            .then(entries => StorageManager.filterEntries(Array.isArray(entries) ? entries : [], range));
+    }
+
+    /**
+     * Ajoute des sessions (relit la liste juste avant : un autre onglet a pu en ajouter)
+     * @param {Array} entries - Entrées
+     * @returns {Promise}
+     */
+    addEntries(entries) {
+        return this.get(LOCAL_HISTORY_KEY).then(saved => {
+            const current = Array.isArray(saved) ? saved : [];
+            return this.set(LOCAL_HISTORY_KEY, StorageManager.mergeEntries(current, entries));
+        });
+    }
+
+    /**
+     * Efface les sessions d'une période
+     * @param {object} range - { from, to } en ms
+     * @returns {Promise<number>} Nombre de sessions effacées
+     */
+    removeEntries(range = {}) {
+        return this.get(LOCAL_HISTORY_KEY).then(saved => {
+            const entries = Array.isArray(saved) ? saved : [];
+            const removed = new Set(StorageManager.filterEntries(entries, range));
+            const kept = entries.filter(entry => !removed.has(entry));
+
+            return this.set(LOCAL_HISTORY_KEY, kept).then(() => removed.size);
+        });
+    }
+
+    /**
+     * Remplace tout l'historique
+     * @param {Array} entries - Entrées
+     * @returns {Promise}
+     */
+    replaceEntries(entries) {
+        return this.set(LOCAL_HISTORY_KEY, StorageManager.mergeEntries([], entries));
+    }
+}
+
+/**
+ * Adaptateur IndexedDB : asynchrone et adapté aux gros volumes (historique des sessions)
+ */
+class IndexedDBAdapter {
+    /**
+     * @param {string} databaseName - Nom de la base
+     */
+    constructor(databaseName = STORAGE_NAMESPACE) {
+        this.name = 'IndexedDB';
+        this.shared = true;
+        this.databaseName = databaseName;
+
+        // Ouverture de la base, partagée par toutes les requêtes
+        this.opening = null;
+    }
+
+    /**
+     * Indique si le navigateur propose IndexedDB
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Lit une valeur
+     * @param {string} key - Clé
+     * @returns {Promise<*>} Valeur, ou null si absente
+     */
+    get(key) {
+        return this._request(IDB_STORE, 'readonly', store => store.get(key))
+            .then(value => (value === undefined ? null : value));
+    }
+
+    /**
+     * Écrit une valeur
+     * @param {string} key - Clé
+     * @param {*} value - Valeur clonable
+     * @returns {Promise}
+     */
+    set(key, value) {
+        return this._request(IDB_STORE, 'readwrite', store => store.put(value, key)).then(() => undefined);
+    }
+
+    /**
+     * Supprime une valeur
+     * @param {string} key - Clé
+     * @returns {Promise}
+     */
+    remove(key) {
+        return this._request(IDB_STORE, 'readwrite', store => store.delete(key)).then(() => undefined);
+    }
+
+    /**
+     * Relit puis réécrit une valeur dans la même transaction
+     * @param {string} key - Clé
+     * @param {Function} transform - Reçoit la valeur enregistrée (null si absente), renvoie la nouvelle
+     * @returns {Promise<*>} Nouvelle valeur
+     */
+    update(key, transform) {
+        let value = null;
+
+        return this._request(IDB_STORE, 'readwrite', store => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                value = transform(request.result === undefined ? null : request.result);
+                store.put(value, key);
+            };
+        }).then(() => value);
+    }
+
+    /**
+     * Lit les sessions d'une période, par l'index des heures de début
+     * @param {object} range - { from, to } en ms
+     * @returns {Promise<Array>}
+     */
+    getEntries(range = {}) {
+        return this._request(IDB_HISTORY_STORE, 'readonly',
+            store => store.index(IDB_HISTORY_INDEX).getAll(IndexedDBAdapter._keyRange(range)));
+    }
+
+    /**
+     * Ajoute des sessions, chacune dans son enregistrement
+     * @param {Array} entries - Entrées
+     * @returns {Promise}
+     */
+    addEntries(entries) {
+        return this._request(IDB_HISTORY_STORE, 'readwrite', store => {
+            entries.forEach(entry => store.put(entry));
+        }).then(() => undefined);
+    }
+
+    /**
+     * Efface les sessions d'une période
+     * @param {object} range - { from, to } en ms
+     * @returns {Promise<number>} Nombre de sessions effacées
+     */
+    removeEntries(range = {}) {
+        return this._request(IDB_HISTORY_STORE, 'readwrite', store => {
+            const request = store.index(IDB_HISTORY_INDEX).getAllKeys(IndexedDBAdapter._keyRange(range));
+            request.onsuccess = () => request.result.forEach(id => store.delete(id));
+            return request;
+        }).then(ids => ids.length);
+    }
+
+    /**
+     * Remplace tout l'historique, dans une seule transaction
+     * @param {Array} entries - Entrées
+     * @returns {Promise}
+     */
+    replaceEntries(entries) {
+        return this._request(IDB_HISTORY_STORE, 'readwrite', store => {
+            store.clear();
+            entries.forEach(entry => store.put(entry));
+        }).then(() => undefined);
+    }
+
+    /**
+     * Convertit une période en intervalle de l'index
+     * @param {object} range - { from, to } en ms (null = sans limite)
+     * @returns {IDBKeyRange|undefined} undefined pour tout l'historique
+     * @private
+     */
+    static _keyRange({ from = null, to = null }) {
+        if (from !== null && to !== null) {
+            return IDBKeyRange.bound(+from, +to, false, true);
+        }
+
+        if (from !== null) {
+            return IDBKeyRange.lowerBound(+from);
+        }
+
+        return to !== null ? IDBKeyRange.upperBound(+to, true) : undefined;
+    }
+
+    /**
+     * Ouvre la base (une seule fois)
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, IDB_DATABASE_VERSION);
+
+                // Bloquée par un autre onglet ouvert sur une ancienne version : on n'attend pas
+                let blocked = false;
+                request.onblocked = () => {
+                    blocked = true;
+                    this.opening = null;
+                    reject(new Error('Ouverture de la base bloquée par un autre onglet'));
+                };
+
+                // Crée les magasins manquants (base neuve ou version 1, sans historique)
+                request.onupgradeneeded = () => {
+                    const database = request.result;
+
+                    if (!database.objectStoreNames.contains(IDB_STORE)) {
+                        database.createObjectStore(IDB_STORE);
+                    }
+
+                    if (!database.objectStoreNames.contains(IDB_HISTORY_STORE)) {
+                        database.createObjectStore(IDB_HISTORY_STORE, { keyPath: 'id' })
+                            .createIndex(IDB_HISTORY_INDEX, 'start');
+                    }
+                };
+                request.onsuccess = () => {
+                    const database = request.result;
+
+                    // Débloquée trop tard : l'application utilise déjà un autre support
+                    if (blocked) {
+                        database.close();
+                        return;
+                    }
+
+                    // Cède la place à une version plus récente ouverte dans un autre onglet
+                    database.onversionchange = () => {
+                        database.close();
+                        this.opening = null;
+                        console.warn('⚠️ Base IndexedDB fermée pour une mise à jour dans un autre onglet');
+                    };
+
+                    resolve(database);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.opening;
+    }
+
+    /**
+     * Exécute des requêtes dans une transaction et attend qu'elle soit validée
+     * @param {string} storeName - Magasin concerné
+     * @param {string} mode - 'readonly' ou 'readwrite'
+     * @param {Function} operation - Reçoit le magasin, renvoie la requête dont le résultat compte (ou rien)
+     * @returns {Promise<*>} Résultat de la requête renvoyée
+     * @private
+     */
+    _request(storeName, mode, operation) {
+        return this._open().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+}
+
+/**
+ * Adaptateur en mémoire : rien n'est conservé après la page
+ * (tests, ou navigateur qui bloque IndexedDB et localStorage)
+ */
+class MemoryStorageAdapter {
+    /**
+     * @param {object} initialValues - Valeurs de départ, clé → valeur
+     * @param {Array} initialEntries - Sessions de départ
+     */
+    constructor(initialValues = {}, initialEntries = []) {
+        this.name = 'mémoire';
+        this.shared = false;
+        this.values = new Map(Object.entries(initialValues));
+        this.entries = StorageManager.mergeEntries([], this._copy(initialEntries));
+    }
+
+    /**
+     * Lit une valeur
+     * @param {string} key - Clé
+     * @returns {Promise<*>} Copie de la valeur, ou null si absente
+     */
+    get(key) {
+        return Promise.resolve(this.values.has(key) ? this._copy(this.values.get(key)) : null);
+    }
+
+    /**
+     * Écrit une valeur
+     * @param {string} key - Clé
+     * @param {*} value - Valeur sérialisable en JSON
+     * @returns {Promise}
+     */
+    set(key, value) {
+        this.values.set(key, this._copy(value));
+        return Promise.resolve();
+    }
+
+    /**
+     * Supprime une valeur
+     * @param {string} key - Clé
+     * @returns {Promise}
+     */
+    remove(key) {
+        this.values.delete(key);
+        return Promise.resolve();
+    }
+
+    /**
+     * Relit puis réécrit une valeur
+     * @param {string} key - Clé
+     * @param {Function} transform - Reçoit la valeur enregistrée (null si absente), renvoie la nouvelle
+     * @returns {Promise<*>} Copie de la nouvelle valeur
+     */
+    update(key, transform) {
+        const current = this.values.has(key) ? this._copy(this.values.get(key)) : null;
+        this.values.set(key, this._copy(transform(current)));
+        return Promise.resolve(this._copy(this.values.get(key)));
+    }
+
+    /**
+     * Lit les sessions d'une période
+     * @param {object} range - { from, to } en ms
+     * @returns {Promise<Array>} Copies des sessions
+     */
+    getEntries(range = {}) {
+        return Promise.resolve(this._copy(StorageManager.filterEntries(this.entries, range)));
+    }
+
+    /**
+     * Ajoute des sessions
+     * @param {Array} entries - Entrées
+     * @returns {Promise}
+     */
+    addEntries(entries) {
+        this.entries = StorageManager.mergeEntries(this.entries, this._copy(entries));
+        return Promise.resolve();
+    }
+
+    /**
+     * Efface les sessions d'une période
+     * @param {object} range - { from, to } en ms
+     * @returns {Promise<number>} Nombre de sessions effacées
+     */
+    removeEntries(range = {}) {
+        const removed = new Set(StorageManager.filterEntries(this.entries, range));
+        this.entries = this.entries.filter(entry => !removed.has(entry));
+        return Promise.resolve(removed.size);
+    }
+
+    /**
+     * Remplace tout l'historique
+     * @param {Array} entries - Entrées
+     * @returns {Promise}
+     */
+    replaceEntries(entries) {
+        this.entries = StorageManager.mergeEntries([], this._copy(entries));
+        return Promise.resolve();
+    }
+
+    /**
+     * Copie une valeur pour qu'elle ne soit pas partagée avec l'appelant
+     * @param {*} value - Valeur
+     * @returns {*}
+     * @private
+     */
+    _copy(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Exporte les classes
+window.LocalStorageAdapter = LocalStorageAdapter;
+window.IndexedDBAdapter = IndexedDBAdapter;
+window.MemoryStorageAdapter = MemoryStorageAdapter;
@@ -0,0 +1,918 @@
+/**
+ * Stockage persistant pour Focus Chronométré
+ * Les données forment un document versionné, enregistré par un adaptateur (IndexedDB,
+ * localStorage ou mémoire, voir storage-adapters.js) : chaque section est un petit
+ * enregistrement, et chaque session de l'historique un enregistrement à part
+ *
+ * Document :
+ * {
+ *   version: 3,
+ *   settings: { focusDuration, breakDuration, ..., theme },
+ *   timerState: instantané du chronomètre ou null,
+ *   app: { hasVisitedBefore, statsResetAt (ms, remise à zéro des compteurs du jour) }
+ * }
+ * Historique : sessions terminées, passées ou abandonnées (voir history.js), lues par période
+ *
+ * Jusqu'à la version 2, tout le document, historique compris, tenait sous la clé STORAGE_NAMESPACE.
+ */
+
+// Ancienne clé du document et préfixe des clés des sections et de coordination entre onglets
+const STORAGE_NAMESPACE = 'focusChrono';
+
+// Version courante du document (0 = anciennes clés séparées, sans document)
+const STORAGE_VERSION = 3;
+
+// Sections enregistrées chacune sous sa clé (StorageManager.key(section))
+const STORAGE_SECTIONS = ['settings', 'timerState', 'app'];
+
+// Copie synchrone des dernières sections enregistrées à la fermeture de la page (dans le localStorage)
+const STORAGE_PENDING_KEY = `${STORAGE_NAMESPACE}.pendingWrite`;
+
+// Canal d'annonce des modifications du document aux autres onglets et pages
+const STORAGE_CHANNEL = 'focus-chrono-storage';
+
+// Sections du document qui doivent être des objets
+const STORAGE_OBJECT_SECTIONS = ['settings', 'app'];
+
+// Sections qui doivent être des listes (l'historique, tant qu'il est dans le document d'une migration)
+const STORAGE_LIST_SECTIONS = ['history'];
+
+// Anciennes clés, une par paramètre
+const LEGACY_SETTING_KEYS = ['focusDuration', 'breakDuration', 'longBreakDuration', 'cyclesBeforeLongBreak',
+    'soundEnabled', 'autoStartBreaks', 'autoStartFocus', 'overtimeEnabled', 'countMode', 'targetTime',
+    'autoPauseEnabled', 'idleThreshold', 'programs', 'activeProgramId', 'theme'];
+
+/**
+ * Migrations du document, dans l'ordre : chacune le fait passer à sa version
+ * - migrate(data) : renvoie le document mis à jour
+ * - obsoleteKeys : anciennes clés supprimées une fois le document enregistré
+ */
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Regroupe les anciennes clés dans le document',
+        obsoleteKeys: [...LEGACY_SETTING_KEYS, 'focusStats', 'timerState', 'hasVisitedBefore',
+            'timerOwner', 'lastActivity'],
+        migrate(data) {
+            const settings = {};
+            LEGACY_SETTING_KEYS.forEach(key => {
+                const value = StorageManager.readLegacyKey(key);
+                if (value !== undefined) {
+                    settings[key] = value;
+                }
+            });
+
+            const stats = StorageManager.readLegacyKey('focusStats');
+            const timerState = StorageManager.readLegacyKey('timerState');
+
+            // Un document existant (ex. version illisible) garde la priorité sur les anciennes clés
+            return {
+                ...data,
+                settings: { ...settings, ...data.settings },
+                stats: StorageManager._isObject(stats) ? { ...stats, ...data.stats } : data.stats,
+                timerState: data.timerState || (timerState !== undefined ? timerState : null),
+                app: { hasVisitedBefore: StorageManager.readLegacyKey('hasVisitedBefore') === true, ...data.app }
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Remplace les compteurs du jour par l\'historique des sessions',
+        obsoleteKeys: [],
+        migrate(data) {
+            const { stats, ...rest } = data;
+
+            return {
+                ...rest,
+                history: [...(data.history || []), ...StorageManager.statsToHistory(stats)]
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Enregistre chaque section et chaque session à part',
+        obsoleteKeys: [],
+        // Seul l'enregistrement change (voir _writeDocument) : le contenu reste le même
+        migrate(data) {
+            return data;
+        }
+    }
+];
+
+/**
+ * Classe d'accès au document persistant
+ *
+ * Les sections sont chargées une fois (load), puis lues en mémoire. Les écritures d'un même
+ * tour de boucle sont regroupées, envoyées à l'adaptateur en arrière-plan (seules les sections
+ * modifiées), puis annoncées aux autres onglets. Pour les sections objets (settings, app),
+ * seuls les champs modifiés par l'onglet sont écrits, sur l'enregistrement relu au même
+ * moment : une copie en retard n'écrase pas ce qu'un autre onglet ou une autre page a enregistré. L'historique reste dans son magasin : il est lu
+ * par période (loadHistory) et écrit session par session. Les valeurs de chaque section sont
+ * vérifiées par leurs propriétaires (ex. SettingsManager), qui remplacent un champ invalide
+ * par sa valeur par défaut.
+ *
+ * Événements (storage.on(nom, écouteur)) :
+ * - remoteChange (sections) : sections modifiées par un autre onglet ou une autre page
+ *   (y compris les champs découverts en relisant une section avant de l'écrire)
+ * - remoteHistoryChange (change) : historique modifié ailleurs, { added: entrées },
+ *   { removed: { from, to } } ou { replaced: true }
+ */
+class StorageManager extends EventEmitter {
+    /**
+     * @param {object} options - { adapter } (par défaut IndexedDB, sinon localStorage, sinon la mémoire)
+     */
+    constructor({ adapter = null } = {}) {
+        super();
+
+        // Support de stockage (choisi au chargement s'il n'est pas imposé)
+        this.adapter = adapter;
+
+        // Document en mémoire, remplacé au chargement
+        this.data = StorageManager._normalize({ version: 0 });
+        this.loading = null;
+        this.loaded = false;
+
+        // Clés du localStorage à supprimer une fois le document enregistré
+        this.obsoleteKeys = [];
+
+        // Le document vient d'un ancien enregistrement (document unique ou autre support) : à réécrire
+        this.needsRewrite = false;
+        this.replacesDocument = false;
+
+        // Écritures en attente, et champs modifiés des sections objets (champ → valeur, undefined = retiré)
+        this.dirtySections = new Set();
+        this.patches = {};
+        this.flushing = null;
+
+        // Annonce des modifications aux autres onglets
+        this.channel = null;
+    }
+
+    /**
+     * Construit une clé de coordination préfixée par l'espace de noms
+     * @param {string} name - Nom de la clé
+     * @returns {string} Clé préfixée (ex. 'focusChrono.timerOwner')
+     */
+    static key(name) {
+        return `${STORAGE_NAMESPACE}.${name}`;
+    }
+
+    /**
+     * Lit et décode une ancienne clé séparée
+     * @param {string} key - Ancienne clé
+     * @returns {*} Valeur décodée, ou undefined si absente
+     */
+    static readLegacyKey(key) {
+        let raw = null;
+        try {
+            raw = localStorage.getItem(key);
+        } catch (error) {
+            // localStorage bloqué : rien à reprendre
+        }
+
+        if (raw === null) {
+            return undefined;
+        }
+
+        // Nombres, booléens et objets étaient sérialisés, les autres valeurs écrites telles quelles
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw;
+        }
+    }
+
+    /**
+     * Reconstitue des entrées d'historique à partir d'anciens compteurs du jour
+     *
+     * Les heures et durées exactes sont perdues : les sessions sont datées du jour des
+     * compteurs et se partagent le temps de focus.
+     * @param {object} stats - Anciens compteurs { sessionsToday, totalFocusTime, ..., lastResetDate }
+     * @returns {Array} Entrées marquées legacy (identifiants stables pour un même jour)
+     */
+    static statsToHistory(stats) {
+        const day = StorageManager._isObject(stats) ? Date.parse(stats.lastResetDate) : NaN;
+        if (!Number.isFinite(day)) {
+            return [];
+        }
+
+        const count = key => (Number.isInteger(stats[key]) && stats[key] > 0 ? stats[key] : 0);
+        const outcomes = [
+            ...Array(count('sessionsToday')).fill('completed'),
+            ...Array(count('skippedToday')).fill('skipped'),
+            ...Array(count('abandonedToday')).fill('abandoned')
+        ];
+        if (outcomes.length === 0) {
+            return [];
+        }
+
+        // Le temps de focus est réparti à la minute près, le reste sur les premières sessions
+        const minutes = Number.isFinite(stats.totalFocusTime) && stats.totalFocusTime > 0
+            ? Math.round(stats.totalFocusTime)
+            : 0;
+        const share = Math.floor(minutes / outcomes.length);
+        const remainder = minutes % outcomes.length;
+
+        // Sessions par profil, dans l'ordre des sessions terminées
+        const profileIds = [];
+        if (StorageManager._isObject(stats.profileSessions)) {
+            Object.entries(stats.profileSessions).forEach(([id, sessions]) => {
+                if (Number.isInteger(sessions) && sessions > 0) {
+                    profileIds.push(...Array(sessions).fill(id));
+                }
+            });
+        }
+
+        // Interruptions rattachées à la première session
+        const interruptions = [];
+        if (StorageManager._isObject(stats.interruptionReasons)) {
+            Object.entries(stats.interruptionReasons).forEach(([reason, times]) => {
+                if (Number.isInteger(times) && times > 0) {
+                    interruptions.push(...Array(times).fill(reason));
+                }
+            });
+        }
+        while (interruptions.length < count('interruptionsToday')) {
+            interruptions.push(null);
+        }
+
+        const extended = count('extendedToday');
+
+        return outcomes.map((outcome, index) => {
+            const duration = (share + (index < remainder ? 1 : 0)) * 60;
+
+            return {
+                id: `legacy-${day.toString(36)}-${index}`,
+                mode: 'focus',
+                outcome,
+                start: day,
+                end: day + duration * 1000,
+                plannedDuration: null,
+                actualDuration: duration,
+                // Durée ajoutée inconnue : une minute, le plus petit ajout possible
+                adjustment: outcome === 'completed' && index < extended ? 60 : 0,
+                interruptions: index === 0
+                    ? interruptions.map(reason => ({ at: day, duration: null, reason, auto: false }))
+                    : [],
+                profileId: outcome === 'completed' && profileIds[index] ? profileIds[index] : null,
+                legacy: true
+            };
+        });
+    }
+
+    /**
+     * Sessions commencées dans une période
+     * @param {Array} entries - Entrées
+     * @param {object} range - { from, to } en ms (début inclus, fin exclue, null = sans limite)
+     * @returns {Array}
+     */
+    static filterEntries(entries, { from = null, to = null } = {}) {
+        const min = from === null ? -Infinity : +from;
+        const max = to === null ? Infinity : +to;
+
+        return entries.filter(entry => entry.start >= min && entry.start < max);
+    }
+
+    /**
+     * Réunit deux listes de sessions, sans doublon (même identifiant), triées par heure de début
+     * @param {Array} entries - Entrées existantes
+     * @param {Array} added - Entrées ajoutées
+     * @returns {Array}
+     */
+    static mergeEntries(entries, added) {
+        const byId = new Map(entries.map(entry => [entry.id, entry]));
+        added.forEach(entry => byId.set(entry.id, entry));
+
+        return Array.from(byId.values()).sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Charge le document et applique les migrations en attente (une seule fois)
+     * @returns {Promise} Résolue quand le document est prêt
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this._selectAdapter()
+                .then(() => this._readDocument())
+                .then(data => this._migrate(data))
+                .then(() => {
+                    this.loaded = true;
+                    this._listen();
+                    this._recoverPending();
+                    console.log(`📂 Données chargées (${this.adapter.name}, v${this.data.version})`);
+                });
+        }
+
+        return this.loading;
+    }
+
+    /**
+     * Récupère une section du document
+     * @param {string} section - Nom de la section (settings, timerState, app)
+     * @returns {*} Contenu de la section
+     */
+    get(section) {
+        return this.data[section];
+    }
+
+    /**
+     * Remplace une ou plusieurs sections du document
+     * @param {object} sections - Sections à écrire, ex. { settings, app }
+     * @returns {Promise<boolean>} true une fois les sections enregistrées
+     */
+    save(sections) {
+        // Avant le chargement, l'écriture écraserait le document enregistré
+        if (!this.loaded) {
+            console.warn('⚠️ Données pas encore chargées, enregistrement ignoré');
+            return Promise.resolve(false);
+        }
+
+        Object.entries(sections).forEach(([section, value]) => {
+            if (STORAGE_OBJECT_SECTIONS.includes(section)) {
+                this.patches[section] = {
+                    ...this.patches[section],
+                    ...StorageManager._diff(this.data[section], value)
+                };
+            }
+
+            this.data[section] = value;
+            this.dirtySections.add(section);
+        });
+
+        if (!this.flushing) {
+            this.flushing = Promise.resolve().then(() => this._flush());
+        }
+
+        return this.flushing;
+    }
+
+    /**
+     * Enregistre des sections à la fermeture de la page
+     *
+     * Ni l'écriture regroupée de save() ni une transaction IndexedDB ne sont sûres d'aboutir
+     * pendant pagehide : une copie est écrite tout de suite dans le localStorage, puis reprise
+     * au prochain chargement si l'écriture habituelle n'a pas eu le temps de se terminer.
+     * @param {object} sections - Sections à écrire, ex. { timerState }
+     */
+    saveNow(sections) {
+        if (!this.loaded) {
+            return;
+        }
+
+        try {
+            const pending = StorageManager._readPending();
+            localStorage.setItem(STORAGE_PENDING_KEY, JSON.stringify({ ...pending, ...sections }));
+        } catch (error) {
+            console.warn('⚠️ Copie de fermeture impossible:', error);
+        }
+
+        this.save(sections);
+    }
+
+    /**
+     * Lit les sessions d'une période dans le magasin de l'historique
+     * @param {object} range - { from, to } en ms ou Date (début inclus, fin exclue, par défaut tout)
+     * @returns {Promise<Array>} Entrées triées par heure de début (liste vide en cas d'erreur)
+     */
+    loadHistory({ from = null, to = null } = {}) {
+        return this.load()
+            .then(() => this.adapter.getEntries({ from, to }))
+            .catch(error => {
+                console.error('❌ Erreur lors de la lecture de l\'historique:', error);
+                return [];
+            });
+    }
+
+    /**
+     * Ajoute des sessions à l'historique, sans réécrire les autres
+     * @param {Array} entries - Entrées vérifiées
+     * @returns {Promise<boolean>} true une fois les sessions enregistrées
+     */
+    addHistory(entries) {
+        return this._writeHistory(adapter => adapter.addEntries(entries), { added: entries });
+    }
+
+    /**
+     * Efface les sessions commencées dans une période
+     * @param {object} range - { from, to } en ms (null = sans limite)
+     * @returns {Promise<boolean>} true une fois les sessions effacées
+     */
+    removeHistory({ from = null, to = null } = {}) {
+        const removed = { from: from === null ? null : +from, to: to === null ? null : +to };
+        return this._writeHistory(adapter => adapter.removeEntries(removed), { removed });
+    }
+
+    /**
+     * Remplace tout l'historique (import d'une sauvegarde)
+     * @param {Array} entries - Entrées vérifiées
+     * @returns {Promise<boolean>} true une fois l'historique enregistré
+     */
+    replaceHistory(entries) {
+        return this._writeHistory(adapter => adapter.replaceEntries(entries), { replaced: true });
+    }
+
+    /**
+     * Récupère la version du document
+     * @returns {number}
+     */
+    getVersion() {
+        return this.data.version;
+    }
+
+    /**
+     * Nom du support de stockage utilisé
+     * @returns {string|null}
+     */
+    getAdapterName() {
+        return this.adapter ? this.adapter.name : null;
+    }
+
+    /**
+     * Choisit le support de stockage : IndexedDB s'il répond, sinon localStorage, sinon la mémoire
+     * @returns {Promise}
+     * @private
+     */
+    _selectAdapter() {
+        if (this.adapter) {
+            return Promise.resolve();
+        }
+
+        if (!IndexedDBAdapter.isSupported()) {
+            this._selectFallbackAdapter();
+            return Promise.resolve();
+        }
+
+        const adapter = new IndexedDBAdapter();
+        return adapter.get(StorageManager.key('version')).then(
+            () => {
+                this.adapter = adapter;
+            },
+            (error) => {
+                // Ex. navigation privée de certains navigateurs
+                console.warn('⚠️ IndexedDB indisponible:', error);
+                this._selectFallbackAdapter();
+            }
+        );
+    }
+
+    /**
+     * Se rabat sur le localStorage, ou sur la mémoire si le navigateur le bloque aussi
+     * @private
+     */
+    _selectFallbackAdapter() {
+        if (LocalStorageAdapter.isAvailable()) {
+            console.warn('⚠️ Données conservées dans le localStorage');
+            this.adapter = new LocalStorageAdapter();
+            return;
+        }
+
+        console.warn('⚠️ Aucun stockage persistant disponible, données perdues à la fermeture de la page');
+        this.adapter = new MemoryStorageAdapter();
+    }
+
+    /**
+     * Lit le document, en reprenant celui du localStorage au premier passage sur IndexedDB
+     * @returns {Promise<object>} Document (version 0 s'il n'existe pas encore)
+     * @private
+     */
+    _readDocument() {
+        return this._readFrom(this.adapter)
+            .then(saved => {
+                if (saved !== null || !(this.adapter instanceof IndexedDBAdapter)) {
+                    return saved;
+                }
+
+                return this._readFrom(new LocalStorageAdapter(), { moving: true }).then(previous => {
+                    if (previous !== null) {
+                        console.log(`📦 Données déplacées du localStorage vers ${this.adapter.name}`);
+                    }
+                    return previous;
+                });
+            })
+            .then(saved => {
+                try {
+                    return StorageManager._normalize(saved !== null ? saved : { version: 0 });
+                } catch (error) {
+                    console.error('❌ Document de stockage invalide, données réinitialisées:', error);
+                    return StorageManager._normalize({ version: 0 });
+                }
+            });
+    }
+
+    /**
+     * Lit le document d'un support : sections séparées, ou ancien document unique
+     * @param {object} adapter - Support lu
+     * @param {object} options - { moving : le document quitte ce support, historique compris }
+     * @returns {Promise<object|null>} Document, ou null s'il n'y en a pas
+     * @private
+     */
+    _readFrom(adapter, { moving = false } = {}) {
+        return adapter.get(StorageManager.key('version')).then(version => {
+            if (version === null) {
+                return adapter.get(STORAGE_NAMESPACE).then(saved => {
+                    if (saved !== null) {
+                        this.needsRewrite = true;
+                        if (adapter instanceof LocalStorageAdapter) {
+                            this.obsoleteKeys.push(STORAGE_NAMESPACE);
+                        } else {
+                            this.replacesDocument = true;
+                        }
+                    }
+                    return saved;
+                });
+            }
+
+            const keys = STORAGE_SECTIONS.map(section => StorageManager.key(section));
+            return Promise.all(keys.map(key => adapter.get(key))).then(values => {
+                const data = { version };
+                STORAGE_SECTIONS.forEach((section, index) => {
+                    if (values[index] !== null) {
+                        data[section] = values[index];
+                    }
+                });
+
+                if (!moving) {
+                    return data;
+                }
+
+                this.needsRewrite = true;
+                this.obsoleteKeys.push(StorageManager.key('version'), ...keys, StorageManager.key('history'));
+                return adapter.getEntries().then(history => ({ ...data, history }));
+            });
+        });
+    }
+
+    /**
+     * Applique les migrations en attente et enregistre le résultat
+     * @param {object} data - Document lu
+     * @returns {Promise}
+     * @private
+     */
+    _migrate(data) {
+        this.data = data;
+
+        const pending = data.version > STORAGE_VERSION
+            ? []
+            : STORAGE_MIGRATIONS.filter(migration => migration.version > data.version);
+
+        if (data.version > STORAGE_VERSION) {
+            console.warn(`⚠️ Données enregistrées par une version plus récente (v${data.version})`);
+        }
+
+        pending.forEach(migration => {
+            this.data = { ...StorageManager._normalize(migration.migrate(this.data)), version: migration.version };
+            this.obsoleteKeys.push(...migration.obsoleteKeys);
+            console.log(`🔀 Données migrées en v${migration.version} : ${migration.description}`);
+        });
+
+        if (pending.length === 0 && !this.needsRewrite) {
+            return Promise.resolve();
+        }
+
+        // Les anciennes clés ne sont supprimées qu'une fois le document enregistré
+        return this._writeDocument()
+            .then(() => {
+                this._removeObsoleteKeys();
+                return this.replacesDocument ? this.adapter.remove(STORAGE_NAMESPACE) : null;
+            })
+            .catch(error => {
+                console.error('❌ Erreur lors de l\'enregistrement des données:', error);
+            });
+    }
+
+    /**
+     * Enregistre tout le document, section par section, après une migration ou un déplacement
+     *
+     * L'historique encore dans le document part dans son magasin. La version est écrite
+     * en dernier : interrompue, l'écriture reprend au prochain chargement.
+     * @returns {Promise}
+     * @private
+     */
+    _writeDocument() {
+        const { history, ...data } = this.data;
+        this.data = data;
+
+        const writes = STORAGE_SECTIONS.map(section => this.adapter.set(StorageManager.key(section), data[section]));
+        if (history !== undefined) {
+            writes.push(this.adapter.replaceEntries(history));
+        }
+
+        return Promise.all(writes).then(() => this.adapter.set(StorageManager.key('version'), data.version));
+    }
+
+    /**
+     * Supprime les anciennes clés du localStorage
+     * @private
+     */
+    _removeObsoleteKeys() {
+        try {
+            this.obsoleteKeys.forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            // localStorage bloqué : rien à nettoyer
+        }
+
+        this.obsoleteKeys = [];
+    }
+
+    /**
+     * Enregistre les sections modifiées et les annonce
+     * @returns {Promise<boolean>} true si l'écriture a réussi
+     * @private
+     */
+    _flush() {
+        const sections = {};
+        const patches = this.patches;
+        const dirty = Array.from(this.dirtySections);
+        this.dirtySections.clear();
+        this.patches = {};
+        this.flushing = null;
+
+        const writes = dirty.map(section => {
+            const key = StorageManager.key(section);
+
+            if (!patches[section]) {
+                // Copie : les modifications suivantes n'atteignent pas une écriture en cours
+                sections[section] = JSON.parse(JSON.stringify(this.data[section]));
+                return this.adapter.set(key, sections[section]);
+            }
+
+            if (Object.keys(patches[section]).length === 0) {
+                return null;
+            }
+
+            return this.adapter.update(key, saved => StorageManager._applyPatch(saved, patches[section]))
+                .then(merged => {
+                    sections[section] = merged;
+                    this._mergeSaved(section, merged);
+                });
+        });
+
+        return Promise.all(writes)
+            .then(() => {
+                // Une copie de fermeture plus ancienne ne doit plus remplacer ces sections
+                this._clearPending(Object.keys(sections));
+
+                if (Object.keys(sections).length > 0) {
+                    this._post({ sections });
+                }
+                return true;
+            })
+            .catch(error => {
+                console.error('❌ Erreur lors de l\'enregistrement des données:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Reprend la copie de fermeture laissée par une page dont l'écriture n'a pas abouti
+     *
+     * Toute écriture réussie d'une section retire sa copie : celle qui reste est la plus récente.
+     * @private
+     */
+    _recoverPending() {
+        const pending = StorageManager._readPending();
+        const sections = {};
+
+        Object.keys(pending)
+            .filter(section => STORAGE_SECTIONS.includes(section))
+            .forEach(section => {
+                sections[section] = pending[section];
+            });
+
+        if (Object.keys(sections).length === 0) {
+            return;
+        }
+
+        this.data = StorageManager._normalize({ ...this.data, ...sections });
+        console.log(`💾 Enregistrement de fermeture repris (${Object.keys(sections).join(', ')})`);
+
+        this.save(sections);
+    }
+
+    /**
+     * Retire des sections de la copie de fermeture
+     * @param {string[]} sections - Sections désormais enregistrées
+     * @private
+     */
+    _clearPending(sections) {
+        try {
+            const pending = StorageManager._readPending();
+            if (!sections.some(section => section in pending)) {
+                return;
+            }
+
+            sections.forEach(section => delete pending[section]);
+            if (Object.keys(pending).length > 0) {
+                localStorage.setItem(STORAGE_PENDING_KEY, JSON.stringify(pending));
+            } else {
+                localStorage.removeItem(STORAGE_PENDING_KEY);
+            }
+        } catch (error) {
+            // localStorage bloqué : il n'y a pas de copie
+        }
+    }
+
+    /**
+     * Lit la copie de fermeture
+     * @returns {object} Section → valeur (vide sans copie)
+     * @private
+     */
+    static _readPending() {
+        try {
+            const pending = JSON.parse(localStorage.getItem(STORAGE_PENDING_KEY));
+            return StorageManager._isObject(pending) ? pending : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Reprend les champs qu'un autre onglet avait enregistrés dans une section relue avant écriture
+     * @param {string} section - Section écrite
+     * @param {object} merged - Section enregistrée
+     * @private
+     */
+    _mergeSaved(section, merged) {
+        // Les modifications locales arrivées pendant l'écriture restent prioritaires
+        const local = this.data[section];
+        const next = StorageManager._applyPatch(merged, this.patches[section] || {});
+
+        if (Object.keys(StorageManager._diff(local, next)).length > 0) {
+            this.data[section] = next;
+            this.emit('remoteChange', { [section]: next });
+        }
+    }
+
+    /**
+     * Écrit dans le magasin de l'historique puis annonce la modification
+     * @param {Function} write - Reçoit l'adaptateur, renvoie la Promise de l'écriture
+     * @param {object} change - Modification annoncée aux autres onglets (remoteHistoryChange)
+     * @returns {Promise<boolean>} true si l'écriture a réussi
+     * @private
+     */
+    _writeHistory(write, change) {
+        // Avant le chargement, la migration n'a peut-être pas encore rangé l'historique
+        if (!this.loaded) {
+            console.warn('⚠️ Données pas encore chargées, enregistrement ignoré');
+            return Promise.resolve(false);
+        }
+
+        return write(this.adapter)
+            .then(() => {
+                this._post({ history: change });
+                return true;
+            })
+            .catch(error => {
+                console.error('❌ Erreur lors de l\'enregistrement de l\'historique:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Écoute les modifications des autres onglets et pages
+     * @private
+     */
+    _listen() {
+        // Un support propre à la page (mémoire) n'a rien à partager
+        if (!this.adapter.shared || typeof BroadcastChannel === 'undefined') {
+            return;
+        }
+
+        this.channel = new BroadcastChannel(STORAGE_CHANNEL);
+        this.channel.onmessage = (event) => this._handleRemoteChange(event.data);
+    }
+
+    /**
+     * Annonce une modification aux autres onglets
+     * @param {object} message - { sections } ou { history }
+     * @private
+     */
+    _post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    /**
+     * Intègre les sections ou l'historique modifiés par un autre onglet
+     * @param {object} message - { sections } ou { history }
+     * @private
+     */
+    _handleRemoteChange(message) {
+        if (message && StorageManager._isObject(message.history)) {
+            this.emit('remoteHistoryChange', message.history);
+            return;
+        }
+
+        if (!message || !StorageManager._isObject(message.sections)) {
+            return;
+        }
+
+        this.data = StorageManager._normalize({ ...this.data, ...message.sections });
+        this.emit('remoteChange', message.sections);
+    }
+
+    /**
+     * Arrête l'écoute des autres onglets
+     */
+    destroy() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    /**
+     * Garantit la forme du document, section par section
+     * @param {*} data - Document décodé
+     * @returns {object} Document complet
+     * @private
+     */
+    static _normalize(data) {
+        if (!StorageManager._isObject(data)) {
+            throw new Error('Le document n\'est pas un objet');
+        }
+
+        const normalized = {
+            ...data,
+            version: Number.isInteger(data.version) && data.version >= 0 ? data.version : 0
+        };
+
+        STORAGE_OBJECT_SECTIONS.forEach(section => {
+            if (normalized[section] === undefined) {
+                normalized[section] = {};
+            } else if (!StorageManager._isObject(normalized[section])) {
+                console.warn(`⚠️ Section ${section} invalide, valeurs par défaut utilisées`);
+                normalized[section] = {};
+            }
+        });
+
+        STORAGE_LIST_SECTIONS.forEach(section => {
+            if (normalized[section] !== undefined && !Array.isArray(normalized[section])) {
+                console.warn(`⚠️ Section ${section} invalide, valeurs par défaut utilisées`);
+                normalized[section] = [];
+            }
+        });
+
+        if (!StorageManager._isObject(normalized.timerState)) {
+            normalized.timerState = null;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Champs qui diffèrent entre deux versions d'une section objet
+     * @param {object} previous - Ancienne version
+     * @param {object} next - Nouvelle version
+     * @returns {object} Champ → nouvelle valeur (copie), undefined pour un champ retiré
+     * @private
+     */
+    static _diff(previous, next) {
+        const before = StorageManager._isObject(previous) ? previous : {};
+        const after = StorageManager._isObject(next) ? next : {};
+        const patch = {};
+
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+            if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+                patch[field] = after[field] === undefined ? undefined : JSON.parse(JSON.stringify(after[field]));
+            }
+        });
+
+        return patch;
+    }
+
+    /**
+     * Applique des champs modifiés à une section objet
+     * @param {*} target - Section enregistrée (remplacée par un objet vide si ce n'en est pas un)
+     * @param {object} patch - Champ → valeur, undefined pour retirer le champ
+     * @returns {object} Nouvelle section
+     * @private
+     */
+    static _applyPatch(target, patch) {
+        const result = StorageManager._isObject(target) ? { ...target } : {};
+
+        Object.entries(patch).forEach(([field, value]) => {
+            if (value === undefined) {
+                delete result[field];
+            } else {
+                result[field] = value;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Indique si une valeur est un objet simple
+     * @param {*} value - Valeur à tester
+     * @returns {boolean}
+     * @private
+     */
+    static _isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Exporte la classe
+window.StorageManager = StorageManager;
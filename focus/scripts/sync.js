@@ -0,0 +1,399 @@
+/**
+ * Synchronisation entre onglets pour Focus Chronométré
+ * Un seul onglet fait tourner le chronomètre, les autres le reflètent
+ *
+ * L'onglet propriétaire détient un verrou Web Locks, libéré par le navigateur à sa fermeture.
+ * Sans Web Locks, un bail renouvelé dans localStorage le remplace.
+ */
+
+// Canal de diffusion, verrou et clé du bail de propriété
+const SYNC_CHANNEL = 'focus-chrono';
+const OWNER_LOCK_NAME = StorageManager.key('timerOwner');
+const OWNER_LEASE_KEY = StorageManager.key('timerOwner');
+
+// Cadence du battement de cœur et durée de validité du bail (ms)
+// Un onglet en arrière-plan peut ne battre qu'une fois par minute : le bail doit y survivre
+const HEARTBEAT_INTERVAL = 5000;
+const OWNER_LEASE_DURATION = 3 * 60 * 1000;
+
+// Commandes du chronomètre relayées vers l'onglet propriétaire
+// (les paramètres passent par le stockage partagé : SettingsManager recharge ceux d'un autre onglet)
+const REMOTE_COMMANDS = ['start', 'pause', 'resume', 'reset', 'setMode', 'resetCycle', 'finish', 'setProgram',
+    'addTime', 'subtractTime', 'skip', 'setInterruptionReason'];
+
+/**
+ * Classe de coordination des onglets
+ *
+ * Événements (sync.on(nom, écouteur)) :
+ * - ownershipChange (isOwner)
+ * - remoteComplete (completedMode)
+ */
+class TabSync extends EventEmitter {
+    constructor(timer) {
+        super({ ownershipChange: 'onOwnershipChange', remoteComplete: 'onRemoteComplete' });
+
+        // Chronomètre local
+        this.timer = timer;
+
+        // Identifiant unique de l'onglet
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+        // État de la synchronisation
+        this.enabled = false;
+        this.owner = true;
+        this.channel = null;
+        this.heartbeatId = null;
+
+        // Verrou Web Locks : libération du verrou détenu et abandon de l'attente
+        this.usesLocks = false;
+        this.releaseLock = null;
+        this.lockAbort = null;
+
+        // Implémentations locales des commandes interceptées
+        this.localCommands = {};
+
+        // Callbacks historiques (préférer sync.on())
+        this.onOwnershipChange = null;
+        this.onRemoteComplete = null;
+
+        // Initialisation (résolue une fois le rôle de l'onglet connu)
+        this.ready = this._init();
+    }
+
+    /**
+     * Indique si le navigateur fournit l'API Web Locks
+     * @returns {boolean}
+     */
+    static hasLocks() {
+        return typeof navigator !== 'undefined' && !!navigator.locks;
+    }
+
+    /**
+     * Initialisation de la synchronisation
+     * @returns {Promise} Résolue une fois l'onglet propriétaire ou miroir
+     * @private
+     */
+    _init() {
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('⚠️ BroadcastChannel indisponible, synchronisation entre onglets désactivée');
+            return Promise.resolve();
+        }
+
+        this.enabled = true;
+        this.channel = new BroadcastChannel(SYNC_CHANNEL);
+        this.channel.onmessage = (event) => this._handleMessage(event.data);
+
+        this._interceptCommands();
+        this._guardCompletion();
+
+        const roleKnown = TabSync.hasLocks() ? this._requestLock() : this._initLease();
+
+        return roleKnown.then(() => {
+            // Demande l'état courant à l'onglet propriétaire
+            if (!this.owner) {
+                this._post({ type: 'hello' });
+            }
+
+            console.log(`🔗 Synchronisation initialisée (${this.owner ? 'propriétaire' : 'miroir'})`);
+        });
+    }
+
+    /**
+     * Revendique le verrou de propriété, ou se met en attente derrière l'onglet qui le détient
+     * @returns {Promise} Résolue dès que le rôle de l'onglet est connu
+     * @private
+     */
+    _requestLock() {
+        this.usesLocks = true;
+        this.lockAbort = new AbortController();
+
+        // Le verrou reste détenu tant que cette promesse n'est pas résolue
+        const hold = () => new Promise(resolve => {
+            this.releaseLock = resolve;
+        });
+
+        return new Promise(resolve => {
+            navigator.locks.request(OWNER_LOCK_NAME, { ifAvailable: true }, (lock) => {
+                this._setOwner(!!lock);
+                resolve();
+
+                if (lock) {
+                    return hold();
+                }
+
+                // L'onglet prend la main quand le navigateur libère le verrou du propriétaire
+                navigator.locks.request(OWNER_LOCK_NAME, { signal: this.lockAbort.signal }, () => {
+                    this._setOwner(true);
+                    return hold();
+                }).catch(() => {});
+
+                return null;
+            });
+        });
+    }
+
+    /**
+     * Revendique le bail de propriété et le renouvelle à chaque battement de cœur
+     * @returns {Promise} Résolue immédiatement
+     * @private
+     */
+    _initLease() {
+        this._checkOwnership();
+
+        this.heartbeatId = setInterval(() => this._checkOwnership(), HEARTBEAT_INTERVAL);
+
+        // Libère le bail quand l'onglet se ferme
+        this._handlePageHide = () => this._release();
+        window.addEventListener('pagehide', this._handlePageHide);
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Redirige les commandes vers l'onglet propriétaire quand l'onglet n'est qu'un miroir
+     * @private
+     */
+    _interceptCommands() {
+        REMOTE_COMMANDS.forEach(method => {
+            const local = this.timer[method].bind(this.timer);
+            this.localCommands[method] = local;
+
+            this.timer[method] = (...args) => {
+                if (this.owner) {
+                    return local(...args);
+                }
+
+                // Le résultat n'est connu que du propriétaire : true signifie « commande transmise »,
+                // son effet arrive avec l'état qu'il diffuse
+                this._post({ type: 'command', method, args });
+                return true;
+            };
+        });
+    }
+
+    /**
+     * Vérifie la propriété juste avant qu'une session se termine
+     *
+     * Le worker cadence les ticks même quand l'onglet est en arrière-plan : sans bail
+     * valide, un autre onglet a pu prendre la main et c'est lui qui enregistre la session.
+     * @private
+     */
+    _guardCompletion() {
+        const complete = this.timer._complete.bind(this.timer);
+
+        this.timer._complete = (...args) => {
+            if (!this.usesLocks) {
+                this._checkOwnership();
+            }
+
+            if (this.owner) {
+                complete(...args);
+            }
+        };
+    }
+
+    /**
+     * Renouvelle ou revendique le bail de propriété
+     * @private
+     */
+    _checkOwnership() {
+        const lease = this._readLease();
+        const now = Date.now();
+        const isFree = !lease || lease.id === this.tabId || lease.expires < now;
+
+        if (isFree) {
+            this._writeLease(now + OWNER_LEASE_DURATION);
+        }
+
+        this._setOwner(isFree);
+    }
+
+    /**
+     * Met à jour le rôle de l'onglet
+     * @param {boolean} isOwner - L'onglet possède-t-il le chronomètre
+     * @private
+     */
+    _setOwner(isOwner) {
+        this.timer.passive = !isOwner;
+
+        if (this.owner === isOwner) {
+            return;
+        }
+
+        this.owner = isOwner;
+        console.log(`🔗 Onglet ${isOwner ? 'propriétaire' : 'miroir'} du chronomètre`);
+
+        if (isOwner) {
+            // Termine la session si elle a expiré pendant la passation
+            this.timer._tick();
+            this.publishState(this.timer.serialize());
+        }
+
+        this.emit('ownershipChange', isOwner);
+    }
+
+    /**
+     * Lit le bail de propriété
+     * @returns {object|null} Bail { id, expires }
+     * @private
+     */
+    _readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(OWNER_LEASE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Écrit le bail de propriété
+     * @param {number} expires - Horodatage d'expiration
+     * @private
+     */
+    _writeLease(expires) {
+        localStorage.setItem(OWNER_LEASE_KEY, JSON.stringify({ id: this.tabId, expires }));
+    }
+
+    /**
+     * Libère le bail et prévient les autres onglets
+     * @private
+     */
+    _release() {
+        if (this.usesLocks) {
+            this._releaseLock();
+            return;
+        }
+
+        if (!this.owner) {
+            return;
+        }
+
+        const lease = this._readLease();
+        if (lease && lease.id === this.tabId) {
+            localStorage.removeItem(OWNER_LEASE_KEY);
+        }
+
+        this.owner = false;
+        this._post({ type: 'release' });
+    }
+
+    /**
+     * Rend le verrou de propriété ou abandonne son attente
+     * @private
+     */
+    _releaseLock() {
+        this.lockAbort.abort();
+
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+
+        this.owner = false;
+    }
+
+    /**
+     * Traite un message d'un autre onglet
+     * @param {object} message - Message reçu
+     * @private
+     */
+    _handleMessage(message) {
+        switch (message.type) {
+            case 'hello':
+                if (this.owner) {
+                    this.publishState(this.timer.serialize());
+                }
+                break;
+
+            case 'command':
+                if (this.owner && this.localCommands[message.method]) {
+                    this.localCommands[message.method](...message.args);
+                }
+                break;
+
+            case 'state':
+                if (!this.owner) {
+                    this.timer.restore(message.snapshot);
+                }
+                break;
+
+            case 'complete':
+                if (!this.owner) {
+                    this.emit('remoteComplete', message.mode);
+                }
+                break;
+
+            case 'release':
+                // Avec Web Locks, le navigateur transmet lui-même le verrou
+                if (this.usesLocks) {
+                    break;
+                }
+
+                // Décalage aléatoire pour limiter les revendications simultanées
+                setTimeout(() => this._checkOwnership(), Math.random() * 300);
+                break;
+        }
+    }
+
+    /**
+     * Envoie un message aux autres onglets
+     * @param {object} message - Message à diffuser
+     * @private
+     */
+    _post(message) {
+        if (this.channel) {
+            this.channel.postMessage({ ...message, from: this.tabId });
+        }
+    }
+
+    /**
+     * Diffuse l'état du chronomètre aux onglets miroirs
+     * @param {object} snapshot - Instantané du chronomètre
+     */
+    publishState(snapshot) {
+        if (this.owner) {
+            this._post({ type: 'state', snapshot });
+        }
+    }
+
+    /**
+     * Annonce la fin d'une session aux onglets miroirs
+     * @param {string} completedMode - Mode qui vient de se terminer
+     */
+    publishComplete(completedMode) {
+        if (this.owner) {
+            this._post({ type: 'complete', mode: completedMode });
+        }
+    }
+
+    /**
+     * Indique si cet onglet fait tourner le chronomètre
+     * @returns {boolean}
+     */
+    isOwner() {
+        return this.owner;
+    }
+
+    /**
+     * Nettoie la synchronisation
+     */
+    destroy() {
+        if (!this.enabled) {
+            return;
+        }
+
+        clearInterval(this.heartbeatId);
+        this.heartbeatId = null;
+        this._release();
+        if (this._handlePageHide) {
+            window.removeEventListener('pagehide', this._handlePageHide);
+        }
+        this.channel.close();
+        this.channel = null;
+
+        console.log('🗑️ Synchronisation nettoyée');
+    }
+}
+
+// Exporte la classe
+window.TabSync = TabSync;
@@ -0,0 +1,62 @@
+/**
+ * Moteur de compte à rebours pour Focus Chronométré
+ * Exécuté dans un Web Worker : les ticks ne dépendent pas de la charge du thread principal
+ *
+ * Messages reçus :
+ * - { type: 'start', endTime, interval } : compte jusqu'à l'heure de fin absolue
+ * - { type: 'stop' } : arrête le compte
+ *
+ * Messages envoyés :
+ * - { type: 'tick', remainingMs } : à chaque intervalle
+ * - { type: 'complete' } : une seule fois, quand l'heure de fin est atteinte
+ */
+
+// Compte en cours
+let endTime = null;
+let intervalId = null;
+let completionTimeoutId = null;
+
+/**
+ * Arrête l'intervalle et le délai de fin
+ */
+function stop() {
+    clearInterval(intervalId);
+    clearTimeout(completionTimeoutId);
+    intervalId = null;
+    completionTimeoutId = null;
+    endTime = null;
+}
+
+/**
+ * Démarre le compte jusqu'à l'heure de fin
+ * @param {number} targetEndTime - Heure de fin absolue (ms)
+ * @param {number} interval - Fréquence des ticks (ms)
+ */
+function start(targetEndTime, interval) {
+    stop();
+    endTime = targetEndTime;
+
+    intervalId = setInterval(() => {
+        self.postMessage({ type: 'tick', remainingMs: endTime - Date.now() });
+    }, interval);
+
+    // Garantit une fin à l'heure même si des ticks sont sautés
+    completionTimeoutId = setTimeout(() => {
+        completionTimeoutId = null;
+        self.postMessage({ type: 'complete' });
+    }, Math.max(0, endTime - Date.now()));
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'start':
+            start(message.endTime, message.interval);
+            break;
+
+        case 'stop':
+            stop();
+            break;
+    }
+};
@@ -6,6 +6,10 @@
 // Constantes de configuration
 const DEFAULT_FOCUS_TIME = 25 * 60; // 25 minutes en secondes
 const DEFAULT_BREAK_TIME = 5 * 60;  // 5 minutes en secondes
+const DEFAULT_LONG_BREAK_TIME = 15 * 60; // 15 minutes en secondes
+const DEFAULT_CYCLES_BEFORE_LONG_BREAK = 4;
+const TICK_INTERVAL = 250;          // Fréquence de lecture de l'horloge en ms
+const RESTORE_GAP_TOLERANCE = 60 * 1000; // Page fermée moins longtemps (ex. rechargement) : rien à demander
 
 // État global du chronomètre
 const TimerState = {
@@ -14,28 +18,126 @@ const TimerState = {
     PAUSED: 'paused'
 };
 
+// Modes disponibles
+const TIMER_MODES = ['focus', 'break', 'longBreak'];
+
+// Façons de compter une session de focus
+const COUNT_MODES = {
+    COUNTDOWN: 'countdown', // durée fixe
+    TARGET: 'target',       // jusqu'à une heure de l'horloge
+    STOPWATCH: 'stopwatch'  // chronomètre libre, sans fin prévue
+};
+
+// Raisons possibles d'une interruption du focus
+const INTERRUPTION_REASONS = ['colleague', 'phone', 'meeting', 'other'];
+
+// Heure de l'horloge au format 'HH:MM'
+const CLOCK_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Propriétés de rappel historiques, toujours prises en charge
+const TIMER_LEGACY_CALLBACKS = {
+    tick: 'onTick',
+    modeChange: 'onModeChange',
+    complete: 'onComplete',
+    stateChange: 'onStateChange',
+    overtime: 'onOvertime'
+};
+
 /**
  * Classe principale du chronomètre
+ *
+ * Événements (timer.on(nom, écouteur)) :
+ * - tick (timeLeft, totalTime, mode)
+ * - start (mode), pause (mode), resume (mode), reset (mode)
+ * - abandon (mode, session) : focus réinitialisé avant la fin
+ * - modeChange (newMode, oldMode)
+ * - durationChange (mode, seconds)
+ * - adjust (mode, seconds, totalTime) : temps ajouté ou retiré à la session en cours
+ * - skip (skippedMode, session), session comprenant started (false si la phase n'a pas démarré)
+ * - overtime (mode)
+ * - complete (completedMode, session)
+ * - expire (expiredMode, session) : session terminée pendant que la page était fermée (restore)
+ * - stateChange (snapshot)
+ *
+ * Une session décrit le temps passé : { startedAt, endedAt (ms), plannedDuration, duration,
+ * adjustment (s), interruptions, label (tâche du focus, null sans tâche) }
+ *
+ * L'heure et les minuteries viennent d'une horloge injectable (SystemClock par défaut,
+ * VirtualClock pour dérouler des cycles entiers sans attendre)
  */
-class FocusTimer {
-    constructor() {
+class FocusTimer extends EventEmitter {
+    /**
+     * @param {object} options - clock : horloge fournissant now() et les minuteries
+     */
+    constructor({ clock = new SystemClock() } = {}) {
+        super(TIMER_LEGACY_CALLBACKS);
+        
+        // Source de l'heure et planificateur des ticks
+        this.clock = clock;
+        
         // État initial
         this.state = TimerState.STOPPED;
-        this.mode = 'focus'; // 'focus' ou 'break'
+        this.mode = 'focus'; // 'focus', 'break' ou 'longBreak'
         this.timeLeft = DEFAULT_FOCUS_TIME;
         this.totalTime = DEFAULT_FOCUS_TIME;
         
         // Configuration
         this.focusDuration = DEFAULT_FOCUS_TIME;
         this.breakDuration = DEFAULT_BREAK_TIME;
+        this.longBreakDuration = DEFAULT_LONG_BREAK_TIME;
+        this.cyclesBeforeLongBreak = DEFAULT_CYCLES_BEFORE_LONG_BREAK;
+        
+        // Façon de compter le focus hors programme, et heure visée ('HH:MM') en mode cible
+        this.countMode = COUNT_MODES.COUNTDOWN;
+        this.targetTime = null;
+        
+        // Façon de compter la session en cours, figée au démarrage de la phase
+        this.sessionType = COUNT_MODES.COUNTDOWN;
         
-        // Référence à l'intervalle
+        // Tâche en cours, et celle de la session de focus, figée à son démarrage
+        this.taskLabel = '';
+        this.label = null;
+        
+        // Position dans le cycle Pomodoro (1 à cyclesBeforeLongBreak)
+        this.cycle = 1;
+        
+        // Programme d'intervalles personnalisé (null = cycle Pomodoro classique)
+        this.program = null;
+        this.phaseIndex = 0;
+        
+        // Prolongation : le focus continue de compter au-delà de zéro
+        this.allowOvertime = false;
+        this.inOvertime = false;
+        
+        // Temps ajouté (positif) ou retiré (négatif) à la session en cours, en secondes
+        this.adjustment = 0;
+        
+        // Pauses de la session de focus en cours : { at, duration (s, null si en cours), reason, auto }
+        this.interruptions = [];
+        
+        // Premier démarrage de la session en cours (ms, null tant qu'elle n'a pas démarré)
+        this.startedAt = null;
+        
+        // Début de la pause en cours (ms), antérieur à l'appel pour une pause automatique
+        this.pausedAt = null;
+        
+        // Miroir d'un autre onglet : affiche le temps sans jamais terminer la session
+        this.passive = false;
+        
+        // Horloge murale : fin absolue de la session et reste figé en pause (ms)
+        this.endTime = null;
+        this.remainingMs = null;
+        
+        // Références à l'intervalle et au délai de fin
         this.intervalId = null;
+        this.completionTimeoutId = null;
         
-        // Callbacks pour la mise à jour de l'UI
+        // Callbacks historiques pour la mise à jour de l'UI (préférer timer.on())
         this.onTick = null;
         this.onModeChange = null;
         this.onComplete = null;
+        this.onStateChange = null;
+        this.onOvertime = null;
         
         // Initialisation
         this._init();
@@ -46,6 +148,17 @@ class FocusTimer {
      * @private
      */
     _init() {
+        // Recalcule le temps restant dès que l'onglet redevient visible (hors page : rien à surveiller)
+        this._handleVisibilityChange = () => {
+            if (!document.hidden && this.state === TimerState.RUNNING) {
+                this._tick();
+            }
+        };
+        
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this._handleVisibilityChange);
+        }
+        
         console.log('🕒 Chronomètre initialisé');
     }
     
@@ -58,63 +171,172 @@ class FocusTimer {
             return;
         }
         
+        const isResuming = this.state === TimerState.PAUSED;
+        
+        // La durée jusqu'à l'heure visée est calculée au moment du démarrage
+        if (!isResuming && this.sessionType === COUNT_MODES.TARGET) {
+            this._resetTime();
+        }
+        
         this.state = TimerState.RUNNING;
-        console.log(`▶️ Chronomètre démarré (${this.mode})`);
+        console.log(`▶️ Chronomètre ${isResuming ? 'repris' : 'démarré'} (${this.mode})`);
         
-        // Démarre l'intervalle
-        this.intervalId = setInterval(() => {
-            this._tick();
-        }, 1000);
+        if (!isResuming) {
+            this.startedAt = this.clock.now();
+            this.label = this.mode === 'focus' ? this.taskLabel || null : null;
+        }
+        
+        // Fixe l'heure de fin absolue à partir du temps restant
+        const remainingMs = this.remainingMs !== null ? this.remainingMs : this.timeLeft * 1000;
+        this.endTime = this.clock.now() + remainingMs;
+        this.remainingMs = null;
+        this.pausedAt = null;
+        
+        // Clôt l'interruption en cours
+        this._closeInterruption();
+        
+        this._startTicking();
+        
+        this.emit(isResuming ? 'resume' : 'start', this.mode);
         
         // Premier tick immédiat
-        this._tick();
+        this._tick(true);
+        
+        this._notifyStateChange();
     }
     
     /**
      * Met en pause le chronomètre
+     * @param {string|null} reason - Raison de l'interruption ('colleague', 'phone', 'meeting', 'other')
+     * @param {object} options - at : début de la pause dans le passé (ms) ; auto : pause déclenchée par l'inactivité
      */
-    pause() {
+    pause(reason = null, { at = null, auto = false } = {}) {
         if (this.state !== TimerState.RUNNING) {
             console.warn('Chronomètre non en cours');
             return;
         }
         
+        // Une pause antidatée ne remonte jamais avant le début de la session
+        const now = this.clock.now();
+        const sessionStart = this.endTime - this.totalTime * 1000;
+        this.pausedAt = at === null ? now : Math.min(now, Math.max(at, sessionStart));
+        
+        // Fige le temps restant exact avant d'arrêter l'horloge
+        const remainingMs = this.endTime - this.pausedAt;
+        this.remainingMs = this._canOvertime() ? remainingMs : Math.max(0, remainingMs);
+        this.timeLeft = Math.ceil(this.remainingMs / 1000) || 0;
+        this.inOvertime = this.inOvertime && this.remainingMs <= 0;
+        this.endTime = null;
+        
         this.state = TimerState.PAUSED;
-        console.log('⏸️ Chronomètre mis en pause');
+        console.log(`⏸️ Chronomètre mis en pause${auto ? ' (inactivité)' : ''}`);
+        
+        // Seules les pauses pendant le focus comptent comme des interruptions
+        if (this.mode === 'focus') {
+            this.interruptions.push({
+                at: this.pausedAt,
+                duration: null,
+                reason: INTERRUPTION_REASONS.includes(reason) ? reason : null,
+                auto
+            });
+        }
         
         // Arrête l'intervalle
-        clearInterval(this.intervalId);
-        this.intervalId = null;
+        this._stopTicking();
+        
+        this.emit('pause', this.mode);
+        this._notifyStateChange();
     }
     
     /**
      * Reprend le chronomètre
+     * @param {boolean} keepPausedTime - Compte la durée de la pause comme du temps de session
+     *                                   (ex. absence détectée à tort)
      */
-    resume() {
+    resume(keepPausedTime = false) {
         if (this.state !== TimerState.PAUSED) {
             console.warn('Chronomètre non en pause');
             return;
         }
         
+        if (keepPausedTime && this.pausedAt !== null) {
+            const remainingMs = this.remainingMs - (this.clock.now() - this.pausedAt);
+            this.remainingMs = this._canOvertime() ? remainingMs : Math.max(0, remainingMs);
+            
+            // La pause est effacée : ce n'était pas une interruption
+            const last = this.interruptions[this.interruptions.length - 1];
+            if (last && last.duration === null) {
+                this.interruptions.pop();
+            }
+            
+            console.log('⏯️ Temps de pause conservé');
+        }
+        
         this.start();
     }
     
+    /**
+     * Précise la raison de la dernière interruption
+     * @param {string} reason - 'colleague', 'phone', 'meeting' ou 'other'
+     */
+    setInterruptionReason(reason) {
+        const last = this.interruptions[this.interruptions.length - 1];
+        
+        if (!last || !INTERRUPTION_REASONS.includes(reason)) {
+            console.warn('Raison d\'interruption ignorée:', reason);
+            return;
+        }
+        
+        last.reason = reason;
+        console.log(`📝 Interruption: ${reason}`);
+        
+        this._notifyStateChange();
+    }
+    
+    /**
+     * Clôt l'interruption en cours en calculant sa durée
+     * @private
+     */
+    _closeInterruption() {
+        const last = this.interruptions[this.interruptions.length - 1];
+        
+        if (last && last.duration === null) {
+            last.duration = Math.round((this.clock.now() - last.at) / 1000);
+        }
+    }
+    
+    /**
+     * Calcule le temps passé sur la session en cours
+     * @returns {number} Secondes écoulées (0 si la session n'a pas commencé)
+     * @private
+     */
+    _getElapsed() {
+        if (this.state === TimerState.STOPPED) {
+            return 0;
+        }
+        
+        const remainingMs = this.state === TimerState.RUNNING ? this._getRemainingMs() : this.remainingMs;
+        return Math.max(0, this.totalTime - (Math.ceil(remainingMs / 1000) || 0));
+    }
+    
     /**
      * Réinitialise le chronomètre
-     * @param {string} mode - Mode à réinitialiser ('focus' ou 'break')
+     * @param {string} mode - Mode à réinitialiser ('focus', 'break' ou 'longBreak')
      */
     reset(mode = null) {
         // Arrête l'intervalle s'il est en cours
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
+        this._stopTicking();
+        
+        // Un focus commencé puis réinitialisé est abandonné
+        this._abandonSession();
         
         // Met à jour l'état
         this.state = TimerState.STOPPED;
         
         // Change le mode si spécifié
-        if (mode) {
+        if (mode && this.program) {
+            this._seekPhase(mode);
+        } else if (mode) {
             this.mode = mode;
         }
         
@@ -123,10 +345,28 @@ class FocusTimer {
         
         console.log('🔄 Chronomètre réinitialisé');
         
+        this.emit('reset', this.mode);
+        
         // Notifie l'UI
-        if (this.onTick) {
-            this.onTick(this.timeLeft, this.totalTime, this.mode);
+        this.emit('tick', this.timeLeft, this.totalTime, this.mode);
+        
+        this._notifyStateChange();
+    }
+    
+    /**
+     * Abandonne le focus commencé (réinitialisé, ou remplacé par un autre mode ou programme)
+     * @private
+     */
+    _abandonSession() {
+        if (this.mode !== 'focus' || this.state === TimerState.STOPPED) {
+            return;
         }
+        
+        this._closeInterruption();
+        
+        const session = this._describeSession(this._getElapsed());
+        console.log(`🚫 Session de focus abandonnée (${session.duration} s)`);
+        this.emit('abandon', this.mode, session);
     }
     
     /**
@@ -134,72 +374,400 @@ class FocusTimer {
      * @private
      */
     _resetTime() {
-        if (this.mode === 'focus') {
-            this.timeLeft = this.focusDuration;
-            this.totalTime = this.focusDuration;
+        this.endTime = null;
+        this.remainingMs = null;
+        this.inOvertime = false;
+        this.adjustment = 0;
+        this.interruptions = [];
+        this.pausedAt = null;
+        this.startedAt = null;
+        this.label = null;
+        
+        // Les programmes et les pauses gardent toujours une durée fixe
+        this.sessionType = !this.program && this.mode === 'focus'
+            ? this.countMode
+            : COUNT_MODES.COUNTDOWN;
+        
+        let duration;
+        if (this.program) {
+            duration = this.getCurrentPhase().duration * 60;
+        } else if (this.sessionType === COUNT_MODES.TARGET) {
+            duration = FocusTimer.getSecondsUntil(this.targetTime, this.clock.now());
+        } else if (this.sessionType === COUNT_MODES.STOPWATCH) {
+            duration = 0;
         } else {
-            this.timeLeft = this.breakDuration;
-            this.totalTime = this.breakDuration;
+            duration = this._getModeDuration(this.mode);
+        }
+        
+        this.timeLeft = duration;
+        this.totalTime = duration;
+    }
+    
+    /**
+     * Récupère la durée configurée pour un mode
+     * @param {string} mode - Mode concerné
+     * @returns {number} Durée en secondes
+     * @private
+     */
+    _getModeDuration(mode) {
+        switch (mode) {
+            case 'break':
+                return this.breakDuration;
+            case 'longBreak':
+                return this.longBreakDuration;
+            default:
+                return this.focusDuration;
         }
     }
     
     /**
-     * Exécute un tick du chronomètre (appelé chaque seconde)
+     * Lance l'intervalle de lecture de l'horloge et le délai de fin
      * @private
      */
-    _tick() {
-        // Décrémente le temps
-        this.timeLeft--;
+    _startTicking() {
+        this._stopTicking();
         
-        // Notifie l'UI du tick
-        if (this.onTick) {
-            this.onTick(this.timeLeft, this.totalTime, this.mode);
+        this.intervalId = this.clock.setInterval(() => {
+            this._tick();
+        }, TICK_INTERVAL);
+        
+        // Garantit une fin à l'heure même si des ticks sont sautés
+        this.completionTimeoutId = this.clock.setTimeout(() => {
+            this._tick();
+        }, Math.max(0, this.endTime - this.clock.now()));
+    }
+    
+    /**
+     * Arrête l'intervalle et le délai de fin
+     * @private
+     */
+    _stopTicking() {
+        if (this.intervalId) {
+            this.clock.clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        
+        if (this.completionTimeoutId) {
+            this.clock.clearTimeout(this.completionTimeoutId);
+            this.completionTimeoutId = null;
+        }
+    }
+    
+    /**
+     * Recalcule le temps restant à partir de l'horloge réelle
+     * @param {boolean} force - Notifie l'UI même si la seconde affichée n'a pas changé
+     * @private
+     */
+    _tick(force = false) {
+        if (this.state !== TimerState.RUNNING) {
+            return;
+        }
+        
+        const remainingMs = this._getRemainingMs();
+        const timeLeft = Math.ceil(remainingMs / 1000) || 0;
+        
+        // Notifie l'UI uniquement quand la seconde affichée change
+        if (force || timeLeft !== this.timeLeft) {
+            this.timeLeft = timeLeft;
+            
+            this.emit('tick', this.timeLeft, this.totalTime, this.mode);
+        }
+        
+        if (remainingMs > 0) {
+            return;
         }
         
-        // Vérifie si le temps est écoulé
-        if (this.timeLeft <= 0) {
+        // Prolongation : le chronomètre continue de compter au-delà de zéro
+        if (this._canOvertime()) {
+            if (!this.inOvertime && !this.isStopwatch()) {
+                this.inOvertime = true;
+                console.log('⏩ Prolongation démarrée');
+                
+                if (!this.passive) {
+                    this.emit('overtime', this.mode);
+                }
+            }
+            return;
+        }
+        
+        // Temps écoulé (l'onglet propriétaire s'en charge en mode miroir)
+        if (!this.passive) {
             this._complete();
         }
     }
     
+    /**
+     * Calcule le temps restant en ms, négatif pendant une prolongation
+     * @returns {number} Temps restant en millisecondes
+     * @private
+     */
+    _getRemainingMs() {
+        const remainingMs = this.endTime - this.clock.now();
+        return this._canOvertime() ? remainingMs : Math.max(0, remainingMs);
+    }
+    
+    /**
+     * Indique si la session en cours peut passer en prolongation
+     * @returns {boolean}
+     * @private
+     */
+    _canOvertime() {
+        return (this.allowOvertime && this.mode === 'focus') || this.isStopwatch();
+    }
+    
+    /**
+     * Indique si la session en cours est un chronomètre libre (compte vers le haut)
+     * @returns {boolean}
+     */
+    isStopwatch() {
+        return this.sessionType === COUNT_MODES.STOPWATCH;
+    }
+    
+    /**
+     * Termine la prolongation ou le chronomètre libre en cours et enregistre la session
+     */
+    finish() {
+        if ((!this.inOvertime && !this.isStopwatch()) || this.state === TimerState.STOPPED) {
+            console.warn('Aucune prolongation en cours');
+            return;
+        }
+        
+        // Actualise le temps écoulé avant de clore la session
+        this._tick();
+        this._complete();
+    }
+    
+    /**
+     * Ajoute des minutes à la session en cours
+     * @param {number} minutes - Minutes à ajouter
+     * @returns {boolean} true si la durée a changé
+     */
+    addTime(minutes = 1) {
+        return this._adjustTime(minutes);
+    }
+    
+    /**
+     * Retire des minutes à la session en cours (la termine s'il reste moins de temps)
+     * @param {number} minutes - Minutes à retirer
+     * @returns {boolean} true si la durée a changé
+     */
+    subtractTime(minutes = 1) {
+        return this._adjustTime(-minutes);
+    }
+    
+    /**
+     * Décale la fin de la session en cours
+     * @param {number} minutes - Minutes à ajouter (négatif pour retirer)
+     * @returns {boolean} true si la durée a changé
+     * @private
+     */
+    _adjustTime(minutes) {
+        if (this.state === TimerState.STOPPED) {
+            console.warn('Aucune session en cours');
+            return false;
+        }
+        
+        // Un chronomètre libre n'a pas de fin à décaler
+        if (this.isStopwatch()) {
+            console.warn('Le chronomètre libre n\'a pas de durée');
+            return false;
+        }
+        
+        const isRunning = this.state === TimerState.RUNNING;
+        const remainingMs = isRunning ? this._getRemainingMs() : this.remainingMs;
+        
+        // On ne retire jamais plus que le temps restant
+        const maxRemoval = Math.ceil(Math.max(0, remainingMs) / 1000);
+        const seconds = Math.max(Math.round(minutes * 60), -maxRemoval);
+        
+        if (seconds === 0) {
+            return false;
+        }
+        
+        this.totalTime += seconds;
+        this.adjustment += seconds;
+        
+        if (isRunning) {
+            this.endTime += seconds * 1000;
+        } else {
+            this.remainingMs += seconds * 1000;
+            this.timeLeft = Math.ceil(this.remainingMs / 1000) || 0;
+        }
+        
+        // Du temps ajouté pendant une prolongation peut relancer le compte à rebours
+        if (this.inOvertime && (isRunning ? this._getRemainingMs() : this.remainingMs) > 0) {
+            this.inOvertime = false;
+        }
+        
+        console.log(`⏱️ ${seconds > 0 ? '+' : ''}${seconds} s sur la session ${this.mode}`);
+        
+        this.emit('adjust', this.mode, seconds, this.totalTime);
+        this._notifyStateChange();
+        
+        if (isRunning) {
+            // Recale le délai de fin (la session se termine si plus rien ne reste)
+            this._startTicking();
+            this._tick(true);
+        } else if (this.remainingMs <= 0 && !this._canOvertime()) {
+            this._complete();
+        } else {
+            this.emit('tick', this.timeLeft, this.totalTime, this.mode);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Passe directement à la phase suivante sans terminer la session en cours
+     */
+    skip() {
+        this._stopTicking();
+        
+        // Temps passé sur la phase abandonnée
+        const started = this.state !== TimerState.STOPPED;
+        this._closeInterruption();
+        const session = { ...this._describeSession(this._getElapsed()), started };
+        
+        this.state = TimerState.STOPPED;
+        this.endTime = null;
+        
+        const skippedMode = this.mode;
+        console.log(`⏭️ Phase ${skippedMode} passée (${session.duration} s)`);
+        
+        this._advance();
+        this._notifyStateChange();
+        
+        this.emit('skip', skippedMode, session);
+    }
+    
     /**
      * Gère la fin d'une session
      * @private
      */
     _complete() {
         // Arrête l'intervalle
-        clearInterval(this.intervalId);
-        this.intervalId = null;
+        this._stopTicking();
+        
+        // Une prolongation peut être terminée depuis la pause
+        this._closeInterruption();
+        
+        // Temps réellement passé, prolongation comprise
+        const session = this._describeSession(this.totalTime - this.timeLeft);
         
         // Met à jour l'état
         this.state = TimerState.STOPPED;
+        this.timeLeft = 0;
+        this.endTime = null;
+        
+        const completedMode = this.mode;
+        console.log(`✅ Session ${completedMode} terminée (${session.duration} s)`);
         
-        console.log(`✅ Session ${this.mode} terminée`);
+        // Enchaîne automatiquement sur la phase suivante du cycle
+        this._advance();
+        this._notifyStateChange();
         
         // Appelle le callback de complétion
-        if (this.onComplete) {
-            this.onComplete(this.mode);
+        this.emit('complete', completedMode, session);
+    }
+    
+    /**
+     * Décrit la session en cours au moment où elle se termine
+     * @param {number} duration - Temps passé en secondes
+     * @returns {object} { startedAt, endedAt, plannedDuration, duration, adjustment, interruptions, label }
+     * @private
+     */
+    _describeSession(duration) {
+        return {
+            startedAt: this.startedAt,
+            endedAt: this.clock.now(),
+            // Un chronomètre libre n'a pas de durée prévue
+            plannedDuration: this.sessionType === COUNT_MODES.STOPWATCH ? null : this.totalTime - this.adjustment,
+            duration,
+            adjustment: this.adjustment,
+            interruptions: this.interruptions,
+            label: this.label
+        };
+    }
+    
+    /**
+     * Détermine le mode qui suit le mode actuel dans le cycle Pomodoro
+     * @returns {string} Mode suivant
+     */
+    getNextMode() {
+        if (this.program) {
+            const nextIndex = (this.phaseIndex + 1) % this.program.phases.length;
+            return ProgramLibrary.getPhaseMode(this.program.phases[nextIndex]);
         }
+        
+        if (this.mode !== 'focus') {
+            return 'focus';
+        }
+        
+        return this.cycle >= this.cyclesBeforeLongBreak ? 'longBreak' : 'break';
+    }
+    
+    /**
+     * Passe à la phase suivante et fait avancer le compteur de cycles
+     * @private
+     */
+    _advance() {
+        const oldMode = this.mode;
+        const newMode = this.getNextMode();
+        
+        // Un programme avance d'une phase et reboucle après la dernière
+        if (this.program) {
+            this.phaseIndex = (this.phaseIndex + 1) % this.program.phases.length;
+        } else if (oldMode === 'break') {
+            // Une pause courte termine le cycle, une pause longue recommence la série
+            this.cycle++;
+        } else if (oldMode === 'longBreak') {
+            this.cycle = 1;
+        }
+        
+        this.mode = newMode;
+        this._resetTime();
+        
+        // Notifie le changement de mode
+        this.emit('modeChange', newMode, oldMode);
+        
+        // Notifie l'UI du tick
+        this.emit('tick', this.timeLeft, this.totalTime, this.mode);
     }
     
     /**
-     * Change le mode (focus/break)
+     * Recommence le cycle Pomodoro au premier focus
+     */
+    resetCycle() {
+        this.cycle = 1;
+        this.phaseIndex = 0;
+        
+        console.log('🔁 Cycle Pomodoro réinitialisé');
+        
+        this._notifyStateChange();
+    }
+    
+    /**
+     * Change le mode (focus/break/longBreak)
      * @param {string} newMode - Nouveau mode
      */
     setMode(newMode) {
-        if (newMode !== 'focus' && newMode !== 'break') {
+        if (!TIMER_MODES.includes(newMode)) {
             console.error('Mode invalide:', newMode);
             return;
         }
         
-        // Arrête le chronomètre s'il est en cours
-        if (this.state === TimerState.RUNNING) {
-            this.pause();
-        }
+        // Arrête le chronomètre : un focus commencé est abandonné, comme avec reset()
+        this._stopTicking();
+        this._abandonSession();
+        this.state = TimerState.STOPPED;
         
-        // Change le mode
+        // Change le mode (dans un programme : prochaine phase de ce type)
         const oldMode = this.mode;
-        this.mode = newMode;
+        if (this.program) {
+            this._seekPhase(newMode);
+        } else {
+            this.mode = newMode;
+        }
         
         // Réinitialise le temps
         this._resetTime();
@@ -207,14 +775,70 @@ class FocusTimer {
         console.log(`🔄 Mode changé: ${oldMode} → ${newMode}`);
         
         // Notifie le changement de mode
-        if (this.onModeChange) {
-            this.onModeChange(newMode, oldMode);
-        }
+        this.emit('modeChange', newMode, oldMode);
         
         // Notifie l'UI du tick
-        if (this.onTick) {
-            this.onTick(this.timeLeft, this.totalTime, this.mode);
+        this.emit('tick', this.timeLeft, this.totalTime, this.mode);
+        
+        this._notifyStateChange();
+    }
+    
+    /**
+     * Positionne le programme sur la prochaine phase correspondant à un mode
+     * @param {string} mode - 'focus' ou une pause
+     * @private
+     */
+    _seekPhase(mode) {
+        const phases = this.program.phases;
+        const wanted = mode === 'focus' ? 'focus' : 'break';
+        
+        for (let offset = 0; offset < phases.length; offset++) {
+            const index = (this.phaseIndex + offset) % phases.length;
+            
+            if (ProgramLibrary.getPhaseMode(phases[index]) === wanted) {
+                this.phaseIndex = index;
+                break;
+            }
         }
+        
+        this.mode = ProgramLibrary.getPhaseMode(phases[this.phaseIndex]);
+    }
+    
+    /**
+     * Applique un programme d'intervalles et repart de sa première phase
+     * @param {object|null} program - Programme à suivre (null = cycle Pomodoro classique)
+     */
+    setProgram(program) {
+        // Un focus commencé est abandonné, comme avec reset()
+        this._stopTicking();
+        this._abandonSession();
+        
+        const oldMode = this.mode;
+        this.state = TimerState.STOPPED;
+        this.program = program ? ProgramLibrary.clone(program) : null;
+        this.phaseIndex = 0;
+        this.cycle = 1;
+        this.mode = this.program ? ProgramLibrary.getPhaseMode(this.program.phases[0]) : 'focus';
+        this._resetTime();
+        
+        console.log(`📋 Programme appliqué: ${this.program ? this.program.name : 'Pomodoro'}`);
+        
+        if (oldMode !== this.mode) {
+            this.emit('modeChange', this.mode, oldMode);
+        }
+        
+        // Notifie l'UI
+        this.emit('tick', this.timeLeft, this.totalTime, this.mode);
+        
+        this._notifyStateChange();
+    }
+    
+    /**
+     * Récupère la phase en cours du programme
+     * @returns {object|null} Phase { name, duration, kind } ou null hors programme
+     */
+    getCurrentPhase() {
+        return this.program ? this.program.phases[this.phaseIndex] : null;
     }
     
     /**
@@ -226,16 +850,15 @@ class FocusTimer {
         this.focusDuration = seconds;
         
         // Si on est en mode focus et que le chronomètre est arrêté, met à jour le temps
-        if (this.mode === 'focus' && this.state === TimerState.STOPPED) {
+        if (!this.program && this.mode === 'focus' && this.state === TimerState.STOPPED) {
             this.timeLeft = seconds;
             this.totalTime = seconds;
             
             // Notifie l'UI
-            if (this.onTick) {
-                this.onTick(this.timeLeft, this.totalTime, this.mode);
-            }
+            this.emit('tick', this.timeLeft, this.totalTime, this.mode);
         }
         
+        this.emit('durationChange', 'focus', seconds);
         console.log(`🎯 Durée focus définie: ${minutes} minutes`);
     }
     
@@ -248,30 +871,147 @@ class FocusTimer {
         this.breakDuration = seconds;
         
         // Si on est en mode break et que le chronomètre est arrêté, met à jour le temps
-        if (this.mode === 'break' && this.state === TimerState.STOPPED) {
+        if (!this.program && this.mode === 'break' && this.state === TimerState.STOPPED) {
             this.timeLeft = seconds;
             this.totalTime = seconds;
             
             // Notifie l'UI
-            if (this.onTick) {
-                this.onTick(this.timeLeft, this.totalTime, this.mode);
-            }
+            this.emit('tick', this.timeLeft, this.totalTime, this.mode);
         }
         
+        this.emit('durationChange', 'break', seconds);
         console.log(`☕ Durée pause définie: ${minutes} minutes`);
     }
     
     /**
-     * Formate le temps en MM:SS
-     * @param {number} seconds - Temps en secondes
+     * Définit la durée de la pause longue
+     * @param {number} minutes - Durée en minutes
+     */
+    setLongBreakDuration(minutes) {
+        const seconds = minutes * 60;
+        this.longBreakDuration = seconds;
+        
+        // Si on est en pause longue et que le chronomètre est arrêté, met à jour le temps
+        if (!this.program && this.mode === 'longBreak' && this.state === TimerState.STOPPED) {
+            this.timeLeft = seconds;
+            this.totalTime = seconds;
+            
+            // Notifie l'UI
+            this.emit('tick', this.timeLeft, this.totalTime, this.mode);
+        }
+        
+        this.emit('durationChange', 'longBreak', seconds);
+        console.log(`🛋️ Durée pause longue définie: ${minutes} minutes`);
+    }
+    
+    /**
+     * Choisit comment compter les sessions de focus hors programme
+     * @param {string} countMode - 'countdown', 'target' ou 'stopwatch'
+     * @param {string|null} targetTime - Heure visée 'HH:MM' (mode 'target')
+     */
+    setCountMode(countMode, targetTime = null) {
+        if (!Object.values(COUNT_MODES).includes(countMode)) {
+            console.error('Façon de compter invalide:', countMode);
+            return;
+        }
+        
+        if (countMode === COUNT_MODES.TARGET && FocusTimer.getSecondsUntil(targetTime, this.clock.now()) === null) {
+            console.error('Heure visée invalide:', targetTime);
+            return;
+        }
+        
+        this.countMode = countMode;
+        this.targetTime = targetTime;
+        
+        // S'applique tout de suite si le focus n'a pas commencé, sinon à la prochaine session
+        if (this.state === TimerState.STOPPED) {
+            this._resetTime();
+            
+            // Notifie l'UI
+            this.emit('tick', this.timeLeft, this.totalTime, this.mode);
+        }
+        
+        console.log(`🧭 Focus compté en mode ${countMode}${targetTime ? ` (${targetTime})` : ''}`);
+    }
+    
+    /**
+     * Définit la tâche en cours, attachée aux prochaines sessions de focus
+     * @param {string} label - Libellé ('' = aucune tâche)
+     */
+    setTaskLabel(label) {
+        this.taskLabel = label;
+        
+        console.log(`🏷️ Tâche des prochaines sessions: ${label || 'aucune'}`);
+    }
+    
+    /**
+     * Active ou désactive la prolongation des sessions de focus
+     * @param {boolean} enabled - État de la prolongation
+     */
+    setOvertimeEnabled(enabled) {
+        this.allowOvertime = enabled;
+        
+        // Désactivée pendant une prolongation : la session se termine (au prochain tick si elle tourne)
+        if (!enabled && this.inOvertime && this.state === TimerState.PAUSED) {
+            this._complete();
+        }
+        
+        console.log(`⏩ Prolongation ${enabled ? 'activée' : 'désactivée'}`);
+    }
+    
+    /**
+     * Définit le nombre de cycles avant une pause longue
+     * @param {number} count - Nombre de sessions de focus par série
+     */
+    setCyclesBeforeLongBreak(count) {
+        this.cyclesBeforeLongBreak = count;
+        
+        // Reste dans les bornes si la série a été raccourcie
+        if (this.cycle > count) {
+            this.cycle = count;
+        }
+        
+        console.log(`🔁 Pause longue tous les ${count} cycles`);
+    }
+    
+    /**
+     * Formate le temps en MM:SS (+MM:SS pendant une prolongation)
+     * @param {number} seconds - Temps en secondes, négatif au-delà de zéro
      * @returns {string} Temps formaté
      */
     static formatTime(seconds) {
+        if (seconds < 0) {
+            return `+${FocusTimer.formatTime(-seconds)}`;
+        }
+        
         const minutes = Math.floor(seconds / 60);
         const remainingSeconds = seconds % 60;
         return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
     }
     
+    /**
+     * Calcule le nombre de secondes jusqu'à la prochaine occurrence d'une heure
+     * @param {string} clockTime - Heure au format 'HH:MM'
+     * @param {number} from - Heure de départ en ms
+     * @returns {number|null} Secondes (le lendemain si l'heure est passée) ou null si invalide
+     */
+    static getSecondsUntil(clockTime, from = Date.now()) {
+        const match = CLOCK_TIME_PATTERN.exec(clockTime || '');
+        if (!match) {
+            return null;
+        }
+        
+        const now = new Date(from);
+        const target = new Date(now);
+        target.setHours(parseInt(match[1]), parseInt(match[2]), 0, 0);
+        
+        if (target <= now) {
+            target.setDate(target.getDate() + 1);
+        }
+        
+        return Math.round((target - now) / 1000);
+    }
+    
     /**
      * Calcule le pourcentage de progression
      * @param {number} timeLeft - Temps restant
@@ -280,7 +1020,13 @@ class FocusTimer {
      */
     static calculateProgress(timeLeft, totalTime) {
         const elapsed = totalTime - timeLeft;
-        return (elapsed / totalTime) * 100;
+        
+        // Sans durée prévue (chronomètre libre), le cercle fait un tour par heure
+        if (totalTime <= 0) {
+            return ((elapsed % 3600) / 3600) * 100;
+        }
+        
+        return Math.min(100, (elapsed / totalTime) * 100);
     }
     
     /**
@@ -317,18 +1063,231 @@ class FocusTimer {
             mode: this.mode,
             timeLeft: this.timeLeft,
             totalTime: this.totalTime,
+            adjustment: this.adjustment,
+            interruptions: this.interruptions.length,
+            interruptionReason: this.interruptions.length
+                ? this.interruptions[this.interruptions.length - 1].reason
+                : null,
+            pausedAt: this.pausedAt,
+            autoPaused: this.state === TimerState.PAUSED && this.interruptions.length > 0 &&
+                this.interruptions[this.interruptions.length - 1].auto,
+            sessionType: this.sessionType,
+            targetTime: this.targetTime,
             focusDuration: this.focusDuration,
-            breakDuration: this.breakDuration
+            breakDuration: this.breakDuration,
+            longBreakDuration: this.longBreakDuration,
+            cycle: this.cycle,
+            cyclesBeforeLongBreak: this.cyclesBeforeLongBreak,
+            overtime: this.inOvertime,
+            programId: this.program ? this.program.id : null,
+            phaseIndex: this.phaseIndex,
+            phaseCount: this.program ? this.program.phases.length : 0,
+            phaseName: this.program ? this.getCurrentPhase().name : null
         };
     }
     
+    /**
+     * Notifie les observateurs d'un changement d'état à persister
+     * @private
+     */
+    _notifyStateChange() {
+        this.emit('stateChange', this.serialize());
+    }
+    
+    /**
+     * Produit un instantané de la session en cours, indépendant de l'instance
+     * @returns {object} Instantané sérialisable en JSON
+     */
+    serialize() {
+        let remainingMs = this.remainingMs;
+        
+        if (this.state === TimerState.RUNNING) {
+            remainingMs = this._getRemainingMs();
+        } else if (remainingMs === null) {
+            remainingMs = this.timeLeft * 1000;
+        }
+        
+        return {
+            mode: this.mode,
+            state: this.state,
+            endTime: this.endTime,
+            remainingMs,
+            totalTime: this.totalTime,
+            adjustment: this.adjustment,
+            interruptions: this.interruptions,
+            pausedAt: this.pausedAt,
+            startedAt: this.startedAt,
+            label: this.label,
+            sessionType: this.sessionType,
+            cycle: this.cycle,
+            program: this.program,
+            phaseIndex: this.phaseIndex,
+            savedAt: this.clock.now()
+        };
+    }
+    
+    /**
+     * Restaure une session à partir d'un instantané
+     * @param {object} snapshot - Instantané produit par serialize()
+     * @returns {string|null} 'running', 'paused', 'stopped', 'expired' (terminée entre-temps) ou null si invalide
+     */
+    restore(snapshot) {
+        if (!snapshot || !TIMER_MODES.includes(snapshot.mode)) {
+            console.warn('Instantané de session invalide:', snapshot);
+            return null;
+        }
+        
+        this._stopTicking();
+        this.mode = snapshot.mode;
+        this.cycle = Math.min(Math.max(parseInt(snapshot.cycle) || 1, 1), this.cyclesBeforeLongBreak);
+        
+        // Reprend le programme et la phase de la session sauvegardée
+        const hasProgram = snapshot.program && !ProgramLibrary.validateProgram(snapshot.program);
+        this.program = hasProgram ? ProgramLibrary.clone(snapshot.program) : null;
+        this.phaseIndex = 0;
+        
+        if (this.program) {
+            const lastIndex = this.program.phases.length - 1;
+            this.phaseIndex = Math.min(Math.max(parseInt(snapshot.phaseIndex) || 0, 0), lastIndex);
+            this.mode = ProgramLibrary.getPhaseMode(this.getCurrentPhase());
+        }
+        
+        // La façon de compter suit la session sauvegardée (hors session arrêtée, recalculée)
+        this.sessionType = Object.values(COUNT_MODES).includes(snapshot.sessionType) && !this.program
+            ? snapshot.sessionType
+            : COUNT_MODES.COUNTDOWN;
+        
+        let status;
+        
+        const isLive = snapshot.endTime > this.clock.now() || this.passive || this._canOvertime();
+        
+        if (snapshot.state === TimerState.RUNNING && isLive) {
+            // Session toujours en cours (ou en prolongation) : reprend avec l'heure de fin d'origine
+            this.state = TimerState.RUNNING;
+            this.totalTime = snapshot.totalTime;
+            this.endTime = snapshot.endTime;
+            this.remainingMs = null;
+            this.adjustment = parseInt(snapshot.adjustment) || 0;
+            this.interruptions = FocusTimer._restoreInterruptions(snapshot.interruptions);
+            this.startedAt = Number.isFinite(snapshot.startedAt) ? snapshot.startedAt : null;
+            this.label = FocusTimer._restoreLabel(snapshot.label);
+            this.inOvertime = this._canOvertime() && snapshot.endTime <= this.clock.now();
+            this._startTicking();
+            this._tick(true);
+            status = 'running';
+            
+            // Prolongation ou chronomètre libre : le temps écoulé page fermée n'est pas compté d'office,
+            // la session reprend en pause depuis la dernière sauvegarde (ou la fin prévue)
+            const countedUntil = Math.max(snapshot.endTime, snapshot.savedAt);
+            if (!this.passive && this._canOvertime() && Number.isFinite(countedUntil)
+                && this.clock.now() - countedUntil > RESTORE_GAP_TOLERANCE) {
+                this.pause(null, { at: countedUntil, auto: true });
+                status = 'paused';
+            }
+        } else if (snapshot.state === TimerState.RUNNING) {
+            // Session terminée pendant que la page était fermée : comptée jusqu'à sa fin prévue
+            this.state = TimerState.STOPPED;
+            this.totalTime = snapshot.totalTime;
+            this.adjustment = parseInt(snapshot.adjustment) || 0;
+            this.interruptions = FocusTimer._restoreInterruptions(snapshot.interruptions);
+            this.startedAt = Number.isFinite(snapshot.startedAt) ? snapshot.startedAt : null;
+            this.label = FocusTimer._restoreLabel(snapshot.label);
+            
+            const session = { ...this._describeSession(this.totalTime), endedAt: snapshot.endTime };
+            const expiredMode = this.mode;
+            
+            this._advance();
+            status = 'expired';
+            
+            this.emit('expire', expiredMode, session);
+        } else if (snapshot.state === TimerState.PAUSED) {
+            this.state = TimerState.PAUSED;
+            this.totalTime = snapshot.totalTime;
+            this.endTime = null;
+            this.remainingMs = snapshot.remainingMs;
+            this.timeLeft = Math.ceil(snapshot.remainingMs / 1000) || 0;
+            this.adjustment = parseInt(snapshot.adjustment) || 0;
+            this.interruptions = FocusTimer._restoreInterruptions(snapshot.interruptions);
+            this.pausedAt = Number.isFinite(snapshot.pausedAt) ? snapshot.pausedAt : null;
+            this.startedAt = Number.isFinite(snapshot.startedAt) ? snapshot.startedAt : null;
+            this.label = FocusTimer._restoreLabel(snapshot.label);
+            this.inOvertime = this._canOvertime() && snapshot.remainingMs <= 0;
+            status = 'paused';
+        } else {
+            this.state = TimerState.STOPPED;
+            this._resetTime();
+            
+            // Un miroir reprend les durées de l'onglet propriétaire
+            if (this.passive) {
+                this.totalTime = snapshot.totalTime;
+                this.timeLeft = Math.ceil(snapshot.remainingMs / 1000);
+            }
+            status = 'stopped';
+        }
+        
+        console.log(`♻️ Session restaurée (${status})`);
+        
+        // Notifie l'UI
+        this.emit('tick', this.timeLeft, this.totalTime, this.mode);
+        
+        return status;
+    }
+    
+    /**
+     * Démarre la phase en cours à une heure passée (phase enchaînée automatiquement
+     * pendant que la page était fermée)
+     * @param {number} startedAt - Heure de démarrage en ms
+     * @returns {string|null} Comme restore() : 'running', 'paused' ou 'expired' si elle est aussi terminée
+     */
+    restoreFrom(startedAt) {
+        return this.restore({
+            ...this.serialize(),
+            state: TimerState.RUNNING,
+            endTime: startedAt + this.totalTime * 1000,
+            startedAt,
+            label: this.mode === 'focus' ? this.taskLabel || null : null,
+            savedAt: startedAt
+        });
+    }
+    
+    /**
+     * Copie les interruptions valides d'un instantané
+     * @param {Array} interruptions - Interruptions sauvegardées
+     * @returns {Array} Interruptions indépendantes de l'instantané
+     * @private
+     */
+    static _restoreInterruptions(interruptions) {
+        if (!Array.isArray(interruptions)) {
+            return [];
+        }
+        
+        return interruptions
+            .filter(item => item && Number.isFinite(item.at))
+            .map(item => ({
+                at: item.at,
+                duration: Number.isFinite(item.duration) ? item.duration : null,
+                reason: INTERRUPTION_REASONS.includes(item.reason) ? item.reason : null,
+                auto: item.auto === true
+            }));
+    }
+    
+    /**
+     * Reprend la tâche d'un instantané
+     * @param {*} label - Tâche sauvegardée
+     * @returns {string|null} Tâche, ou null si absente ou invalide
+     * @private
+     */
+    static _restoreLabel(label) {
+        return typeof label === 'string' && label ? label : null;
+    }
+    
     /**
      * Nettoie les ressources du chronomètre
      */
     destroy() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+        this._stopTicking();
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this._handleVisibilityChange);
         }
         
         console.log('🗑️ Chronomètre nettoyé');
@@ -3,6 +3,75 @@
  * Gère toutes les interactions avec l'UI et les mises à jour visuelles
  */
 
+// Délai avant l'enchaînement automatique de la phase suivante (secondes)
+const AUTO_START_DELAY = 5;
+
+// Minutes ajoutées ou retirées par les boutons d'ajustement
+const ADJUST_STEP = 1;
+
+// Libellés des raisons d'interruption
+const INTERRUPTION_LABELS = {
+    colleague: 'Collègue',
+    phone: 'Téléphone',
+    meeting: 'Réunion',
+    other: 'Autre'
+};
+
+// Nombre de raisons d'interruption affichées dans les statistiques
+const TOP_REASONS_COUNT = 3;
+
+// Étiquettes de l'axe des heures (une toutes les 6 heures)
+const CHART_HOUR_LABEL_STEP = 6;
+
+// Étiquettes de l'axe des jours sur 30 jours (une tous les 5 jours)
+const CHART_DAY_LABEL_STEP = 5;
+
+// Notes jouées pour célébrer l'objectif du jour (do, mi, sol)
+const GOAL_REACHED_NOTES = [523, 659, 784];
+
+// Libellés courts des modes
+const MODE_LABELS = {
+    focus: 'Focus',
+    break: 'Pause',
+    longBreak: 'Pause longue'
+};
+
+// Taille maximale d'un fichier de sauvegarde importé (octets)
+const MAX_BACKUP_SIZE = 1024 * 1024;
+
+// Nombre de valeurs rejetées détaillées quand un import échoue
+const IMPORT_ERRORS_SHOWN = 3;
+
+// Libellés des sections et des champs d'une sauvegarde importée
+const IMPORT_SECTION_LABELS = {
+    preferences: 'Préférences',
+    history: 'Historique'
+};
+
+const IMPORT_FIELD_LABELS = {
+    focusDuration: 'Durée du focus',
+    breakDuration: 'Durée de la pause',
+    longBreakDuration: 'Durée de la pause longue',
+    cyclesBeforeLongBreak: 'Cycles avant la pause longue',
+    soundEnabled: 'Son',
+    autoStartBreaks: 'Démarrage automatique des pauses',
+    autoStartFocus: 'Démarrage automatique du focus',
+    overtimeEnabled: 'Prolongation',
+    countMode: 'Façon de compter',
+    targetTime: 'Heure visée',
+    autoPauseEnabled: 'Pause automatique',
+    idleThreshold: 'Délai d\'absence',
+    dailyGoalType: 'Type d\'objectif du jour',
+    dailyGoalTarget: 'Objectif du jour',
+    taskLabel: 'Tâche en cours',
+    programs: 'Programmes',
+    activeProgramId: 'Programme actif',
+    profiles: 'Profils',
+    activeProfileId: 'Profil actif',
+    theme: 'Thème',
+    sessions: 'Sessions'
+};
+
 /**
  * Classe de gestion de l'interface utilisateur
  */
@@ -23,6 +92,22 @@ class UIManager {
             startBtn: document.getElementById('startBtn'),
             pauseBtn: document.getElementById('pauseBtn'),
             resetBtn: document.getElementById('resetBtn'),
+            finishBtn: document.getElementById('finishBtn'),
+            addTimeBtn: document.getElementById('addTimeBtn'),
+            subtractTimeBtn: document.getElementById('subtractTimeBtn'),
+            skipBtn: document.getElementById('skipBtn'),
+            interruptionPicker: document.getElementById('interruptionPicker'),
+
+            // Tâche en cours
+            taskLabelInput: document.getElementById('taskLabel'),
+            taskLabelOptions: document.getElementById('taskLabelOptions'),
+
+            // Objectif du jour
+            goalProgress: document.getElementById('goalProgress'),
+            goalBar: document.getElementById('goalBar'),
+            goalBarFill: document.getElementById('goalBarFill'),
+            goalText: document.getElementById('goalText'),
+            goalStreak: document.getElementById('goalStreak'),
 
             // Thème
             themeToggle: document.getElementById('themeToggle'),
@@ -33,12 +118,72 @@ class UIManager {
             closeSettings: document.getElementById('closeSettings'),
             focusTimeInput: document.getElementById('focusTime'),
             breakTimeInput: document.getElementById('breakTime'),
+            longBreakTimeInput: document.getElementById('longBreakTime'),
+            cyclesInput: document.getElementById('cyclesBeforeLongBreak'),
             soundToggle: document.getElementById('soundToggle'),
+            autoStartBreaksToggle: document.getElementById('autoStartBreaksToggle'),
+            autoStartFocusToggle: document.getElementById('autoStartFocusToggle'),
+            overtimeToggle: document.getElementById('overtimeToggle'),
+            autoPauseToggle: document.getElementById('autoPauseToggle'),
+            idleThresholdInput: document.getElementById('idleThreshold'),
+            countModeSelect: document.getElementById('countModeSelect'),
+            targetTimeField: document.getElementById('targetTimeField'),
+            targetTimeInput: document.getElementById('targetTime'),
+            dailyGoalTypeSelect: document.getElementById('dailyGoalType'),
+            dailyGoalTargetField: document.getElementById('dailyGoalTargetField'),
+            dailyGoalTargetInput: document.getElementById('dailyGoalTarget'),
+
+            // Programmes
+            programSelect: document.getElementById('programSelect'),
+            newProgramBtn: document.getElementById('newProgramBtn'),
+            editProgramBtn: document.getElementById('editProgramBtn'),
+            deleteProgramBtn: document.getElementById('deleteProgramBtn'),
+            programEditor: document.getElementById('programEditor'),
+            programName: document.getElementById('programName'),
+            phaseList: document.getElementById('phaseList'),
+            addPhaseBtn: document.getElementById('addPhaseBtn'),
+            saveProgramBtn: document.getElementById('saveProgramBtn'),
+            cancelProgramBtn: document.getElementById('cancelProgramBtn'),
             saveSettings: document.getElementById('saveSettings'),
+            profileSelect: document.getElementById('profileSelect'),
+            newProfileBtn: document.getElementById('newProfileBtn'),
+            deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+            profileEditor: document.getElementById('profileEditor'),
+            profileName: document.getElementById('profileName'),
+            createProfileBtn: document.getElementById('createProfileBtn'),
+            cancelProfileBtn: document.getElementById('cancelProfileBtn'),
+            backupDropZone: document.getElementById('backupDropZone'),
+            exportSettingsBtn: document.getElementById('exportSettingsBtn'),
+            importSettingsBtn: document.getElementById('importSettingsBtn'),
+            importFileInput: document.getElementById('importFileInput'),
+            copyLinkBtn: document.getElementById('copyLinkBtn'),
+            exportFrom: document.getElementById('exportFrom'),
+            exportTo: document.getElementById('exportTo'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            exportIcsBtn: document.getElementById('exportIcsBtn'),
 
             // Statistiques
             focusSessions: document.getElementById('focusSessions'),
             totalFocusTime: document.getElementById('totalFocusTime'),
+            skippedSessions: document.getElementById('skippedSessions'),
+            extendedSessions: document.getElementById('extendedSessions'),
+            interruptionsPerSession: document.getElementById('interruptionsPerSession'),
+            abandonedSessions: document.getElementById('abandonedSessions'),
+            topReasons: document.getElementById('topReasons'),
+            profileSessions: document.getElementById('profileSessions'),
+
+            // Graphiques des statistiques
+            statsPanel: document.getElementById('statsPanel'),
+            statsBtn: document.getElementById('statsBtn'),
+            closeStats: document.getElementById('closeStats'),
+            chartRange: document.getElementById('chartRange'),
+            dailyChart: document.getElementById('dailyChart'),
+            hourlyChart: document.getElementById('hourlyChart'),
+            averageSession: document.getElementById('averageSession'),
+            rangeSessions: document.getElementById('rangeSessions'),
+            labelStatsFrom: document.getElementById('labelStatsFrom'),
+            labelStatsTo: document.getElementById('labelStatsTo'),
+            labelTotals: document.getElementById('labelTotals'),
 
             // Navigation
             infoBtn: document.getElementById('infoBtn'),
@@ -49,16 +194,37 @@ class UIManager {
             modalTitle: document.getElementById('modalTitle'),
             modalMessage: document.getElementById('modalMessage'),
             modalActionBtn: document.getElementById('modalActionBtn'),
-            modalCloseBtn: document.getElementById('modalCloseBtn')
+            modalCloseBtn: document.getElementById('modalCloseBtn'),
+
+            // Notification non bloquante
+            notice: document.getElementById('notice'),
+            noticeMessage: document.getElementById('noticeMessage'),
+            noticeActionBtn: document.getElementById('noticeActionBtn')
         };
 
         // État de l'UI
         this.state = {
             isFullscreen: false,
             isModalOpen: false,
-            isSettingsOpen: false
+            isSettingsOpen: false,
+            isStatsOpen: false,
+            // Nombre de jours des minutes par jour (CHART_RANGES)
+            chartRange: CHART_RANGES[0]
         };
 
+        // Actions du modal quand il pose une question (null = fin de session)
+        this.modalHandlers = null;
+
+        // Compte à rebours de l'enchaînement automatique
+        this.autoStartIntervalId = null;
+
+        // Notification non bloquante en cours
+        this.noticeAction = null;
+        this.noticeTimeoutId = null;
+
+        // Programme en cours d'édition
+        this.programDraft = null;
+
         // Initialisation
         this._init();
     }
@@ -74,6 +240,13 @@ class UIManager {
         this._updateStatsDisplay();
         this._setupTooltips();
 
+        // Tâche conservée d'une visite à l'autre
+        this.elements.taskLabelInput.value = this.settings.getSetting('taskLabel');
+
+        // Affiche l'état initial du chronomètre
+        const { timeLeft, totalTime, mode } = this.timer.getState();
+        this.updateTimerDisplay(timeLeft, totalTime, mode);
+
         console.log('🎨 Interface utilisateur initialisée');
     }
 
@@ -101,6 +274,19 @@ class UIManager {
         this.elements.startBtn.addEventListener('click', () => this._handleStart());
         this.elements.pauseBtn.addEventListener('click', () => this._handlePause());
         this.elements.resetBtn.addEventListener('click', () => this._handleReset());
+        this.elements.finishBtn.addEventListener('click', () => this._handleFinish());
+        this.elements.addTimeBtn.addEventListener('click', () => this._handleAdjust(ADJUST_STEP));
+        this.elements.subtractTimeBtn.addEventListener('click', () => this._handleAdjust(-ADJUST_STEP));
+        this.elements.skipBtn.addEventListener('click', () => this._handleSkip());
+        this.elements.interruptionPicker.addEventListener('click', (e) => this._handleReasonPick(e));
+
+        // Tâche en cours : enregistrée quand le champ est validé ou quitté
+        this.elements.taskLabelInput.addEventListener('change', () => this._saveTaskLabel());
+        this.elements.taskLabelInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.elements.taskLabelInput.blur();
+            }
+        });
 
         // Thème
         this.elements.themeToggle.addEventListener('click', () => this._toggleTheme());
@@ -110,9 +296,71 @@ class UIManager {
         this.elements.closeSettings.addEventListener('click', () => this._closeSettings());
         this.elements.saveSettings.addEventListener('click', () => this._saveSettings());
 
+        // Profils
+        this.elements.profileSelect.addEventListener('change', () => this._switchProfile(this.elements.profileSelect.value));
+        this.elements.newProfileBtn.addEventListener('click', () => this._openProfileEditor());
+        this.elements.deleteProfileBtn.addEventListener('click', () => this._deleteSelectedProfile());
+        this.elements.createProfileBtn.addEventListener('click', () => this._createProfile());
+        this.elements.cancelProfileBtn.addEventListener('click', () => this._closeProfileEditor());
+
+        // Sauvegarde : export et import par sélection ou dépôt d'un fichier
+        this.elements.exportSettingsBtn.addEventListener('click', () => this._exportSettings());
+        this.elements.importSettingsBtn.addEventListener('click', () => this.elements.importFileInput.click());
+        this.elements.importFileInput.addEventListener('change', () => {
+            this._importSettingsFile(this.elements.importFileInput.files[0]);
+            // Permet de choisir à nouveau le même fichier
+            this.elements.importFileInput.value = '';
+        });
+        this.elements.backupDropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.elements.backupDropZone.classList.add('drag-over');
+        });
+        this.elements.backupDropZone.addEventListener('dragleave', () => {
+            this.elements.backupDropZone.classList.remove('drag-over');
+        });
+        this.elements.backupDropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.elements.backupDropZone.classList.remove('drag-over');
+            this._importSettingsFile(e.dataTransfer.files[0]);
+        });
+
+        // Export des sessions (feuilles de temps, agendas)
+        this.elements.exportCsvBtn.addEventListener('click', () => this._exportSessions('csv'));
+        this.elements.exportIcsBtn.addEventListener('click', () => this._exportSessions('ics'));
+
+        // Partage de la configuration par un lien
+        this.elements.copyLinkBtn.addEventListener('click', () => this._copySetupLink());
+
+        // Façon de compter le focus
+        this.elements.countModeSelect.addEventListener('change', () => this._updateTargetTimeField());
+
+        // Objectif du jour
+        this.elements.dailyGoalTypeSelect.addEventListener('change', () => this._updateGoalTargetField());
+
+        // Programmes
+        this.elements.programSelect.addEventListener('change', () => this._updateProgramButtons());
+        this.elements.newProgramBtn.addEventListener('click', () => this._openProgramEditor(null));
+        this.elements.editProgramBtn.addEventListener('click', () => this._openProgramEditor(this.elements.programSelect.value));
+        this.elements.deleteProgramBtn.addEventListener('click', () => this._deleteSelectedProgram());
+        this.elements.addPhaseBtn.addEventListener('click', () => this._addPhase());
+        this.elements.saveProgramBtn.addEventListener('click', () => this._saveProgramDraft());
+        this.elements.cancelProgramBtn.addEventListener('click', () => this._closeProgramEditor());
+        this.elements.phaseList.addEventListener('input', (e) => this._handlePhaseInput(e));
+        this.elements.phaseList.addEventListener('click', (e) => this._handlePhaseAction(e));
+
         // Modal
         this.elements.modalActionBtn.addEventListener('click', () => this._handleModalAction());
-        this.elements.modalCloseBtn.addEventListener('click', () => this._closeModal());
+        this.elements.modalCloseBtn.addEventListener('click', () => this._handleModalClose());
+
+        // Notification
+        this.elements.noticeActionBtn.addEventListener('click', () => this._handleNoticeAction());
+
+        // Statistiques détaillées
+        this.elements.statsBtn.addEventListener('click', () => this._openStats());
+        this.elements.closeStats.addEventListener('click', () => this._closeStats());
+        this.elements.chartRange.addEventListener('click', (e) => this._handleChartRangePick(e));
+        this.elements.labelStatsFrom.addEventListener('change', () => this._renderLabelTotals());
+        this.elements.labelStatsTo.addEventListener('change', () => this._renderLabelTotals());
 
         // Informations
         this.elements.infoBtn.addEventListener('click', () => this._showInfo());
@@ -157,8 +405,11 @@ class UIManager {
      * @param {string} mode - Mode actuel
      */
     updateTimerDisplay(timeLeft, totalTime, mode) {
-        // Met à jour l'affichage numérique
-        this.elements.timeDisplay.textContent = this.timer.constructor.formatTime(timeLeft);
+        // Met à jour l'affichage numérique (signé pendant une prolongation,
+        // temps écoulé pour un chronomètre libre)
+        const isStopwatch = this.timer.isStopwatch();
+        this.elements.timeDisplay.textContent = this.timer.constructor.formatTime(isStopwatch ? -timeLeft : timeLeft);
+        this.elements.timeDisplay.classList.toggle('overtime', timeLeft < 0 && !isStopwatch);
 
         // Met à jour la barre de progression
         const progress = this.timer.constructor.calculateProgress(timeLeft, totalTime);
@@ -167,7 +418,7 @@ class UIManager {
         this.elements.progressBar.style.strokeDashoffset = offset;
 
         // Met à jour le texte du mode
-        this.elements.modeText.textContent = mode === 'focus' ? 'Focus' : 'Pause';
+        this.elements.modeText.textContent = this._getModeLabel(mode);
 
         // Animation de changement de mode
         if (this.lastMode && this.lastMode !== mode) {
@@ -180,6 +431,36 @@ class UIManager {
         this.lastMode = mode;
     }
 
+    /**
+     * Construit le libellé du mode avec la position dans le cycle
+     * @param {string} mode - Mode actuel
+     * @returns {string} Libellé à afficher (ex. "Focus 3/4")
+     * @private
+     */
+    _getModeLabel(mode) {
+        const { cycle, cyclesBeforeLongBreak, phaseName, phaseIndex, phaseCount, sessionType, targetTime } = this.timer.getState();
+
+        // Dans un programme : nom de la phase et position dans le programme
+        if (phaseName) {
+            return `${phaseName} ${phaseIndex + 1}/${phaseCount}`;
+        }
+
+        switch (mode) {
+            case 'longBreak':
+                return MODE_LABELS.longBreak;
+            case 'break':
+                return `Pause ${cycle}/${cyclesBeforeLongBreak}`;
+            default:
+                if (sessionType === COUNT_MODES.TARGET) {
+                    return `Focus ${cycle}/${cyclesBeforeLongBreak} · jusqu'à ${targetTime}`;
+                }
+                if (sessionType === COUNT_MODES.STOPWATCH) {
+                    return `Focus ${cycle}/${cyclesBeforeLongBreak} · libre`;
+                }
+                return `Focus ${cycle}/${cyclesBeforeLongBreak}`;
+        }
+    }
+
     /**
      * Met à jour l'état des boutons de contrôle
      * @param {boolean} isRunning - Si le chronomètre est en cours
@@ -202,6 +483,18 @@ class UIManager {
             this.elements.pauseBtn.disabled = true;
             this.elements.startBtn.innerHTML = '<i class="fas fa-play"></i> Démarrer';
         }
+
+        // Le bouton Terminer n'apparaît que pendant une prolongation ou un chronomètre libre
+        const isStopwatch = this.timer.isStopwatch();
+        const canFinish = this.timer.getState().overtime || isStopwatch;
+        this.elements.finishBtn.hidden = !canFinish || (!isRunning && !isPaused);
+
+        // L'ajustement ne concerne qu'une session commencée avec une fin prévue
+        this.elements.addTimeBtn.disabled = (!isRunning && !isPaused) || isStopwatch;
+        this.elements.subtractTimeBtn.disabled = (!isRunning && !isPaused) || isStopwatch;
+
+        // La raison d'une interruption se choisit pendant la pause d'un focus
+        this._updateInterruptionPicker(isPaused && this.timer.mode === 'focus');
     }
 
     /**
@@ -218,6 +511,142 @@ class UIManager {
         if (this.elements.totalFocusTime) {
             this.elements.totalFocusTime.textContent = stats.totalFocusTime;
         }
+
+        if (this.elements.skippedSessions) {
+            this.elements.skippedSessions.textContent = stats.skippedToday;
+        }
+
+        if (this.elements.extendedSessions) {
+            this.elements.extendedSessions.textContent = stats.extendedToday;
+        }
+
+        if (this.elements.abandonedSessions) {
+            this.elements.abandonedSessions.textContent = stats.abandonedToday;
+        }
+
+        // Moyenne sur toutes les sessions de focus commencées (terminées, passées, abandonnées)
+        if (this.elements.interruptionsPerSession) {
+            const sessions = stats.sessionsToday + stats.skippedToday + stats.abandonedToday;
+            const average = sessions > 0 ? stats.interruptionsToday / sessions : 0;
+            this.elements.interruptionsPerSession.textContent = Math.round(average * 10) / 10;
+        }
+
+        if (this.elements.topReasons) {
+            const topReasons = Object.entries(stats.interruptionReasons)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, TOP_REASONS_COUNT)
+                .map(([reason, count]) => `${INTERRUPTION_LABELS[reason] || reason} (${count})`);
+
+            this.elements.topReasons.textContent = topReasons.length
+                ? `Raisons fréquentes : ${topReasons.join(' · ')}`
+                : '';
+        }
+
+        if (this.elements.profileSessions) {
+            const profiles = this.settings.getProfiles();
+            const byProfile = Object.entries(stats.profileSessions)
+                .sort((a, b) => b[1] - a[1])
+                .map(([id, count]) => {
+                    const profile = profiles.find(existing => existing.id === id);
+                    return `${profile ? profile.name : 'Profil supprimé'} (${count})`;
+                });
+
+            // Inutile de détailler quand toutes les sessions viennent du même profil
+            this.elements.profileSessions.textContent = byProfile.length > 1
+                ? `Par profil : ${byProfile.join(' · ')}`
+                : '';
+        }
+
+        // Les graphiques ouverts suivent les nouvelles sessions
+        if (this.state.isStatsOpen) {
+            this._renderStatsCharts();
+        }
+
+        this.updateGoalDisplay();
+        this._renderTaskLabelOptions();
+    }
+
+    /**
+     * Propose les tâches des dernières sessions dans le champ de la tâche en cours
+     * @private
+     */
+    _renderTaskLabelOptions() {
+        if (!this.elements.taskLabelOptions) {
+            return;
+        }
+
+        this.elements.taskLabelOptions.replaceChildren(...this.settings.getRecentLabels().map(label => {
+            const option = document.createElement('option');
+            option.value = label;
+            return option;
+        }));
+    }
+
+    /**
+     * Enregistre la tâche saisie pour les prochaines sessions de focus
+     * @private
+     */
+    _saveTaskLabel() {
+        const input = this.elements.taskLabelInput;
+
+        if (!this.settings.setTaskLabel(input.value)) {
+            this._showError(`La tâche ne doit pas dépasser ${TASK_LABEL_MAX_LENGTH} caractères`);
+        }
+
+        // Affiche la tâche telle qu'enregistrée (espaces retirées)
+        input.value = this.settings.getSetting('taskLabel');
+    }
+
+    /**
+     * Met à jour la progression vers l'objectif du jour, sous le chronomètre
+     */
+    updateGoalDisplay() {
+        if (!this.elements.goalProgress) {
+            return;
+        }
+
+        const progress = this.settings.getGoalProgress();
+        this.elements.goalProgress.hidden = progress === null;
+        if (!progress) {
+            return;
+        }
+
+        const percent = Math.round(progress.ratio * 100);
+        this.elements.goalBarFill.style.width = `${percent}%`;
+        this.elements.goalBar.setAttribute('aria-valuenow', String(percent));
+        this.elements.goalProgress.classList.toggle('goal-met', progress.met);
+
+        const value = `${progress.value} / ${this._formatGoalValue(progress.target, progress.type)}`;
+        this.elements.goalText.textContent = progress.met ? `✓ ${value}` : value;
+
+        this.elements.goalStreak.textContent = progress.currentStreak > 0 || progress.longestStreak > 0
+            ? `🔥 ${this._formatDays(progress.currentStreak)} · record ${this._formatDays(progress.longestStreak)}`
+            : '';
+    }
+
+    /**
+     * Formate une valeur d'objectif avec son unité
+     * @param {number} value - Sessions ou minutes
+     * @param {string} type - Type d'objectif (DAILY_GOAL_TYPES)
+     * @returns {string}
+     * @private
+     */
+    _formatGoalValue(value, type) {
+        if (type === DAILY_GOAL_TYPES.SESSIONS) {
+            return `${value} session${value > 1 ? 's' : ''}`;
+        }
+
+        return `${value} min`;
+    }
+
+    /**
+     * Formate un nombre de jours
+     * @param {number} days - Nombre de jours
+     * @returns {string}
+     * @private
+     */
+    _formatDays(days) {
+        return `${days} jour${days > 1 ? 's' : ''}`;
     }
 
     /**
@@ -230,6 +659,11 @@ class UIManager {
             startBtn: 'Démarrer le chronomètre (Espace)',
             pauseBtn: 'Mettre en pause (Espace)',
             resetBtn: 'Réinitialiser le chronomètre (R)',
+            finishBtn: 'Terminer la session (E)',
+            addTimeBtn: `Ajouter ${ADJUST_STEP} min (+)`,
+            subtractTimeBtn: `Retirer ${ADJUST_STEP} min (-)`,
+            skipBtn: 'Passer à la phase suivante (N)',
+            profileSelect: 'Changer de profil (P)',
             settingsBtn: 'Ouvrir les paramètres (S)',
             themeToggle: 'Changer le thème clair/sombre (T)',
             fullscreenBtn: 'Mode plein écran (F11)'
@@ -251,6 +685,9 @@ class UIManager {
             return;
         }
 
+        // Un démarrage manuel remplace l'enchaînement automatique
+        this._cancelAutoStart();
+
         if (this.timer.isPaused()) {
             this.timer.resume();
         } else {
@@ -291,6 +728,7 @@ class UIManager {
      * @private
      */
     _handleReset() {
+        this._cancelAutoStart();
         this.timer.reset();
 
         // Animation de feedback
@@ -302,6 +740,97 @@ class UIManager {
         );
     }
 
+    /**
+     * Gère la fin d'une prolongation
+     * @private
+     */
+    _handleFinish() {
+        this._hideNotice();
+        this.timer.finish();
+
+        // Met à jour l'état des boutons immédiatement
+        this.updateControlButtons(
+            this.timer.isRunning(),
+            this.timer.isPaused()
+        );
+    }
+
+    /**
+     * Gère l'ajout ou le retrait de temps sur la session en cours
+     * @param {number} minutes - Minutes à ajouter (négatif pour retirer)
+     * @private
+     */
+    _handleAdjust(minutes) {
+        if (this.timer.isStopped()) {
+            return;
+        }
+
+        if (minutes > 0) {
+            this.timer.addTime(minutes);
+            this._animateButton(this.elements.addTimeBtn);
+        } else {
+            this.timer.subtractTime(-minutes);
+            this._animateButton(this.elements.subtractTimeBtn);
+        }
+
+        // Met à jour l'état des boutons immédiatement
+        this.updateControlButtons(
+            this.timer.isRunning(),
+            this.timer.isPaused()
+        );
+    }
+
+    /**
+     * Affiche ou masque le choix de la raison d'une interruption
+     * @param {boolean} visible - Afficher le choix
+     * @private
+     */
+    _updateInterruptionPicker(visible) {
+        this.elements.interruptionPicker.hidden = !visible;
+
+        if (!visible) {
+            return;
+        }
+
+        const { interruptionReason } = this.timer.getState();
+        this.elements.interruptionPicker.querySelectorAll('[data-reason]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.reason === interruptionReason));
+        });
+    }
+
+    /**
+     * Gère le choix de la raison d'une interruption
+     * @param {Event} event - Clic dans le choix des raisons
+     * @private
+     */
+    _handleReasonPick(event) {
+        const button = event.target.closest('[data-reason]');
+        if (!button) {
+            return;
+        }
+
+        this.timer.setInterruptionReason(button.dataset.reason);
+        this._updateInterruptionPicker(true);
+    }
+
+    /**
+     * Gère le passage à la phase suivante
+     * @private
+     */
+    _handleSkip() {
+        this._cancelAutoStart();
+        this._hideNotice();
+        this.timer.skip();
+
+        // Animation de feedback
+        this._animateButton(this.elements.skipBtn);
+        // Met à jour l'état des boutons immédiatement
+        this.updateControlButtons(
+            this.timer.isRunning(),
+            this.timer.isPaused()
+        );
+    }
+
     /**
      * Anime un bouton pour donner un feedback visuel
      * @private
@@ -339,182 +868,1378 @@ class UIManager {
         this.state.isSettingsOpen = true;
         this.elements.settingsPanel.setAttribute('aria-hidden', 'false');
 
-        // Remplit les champs avec les valeurs actuelles
-        const currentSettings = this.settings.getSettings();
-        this.elements.focusTimeInput.value = currentSettings.focusDuration;
-        this.elements.breakTimeInput.value = currentSettings.breakDuration;
-        this.elements.soundToggle.checked = currentSettings.soundEnabled;
+        this._renderProfileOptions();
+        this._closeProfileEditor();
+        this._fillSettingsForm();
+        this._closeProgramEditor();
 
         console.log('⚙️ Panneau des paramètres ouvert');
     }
 
     /**
-     * Ferme le panneau des paramètres
+     * Remplit les champs du panneau avec les valeurs actuelles
      * @private
      */
-    _closeSettings() {
-        this.state.isSettingsOpen = false;
-        this.elements.settingsPanel.setAttribute('aria-hidden', 'true');
-        console.log('⚙️ Panneau des paramètres fermé');
+    _fillSettingsForm() {
+        const currentSettings = this.settings.getSettings();
+        this.elements.focusTimeInput.value = currentSettings.focusDuration;
+        this.elements.breakTimeInput.value = currentSettings.breakDuration;
+        this.elements.longBreakTimeInput.value = currentSettings.longBreakDuration;
+        this.elements.cyclesInput.value = currentSettings.cyclesBeforeLongBreak;
+        this.elements.soundToggle.checked = currentSettings.soundEnabled;
+        this.elements.autoStartBreaksToggle.checked = currentSettings.autoStartBreaks;
+        this.elements.autoStartFocusToggle.checked = currentSettings.autoStartFocus;
+        this.elements.overtimeToggle.checked = currentSettings.overtimeEnabled;
+        this.elements.autoPauseToggle.checked = currentSettings.autoPauseEnabled;
+        this.elements.idleThresholdInput.value = currentSettings.idleThreshold;
+        this.elements.countModeSelect.value = currentSettings.countMode;
+        this.elements.targetTimeInput.value = currentSettings.targetTime;
+        this._updateTargetTimeField();
+        this.elements.dailyGoalTypeSelect.value = currentSettings.dailyGoalType;
+        this.elements.dailyGoalTargetInput.value = currentSettings.dailyGoalTarget;
+        this._updateGoalTargetField();
+        this._renderProgramOptions(currentSettings.activeProgramId);
     }
 
     /**
-     * Sauvegarde les paramètres modifiés
+     * Remplit la liste des profils
      * @private
      */
-    _saveSettings() {
-        // Récupère les valeurs des champs
-        const focusDuration = parseInt(this.elements.focusTimeInput.value);
-        const breakDuration = parseInt(this.elements.breakTimeInput.value);
-        const soundEnabled = this.elements.soundToggle.checked;
-
-        // Valide les entrées
-        if (focusDuration < 1 || focusDuration > 120) {
-            this._showError('La durée de focus doit être entre 1 et 120 minutes');
-            return;
-        }
-
-        if (breakDuration < 1 || breakDuration > 30) {
-            this._showError('La durée de pause doit être entre 1 et 30 minutes');
-            return;
-        }
-
-        // Met à jour les paramètres
-        this.settings.setFocusDuration(focusDuration);
-        this.settings.setBreakDuration(breakDuration);
-        this.settings.setSoundEnabled(soundEnabled);
-
-        // Met à jour le chronomètre
-        this.timer.setFocusDuration(focusDuration);
-        this.timer.setBreakDuration(breakDuration);
-
-        // Feedback visuel
-        this._animateButton(this.elements.saveSettings);
-        this.elements.saveSettings.innerHTML = '<i class="fas fa-check"></i> Enregistré !';
+    _renderProfileOptions() {
+        const select = this.elements.profileSelect;
+        const profiles = this.settings.getProfiles();
+        select.innerHTML = '';
 
-        setTimeout(() => {
-            this.elements.saveSettings.innerHTML = '<i class="fas fa-save"></i> Enregistrer';
-        }, 1500);
+        profiles.forEach(profile => {
+            select.appendChild(new Option(profile.name, profile.id));
+        });
 
-        // Ferme le panneau après un délai
-        setTimeout(() => {
-            this._closeSettings();
-        }, 1000);
+        select.value = this.settings.getSetting('activeProfileId');
 
-        console.log('💾 Paramètres sauvegardés');
+        // Le dernier profil ne peut pas être supprimé
+        this.elements.deleteProfileBtn.disabled = profiles.length <= 1;
     }
 
     /**
-     * Affiche une boîte de dialogue d'information
+     * Active un profil et affiche ses valeurs
+     * @param {string} id - Identifiant du profil
      * @private
      */
-    _showInfo() {
-        this.elements.modalTitle.textContent = 'À propos de Focus Chronométré';
-        this.elements.modalMessage.innerHTML = `
-            <p>Cette application utilise la technique Pomodoro pour améliorer votre productivité.</p>
-            <p><strong>Comment ça marche :</strong></p>
-            <ul style="text-align: left; margin: 1rem 0;">
-                <li>Travaillez avec focus pendant 25 minutes</li>
-                <li>Prenez une courte pause de 5 minutes</li>
-                <li>Après 4 cycles, prenez une pause plus longue (15-30 minutes)</li>
-            </ul>
-            <p><strong>Raccourcis clavier :</strong></p>
-            <ul style="text-align: left; margin: 1rem 0;">
-                <li>Espace : Démarrer/Pause</li>
-                <li>R : Réinitialiser</li>
-                <li>S : Paramètres</li>
-                <li>T : Changer le thème</li>
-                <li>F11 : Plein écran</li>
-            </ul>
-        `;
-        this.elements.modalActionBtn.style.display = 'none';
-        this._openModal();
+    _switchProfile(id) {
+        if (!this.settings.setActiveProfile(id)) {
+            return;
+        }
+
+        this._renderProfileOptions();
+        this._fillSettingsForm();
+        this._showNotice(`Profil : ${this.settings.getActiveProfile().name}`, { duration: 2000 });
     }
 
     /**
-     * Affiche une notification de session terminée
-     * @param {string} completedMode - Mode qui vient de se terminer
+     * Passe au profil suivant (raccourci P)
+     * @private
      */
-    showSessionComplete(completedMode) {
-        if (completedMode === 'focus') {
-            this.elements.modalTitle.textContent = 'Session de focus terminée !';
-            this.elements.modalMessage.textContent = 'Félicitations ! Votre session de focus est terminée. Il est temps de prendre une pause pour recharger vos énergies.';
-            this.elements.modalActionBtn.textContent = 'Commencer la pause';
-            this.elements.modalActionBtn.style.display = 'block';
-        } else {
-            this.elements.modalTitle.textContent = 'Pause terminée';
-            this.elements.modalMessage.textContent = 'Votre pause est terminée. Préparez-vous pour une nouvelle session de focus productive.';
-            this.elements.modalActionBtn.textContent = 'Commencer le focus';
-            this.elements.modalActionBtn.style.display = 'block';
+    _cycleProfile() {
+        if (this.settings.getProfiles().length <= 1) {
+            this._showNotice('Un seul profil : créez-en d\'autres dans les paramètres', { duration: 3000 });
+            return;
         }
 
-        this._openModal();
+        const profile = this.settings.cycleProfile();
 
-        // Joue un son si activé
-        if (this.settings.getSetting('soundEnabled')) {
-            this._playNotificationSound();
+        if (this.state.isSettingsOpen) {
+            this._renderProfileOptions();
+            this._fillSettingsForm();
         }
+
+        this._showNotice(`Profil : ${profile.name}`, { duration: 2000 });
     }
 
     /**
-     * Ouvre le modal
+     * Affiche le champ de nom d'un nouveau profil
      * @private
      */
-    _openModal() {
-        this.state.isModalOpen = true;
-        this.elements.modal.setAttribute('aria-modal', 'true');
+    _openProfileEditor() {
+        this.elements.profileName.value = '';
+        this.elements.profileEditor.hidden = false;
+        this.elements.profileName.focus();
     }
 
     /**
-     * Ferme le modal
+     * Cache le champ de nom d'un nouveau profil
      * @private
      */
-    _closeModal() {
-        this.state.isModalOpen = false;
-        this.elements.modal.setAttribute('aria-modal', 'false');
+    _closeProfileEditor() {
+        this.elements.profileEditor.hidden = true;
     }
 
     /**
-     * Gère l'action principale du modal
+     * Crée un profil à partir des paramètres enregistrés
+     *
+     * Les champs du panneau ne sont pas rechargés : des durées en cours de saisie
+     * seront enregistrées dans le nouveau profil.
      * @private
      */
-    _handleModalAction() {
-        this._closeModal();
+    _createProfile() {
+        const error = this.settings.createProfile(this.elements.profileName.value);
+        if (error) {
+            this._showError(error);
+            return;
+        }
 
-        // Change le mode et démarre le chronomètre
-        const currentMode = this.timer.mode;
-        const newMode = currentMode === 'focus' ? 'break' : 'focus';
+        this._closeProfileEditor();
+        this._renderProfileOptions();
+        this._showNotice(`Profil « ${this.settings.getActiveProfile().name} » créé`, { duration: 3000 });
+    }
+
+    /**
+     * Supprime le profil sélectionné
+     * @private
+     */
+    _deleteSelectedProfile() {
+        const id = this.elements.profileSelect.value;
+        const profile = this.settings.getProfiles().find(existing => existing.id === id);
+
+        if (!profile || !this.settings.deleteProfile(id)) {
+            return;
+        }
+
+        this._renderProfileOptions();
+        this._fillSettingsForm();
+        this._showNotice(`Profil « ${profile.name} » supprimé`, { duration: 3000 });
+    }
+
+    /**
+     * Ferme le panneau des paramètres
+     * @private
+     */
+    _closeSettings() {
+        this.state.isSettingsOpen = false;
+        this.elements.settingsPanel.setAttribute('aria-hidden', 'true');
+        console.log('⚙️ Panneau des paramètres fermé');
+    }
+
+    /**
+     * Ouvre le panneau des statistiques
+     * @private
+     */
+    _openStats() {
+        this.state.isStatsOpen = true;
+        this.elements.statsPanel.setAttribute('aria-hidden', 'false');
+
+        // Totaux par tâche : le mois en cours tant qu'aucune période n'a été choisie
+        if (!this.elements.labelStatsFrom.value && !this.elements.labelStatsTo.value) {
+            const today = new Date();
+            this.elements.labelStatsFrom.value = this._formatDateInput(new Date(today.getFullYear(), today.getMonth(), 1));
+            this.elements.labelStatsTo.value = this._formatDateInput(today);
+        }
+
+        this._renderStatsCharts();
+
+        console.log('📊 Panneau des statistiques ouvert');
+    }
+
+    /**
+     * Ferme le panneau des statistiques
+     * @private
+     */
+    _closeStats() {
+        this.state.isStatsOpen = false;
+        this.elements.statsPanel.setAttribute('aria-hidden', 'true');
+        console.log('📊 Panneau des statistiques fermé');
+    }
+
+    /**
+     * Change la période des minutes par jour
+     * @param {Event} event - Clic dans le choix de la période
+     * @private
+     */
+    _handleChartRangePick(event) {
+        const button = event.target.closest('[data-range]');
+        const range = button ? Number(button.dataset.range) : NaN;
+        if (!CHART_RANGES.includes(range)) {
+            return;
+        }
+
+        this.state.chartRange = range;
+        this._renderStatsCharts();
+    }
+
+    /**
+     * Dessine les graphiques de la période choisie à partir de l'historique
+     * @private
+     */
+    _renderStatsCharts() {
+        const days = this.state.chartRange;
+        const now = Date.now();
+        const from = new Date(SessionHistory.startOfDay(now));
+        from.setDate(from.getDate() - (days - 1));
+        const entries = this.settings.getHistory({ from: from.getTime() });
+
+        this.elements.chartRange.querySelectorAll('[data-range]').forEach(button => {
+            button.setAttribute('aria-pressed', String(Number(button.dataset.range) === days));
+        });
+
+        // Minutes par jour : jour de la semaine sur 7 jours, date tous les 5 jours sur 30
+        const daily = StatsCharts.dailyFocus(entries, days, now);
+        const dayLabels = daily.map(({ day }, index) => {
+            const date = new Date(day);
+            if (days <= 7) {
+                return date.toLocaleDateString('fr-FR', { weekday: 'short' });
+            }
+            return (days - 1 - index) % CHART_DAY_LABEL_STEP === 0 ? String(date.getDate()) : '';
+        });
+        this.elements.dailyChart.replaceChildren(StatsCharts.barChart(
+            daily.map(point => point.minutes),
+            {
+                labels: dayLabels,
+                title: `Minutes de focus par jour sur ${days} jours`,
+                formatValue: value => `${value} min`
+            }
+        ));
+
+        const hourly = StatsCharts.hourlySessions(entries);
+        this.elements.hourlyChart.replaceChildren(StatsCharts.barChart(hourly, {
+            labels: hourly.map((count, hour) => (hour % CHART_HOUR_LABEL_STEP === 0 ? `${hour} h` : '')),
+            title: `Sessions de focus terminées par heure de début sur ${days} jours`,
+            formatValue: value => `${value} session${value > 1 ? 's' : ''}`
+        }));
+
+        const average = StatsCharts.averageLength(entries);
+        this.elements.averageSession.textContent = average === null ? '–' : Math.round(average / 60);
+        this.elements.rangeSessions.textContent = entries
+            .filter(entry => entry.mode === 'focus' && entry.outcome === SESSION_OUTCOMES.COMPLETED)
+            .length;
+
+        this._renderLabelTotals();
+    }
+
+    /**
+     * Affiche le temps et les sessions terminées de chaque tâche sur la période choisie
+     * @private
+     */
+    _renderLabelTotals() {
+        const container = this.elements.labelTotals;
+        const range = this._readDayRange(this.elements.labelStatsFrom, this.elements.labelStatsTo);
+
+        const message = (text) => {
+            const paragraph = document.createElement('p');
+            paragraph.className = 'backup-hint';
+            paragraph.textContent = text;
+            container.replaceChildren(paragraph);
+        };
+
+        if (!range) {
+            message('Le premier jour doit précéder le dernier');
+            return;
+        }
+
+        const totals = StatsCharts.labelTotals(this.settings.getHistory(range));
+        if (totals.length === 0) {
+            message('Aucune session de focus sur cette période');
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'label-totals-table';
+
+        const header = table.createTHead().insertRow();
+        ['Tâche', 'Pomodoros', 'Temps'].forEach(title => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            cell.textContent = title;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        totals.forEach(({ label, sessions, minutes }) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = label || 'Sans tâche';
+            row.insertCell().textContent = sessions;
+            row.insertCell().textContent = this._formatMinutes(minutes);
+            if (!label) {
+                row.className = 'label-totals-none';
+            }
+        });
+
+        container.replaceChildren(table);
+    }
+
+    /**
+     * Formate une durée en minutes (ex. 25 min, 2 h 05)
+     * @param {number} minutes - Durée
+     * @returns {string}
+     * @private
+     */
+    _formatMinutes(minutes) {
+        if (minutes < 60) {
+            return `${minutes} min`;
+        }
+
+        return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Formate un jour pour un champ de date (ex. 2026-03-15)
+     * @param {Date} date - Jour en heure locale
+     * @returns {string}
+     * @private
+     */
+    _formatDateInput(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Sauvegarde les paramètres modifiés
+     * @private
+     */
+    _saveSettings() {
+        // Récupère les valeurs des champs
+        const focusDuration = parseInt(this.elements.focusTimeInput.value);
+        const breakDuration = parseInt(this.elements.breakTimeInput.value);
+        const longBreakDuration = parseInt(this.elements.longBreakTimeInput.value);
+        const cyclesBeforeLongBreak = parseInt(this.elements.cyclesInput.value);
+        const soundEnabled = this.elements.soundToggle.checked;
+        const autoStartBreaks = this.elements.autoStartBreaksToggle.checked;
+        const autoStartFocus = this.elements.autoStartFocusToggle.checked;
+        const overtimeEnabled = this.elements.overtimeToggle.checked;
+        const autoPauseEnabled = this.elements.autoPauseToggle.checked;
+        const idleThreshold = parseInt(this.elements.idleThresholdInput.value);
+        const countMode = this.elements.countModeSelect.value;
+        const targetTime = this.elements.targetTimeInput.value;
+        const programId = this.elements.programSelect.value;
+        const dailyGoalType = this.elements.dailyGoalTypeSelect.value;
+        const dailyGoalTarget = parseInt(this.elements.dailyGoalTargetInput.value);
+
+        // Valide les entrées
+        if (focusDuration < 1 || focusDuration > 120) {
+            this._showError('La durée de focus doit être entre 1 et 120 minutes');
+            return;
+        }
+
+        if (breakDuration < 1 || breakDuration > 30) {
+            this._showError('La durée de pause doit être entre 1 et 30 minutes');
+            return;
+        }
+
+        if (longBreakDuration < 5 || longBreakDuration > 60) {
+            this._showError('La durée de pause longue doit être entre 5 et 60 minutes');
+            return;
+        }
+
+        if (cyclesBeforeLongBreak < 2 || cyclesBeforeLongBreak > 10) {
+            this._showError('Le nombre de cycles doit être entre 2 et 10');
+            return;
+        }
+
+        if (!(idleThreshold >= 1 && idleThreshold <= 60)) {
+            this._showError('Le délai d\'absence doit être entre 1 et 60 minutes');
+            return;
+        }
+
+        if (countMode === COUNT_MODES.TARGET && !CLOCK_TIME_PATTERN.test(targetTime)) {
+            this._showError('Choisissez l\'heure de fin de la session de focus');
+            return;
+        }
+
+        const goalError = DailyGoal.validate(dailyGoalType, dailyGoalTarget);
+        if (goalError) {
+            this._showError(goalError);
+            return;
+        }
+
+        // Met à jour les paramètres
+        this.settings.setFocusDuration(focusDuration);
+        this.settings.setBreakDuration(breakDuration);
+        this.settings.setLongBreakDuration(longBreakDuration);
+        this.settings.setCyclesBeforeLongBreak(cyclesBeforeLongBreak);
+        this.settings.setSoundEnabled(soundEnabled);
+        this.settings.setAutoStartBreaks(autoStartBreaks);
+        this.settings.setAutoStartFocus(autoStartFocus);
+        this.settings.setOvertimeEnabled(overtimeEnabled);
+        this.settings.setIdleThreshold(idleThreshold);
+        this.settings.setAutoPauseEnabled(autoPauseEnabled);
+        this.settings.setDailyGoal(dailyGoalType, dailyGoalTarget);
+
+        // L'heure d'abord : le chronomètre suit la façon de compter dès qu'elle change
+        if (countMode === COUNT_MODES.TARGET) {
+            this.settings.setTargetTime(targetTime);
+        }
+        this.settings.setCountMode(countMode);
+
+        // Changer de programme repart de sa première phase
+        if (programId !== this.settings.getSetting('activeProgramId')) {
+            this.settings.setActiveProgram(programId);
+        }
+
+        // Feedback visuel
+        this._animateButton(this.elements.saveSettings);
+        this.elements.saveSettings.innerHTML = '<i class="fas fa-check"></i> Enregistré !';
+
+        setTimeout(() => {
+            this.elements.saveSettings.innerHTML = '<i class="fas fa-save"></i> Enregistrer';
+        }, 1500);
+
+        // Ferme le panneau après un délai
+        setTimeout(() => {
+            this._closeSettings();
+        }, 1000);
+
+        console.log('💾 Paramètres sauvegardés');
+    }
+
+    /**
+     * Affiche le champ d'heure de fin uniquement en mode jusqu'à une heure précise
+     * @private
+     */
+    _updateTargetTimeField() {
+        this.elements.targetTimeField.hidden = this.elements.countModeSelect.value !== COUNT_MODES.TARGET;
+    }
+
+    /**
+     * Affiche la valeur visée selon le type d'objectif, bornée pour ce type
+     * @private
+     */
+    _updateGoalTargetField() {
+        const type = this.elements.dailyGoalTypeSelect.value;
+        const limits = DAILY_GOAL_LIMITS[type];
+
+        this.elements.dailyGoalTargetField.hidden = !limits;
+        if (!limits) {
+            return;
+        }
+
+        const input = this.elements.dailyGoalTargetInput;
+        input.min = limits.min;
+        input.max = limits.max;
+
+        // Une valeur de l'autre type (ex. 200 minutes → sessions) reprend la valeur proposée
+        const value = parseInt(input.value);
+        if (!(value >= limits.min && value <= limits.max)) {
+            input.value = limits.suggested;
+        }
+    }
+
+    /**
+     * Remplit la liste des programmes disponibles
+     * @param {string} selectedId - Programme à sélectionner
+     * @private
+     */
+    _renderProgramOptions(selectedId) {
+        const select = this.elements.programSelect;
+        const programs = this.settings.getPrograms();
+        select.innerHTML = '';
+
+        select.appendChild(new Option('Pomodoro (durées ci-dessus)', POMODORO_PROGRAM_ID));
+
+        const groups = [
+            { label: 'Prédéfinis', programs: programs.filter(program => program.builtIn) },
+            { label: 'Personnalisés', programs: programs.filter(program => !program.builtIn) }
+        ];
+
+        groups.forEach(group => {
+            if (group.programs.length === 0) {
+                return;
+            }
+
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.programs.forEach(program => {
+                optgroup.appendChild(new Option(program.name, program.id));
+            });
+            select.appendChild(optgroup);
+        });
+
+        select.value = selectedId;
+        this._updateProgramButtons();
+    }
+
+    /**
+     * Active les actions possibles sur le programme sélectionné
+     * @private
+     */
+    _updateProgramButtons() {
+        const program = this.settings.getProgram(this.elements.programSelect.value);
+
+        // Un programme prédéfini se duplique, seul un programme personnalisé se supprime
+        this.elements.editProgramBtn.disabled = !program;
+        this.elements.editProgramBtn.innerHTML = program && program.builtIn
+            ? '<i class="fas fa-copy"></i> Dupliquer'
+            : '<i class="fas fa-pen"></i> Modifier';
+        this.elements.deleteProgramBtn.disabled = !program || program.builtIn;
+    }
+
+    /**
+     * Ouvre l'éditeur de programme
+     * @param {string|null} programId - Programme à modifier (null = nouveau)
+     * @private
+     */
+    _openProgramEditor(programId) {
+        const program = programId ? this.settings.getProgram(programId) : null;
+
+        if (!program) {
+            this.programDraft = ProgramLibrary.createProgram();
+        } else if (program.builtIn) {
+            // Les programmes prédéfinis servent de modèle à une copie personnalisée
+            this.programDraft = {
+                ...ProgramLibrary.createProgram(`${program.name} (copie)`),
+                phases: ProgramLibrary.clone(program).phases
+            };
+        } else {
+            this.programDraft = program;
+        }
+
+        this.elements.programName.value = this.programDraft.name;
+        this.elements.programEditor.hidden = false;
+        this._renderPhaseList();
+        this.elements.programName.focus();
+    }
+
+    /**
+     * Ferme l'éditeur de programme sans enregistrer
+     * @private
+     */
+    _closeProgramEditor() {
+        this.programDraft = null;
+        this.elements.programEditor.hidden = true;
+    }
+
+    /**
+     * Affiche les phases du programme en cours d'édition
+     * @private
+     */
+    _renderPhaseList() {
+        const list = this.elements.phaseList;
+        const phases = this.programDraft.phases;
+        list.innerHTML = '';
+
+        phases.forEach((phase, index) => {
+            const row = document.createElement('li');
+            row.className = 'phase-row';
+            row.dataset.index = index;
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = phase.name;
+            nameInput.maxLength = 30;
+            nameInput.dataset.field = 'name';
+            nameInput.setAttribute('aria-label', `Nom de la phase ${index + 1}`);
+
+            const durationInput = document.createElement('input');
+            durationInput.type = 'number';
+            durationInput.min = 1;
+            durationInput.max = 180;
+            durationInput.value = phase.duration;
+            durationInput.dataset.field = 'duration';
+            durationInput.setAttribute('aria-label', `Durée de la phase ${index + 1} en minutes`);
+
+            const tools = document.createElement('div');
+            tools.className = 'phase-row-tools';
+
+            const kindSelect = document.createElement('select');
+            kindSelect.dataset.field = 'kind';
+            kindSelect.setAttribute('aria-label', `Type de la phase ${index + 1}`);
+            kindSelect.appendChild(new Option('Travail', PHASE_KINDS.WORK));
+            kindSelect.appendChild(new Option('Repos', PHASE_KINDS.REST));
+            kindSelect.value = phase.kind;
+
+            tools.appendChild(kindSelect);
+            tools.appendChild(this._createPhaseButton('up', 'fa-arrow-up', 'Monter la phase', index === 0));
+            tools.appendChild(this._createPhaseButton('down', 'fa-arrow-down', 'Descendre la phase', index === phases.length - 1));
+            tools.appendChild(this._createPhaseButton('remove', 'fa-times', 'Supprimer la phase', phases.length === 1));
+
+            row.appendChild(nameInput);
+            row.appendChild(durationInput);
+            row.appendChild(tools);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Crée un bouton d'action pour une ligne de phase
+     * @private
+     */
+    _createPhaseButton(action, icon, label, disabled) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-small';
+        button.dataset.action = action;
+        button.disabled = disabled;
+        button.setAttribute('aria-label', label);
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        return button;
+    }
+
+    /**
+     * Met à jour le brouillon quand un champ de phase change
+     * @private
+     */
+    _handlePhaseInput(event) {
+        const field = event.target.dataset.field;
+        const row = event.target.closest('.phase-row');
+        if (!field || !row) {
+            return;
+        }
+
+        const phase = this.programDraft.phases[parseInt(row.dataset.index)];
+        phase[field] = field === 'duration' ? parseInt(event.target.value) : event.target.value;
+    }
+
+    /**
+     * Déplace ou supprime une phase
+     * @private
+     */
+    _handlePhaseAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const phases = this.programDraft.phases;
+        const index = parseInt(button.closest('.phase-row').dataset.index);
+
+        switch (button.dataset.action) {
+            case 'up':
+                [phases[index - 1], phases[index]] = [phases[index], phases[index - 1]];
+                break;
+            case 'down':
+                [phases[index + 1], phases[index]] = [phases[index], phases[index + 1]];
+                break;
+            case 'remove':
+                phases.splice(index, 1);
+                break;
+        }
+
+        this._renderPhaseList();
+    }
+
+    /**
+     * Ajoute une phase à la fin du programme en cours d'édition
+     * @private
+     */
+    _addPhase() {
+        const phases = this.programDraft.phases;
+        const last = phases[phases.length - 1];
+
+        // Alterne travail et repos par défaut
+        phases.push(last && last.kind === PHASE_KINDS.WORK
+            ? { name: 'Pause', duration: 5, kind: PHASE_KINDS.REST }
+            : { name: 'Travail', duration: 25, kind: PHASE_KINDS.WORK });
+
+        this._renderPhaseList();
+    }
+
+    /**
+     * Enregistre le programme en cours d'édition
+     * @private
+     */
+    _saveProgramDraft() {
+        this.programDraft.name = this.elements.programName.value;
+
+        const error = this.settings.saveProgram(this.programDraft);
+        if (error) {
+            this._showError(error);
+            return;
+        }
+
+        const savedId = this.programDraft.id;
+        this._closeProgramEditor();
+        this._renderProgramOptions(savedId);
+
+        console.log('📋 Programme enregistré');
+    }
+
+    /**
+     * Supprime le programme personnalisé sélectionné
+     * @private
+     */
+    _deleteSelectedProgram() {
+        const program = this.settings.getProgram(this.elements.programSelect.value);
+        if (!program || program.builtIn) {
+            return;
+        }
+
+        this.settings.deleteProgram(program.id);
+        this._closeProgramEditor();
+        this._renderProgramOptions(this.settings.getSetting('activeProgramId'));
+        this._showNotice(`Programme « ${program.name} » supprimé`, { duration: 3000 });
+    }
+
+    /**
+     * Affiche une boîte de dialogue d'information
+     * @private
+     */
+    _showInfo() {
+        const { cyclesBeforeLongBreak, longBreakDuration } = this.settings.getSettings();
+
+        this.elements.modalTitle.textContent = 'À propos de Focus Chronométré';
+        this.elements.modalMessage.innerHTML = `
+            <p>Cette application utilise la technique Pomodoro pour améliorer votre productivité.</p>
+            <p><strong>Comment ça marche :</strong></p>
+            <ul style="text-align: left; margin: 1rem 0;">
+                <li>Travaillez avec focus pendant 25 minutes</li>
+                <li>Prenez une courte pause de 5 minutes</li>
+                <li>Après ${cyclesBeforeLongBreak} cycles, prenez une pause plus longue (${longBreakDuration} minutes)</li>
+            </ul>
+            <p><strong>Raccourcis clavier :</strong></p>
+            <ul style="text-align: left; margin: 1rem 0;">
+                <li>Espace : Démarrer/Pause</li>
+                <li>R : Réinitialiser</li>
+                <li>S : Paramètres</li>
+                <li>T : Changer le thème</li>
+                <li>E : Terminer la prolongation ou le chronomètre libre</li>
+                <li>+ / - : Ajouter/retirer une minute</li>
+                <li>N : Phase suivante</li>
+                <li>P : Profil suivant</li>
+                <li>F11 : Plein écran</li>
+            </ul>
+        `;
+        this.elements.modalActionBtn.style.display = 'none';
+        this._openModal();
+    }
+
+    /**
+     * Affiche une notification de session terminée
+     * @param {string} completedMode - Mode qui vient de se terminer
+     */
+    showSessionComplete(completedMode) {
+        if (completedMode === 'focus' && this.timer.mode === 'longBreak') {
+            this.elements.modalTitle.textContent = 'Cycle terminé !';
+            this.elements.modalMessage.textContent = 'Bravo ! Vous avez terminé une série complète de sessions de focus. Offrez-vous une pause longue bien méritée.';
+            this.elements.modalActionBtn.textContent = 'Commencer la pause longue';
+            this.elements.modalActionBtn.style.display = 'block';
+        } else if (completedMode === 'focus') {
+            this.elements.modalTitle.textContent = 'Session de focus terminée !';
+            this.elements.modalMessage.textContent = 'Félicitations ! Votre session de focus est terminée. Il est temps de prendre une pause pour recharger vos énergies.';
+            this.elements.modalActionBtn.textContent = 'Commencer la pause';
+            this.elements.modalActionBtn.style.display = 'block';
+        } else {
+            this.elements.modalTitle.textContent = 'Pause terminée';
+            this.elements.modalMessage.textContent = 'Votre pause est terminée. Préparez-vous pour une nouvelle session de focus productive.';
+            this.elements.modalActionBtn.textContent = 'Commencer le focus';
+            this.elements.modalActionBtn.style.display = 'block';
+        }
+
+        // Dans un programme, le bouton annonce la phase suivante par son nom
+        const nextPhase = this.timer.getCurrentPhase();
+        if (nextPhase) {
+            this.elements.modalActionBtn.textContent = `Commencer : ${nextPhase.name}`;
+        }
+
+        this._openModal();
+
+        // Joue un son si activé
+        if (this.settings.getSetting('soundEnabled')) {
+            this._playNotificationSound();
+        }
+    }
+
+    /**
+     * Célèbre l'objectif du jour qui vient d'être atteint (à la place de la fin de session)
+     * @param {object} progress - Progression (SettingsManager.getGoalProgress())
+     * @param {object} options - { autoStart: la phase suivante démarre d'elle-même }
+     */
+    showGoalReached(progress, { autoStart = false } = {}) {
+        const { currentStreak, longestStreak } = progress;
+        let message = `Bravo ! Vous avez atteint votre objectif de ${this._formatGoalValue(progress.target, progress.type)} aujourd'hui.`;
+
+        if (currentStreak > 1) {
+            message += currentStreak >= longestStreak
+                ? ` ${currentStreak} jours d'affilée : c'est votre meilleure série !`
+                : ` ${currentStreak} jours d'affilée (record : ${this._formatDays(longestStreak)}).`;
+        }
+
+        this.elements.modalTitle.textContent = '🏆 Objectif du jour atteint !';
+        this.elements.modalMessage.textContent = message;
+
+        // La phase suivante est déjà lancée quand elle démarre automatiquement
+        if (autoStart) {
+            this.elements.modalActionBtn.style.display = 'none';
+        } else {
+            const nextPhase = this.timer.getCurrentPhase();
+            this.elements.modalActionBtn.textContent = nextPhase
+                ? `Commencer : ${nextPhase.name}`
+                : `Commencer : ${MODE_LABELS[this.timer.mode]}`;
+            this.elements.modalActionBtn.style.display = 'block';
+        }
+
+        this._openModal();
+        this.elements.modal.classList.add('modal-celebration');
+
+        if (this.settings.getSetting('soundEnabled')) {
+            this._playNotificationSound(GOAL_REACHED_NOTES);
+        }
+
+        console.log('🏆 Objectif du jour atteint');
+    }
+
+    /**
+     * Signale que le focus continue au-delà de la durée prévue
+     */
+    showOvertimeStart() {
+        this.updateControlButtons(
+            this.timer.isRunning(),
+            this.timer.isPaused()
+        );
+
+        this._showNotice('Temps écoulé · vous êtes en prolongation', {
+            actionLabel: 'Terminer',
+            onAction: () => this._handleFinish()
+        });
+
+        // Joue un son si activé
+        if (this.settings.getSetting('soundEnabled')) {
+            this._playNotificationSound();
+        }
+    }
+
+    /**
+     * Demande, au retour d'une absence, s'il faut compter le temps d'absence comme du focus
+     */
+    showIdlePrompt() {
+        const { pausedAt } = this.timer.getState();
+        const minutes = Math.max(1, Math.round((Date.now() - pausedAt) / 60000));
+
+        this.elements.modalTitle.textContent = 'Bon retour !';
+        this.elements.modalMessage.textContent = `Le focus a été mis en pause pendant votre absence (${minutes} min). Voulez-vous compter ce temps comme du focus ?`;
+        this.elements.modalActionBtn.textContent = 'Garder ce temps';
+        this.elements.modalActionBtn.style.display = 'block';
+        this.elements.modalCloseBtn.textContent = 'Écarter';
+
+        this._openModal({
+            action: () => this._resumeAfterIdle(true),
+            close: () => this._resumeAfterIdle(false)
+        });
+    }
+
+    /**
+     * Ferme la question posée au retour d'une absence (session reprise entre-temps)
+     */
+    hideIdlePrompt() {
+        if (this.modalHandlers) {
+            this._closeModal();
+        }
+    }
+
+    /**
+     * Reprend le focus après une absence
+     * @param {boolean} keepIdleTime - Compte le temps d'absence comme du focus
+     * @private
+     */
+    _resumeAfterIdle(keepIdleTime) {
+        if (!this.timer.isPaused()) {
+            return;
+        }
+
+        this.timer.resume(keepIdleTime);
+        this.updateControlButtons(
+            this.timer.isRunning(),
+            this.timer.isPaused()
+        );
+    }
+
+    /**
+     * Analyse une sauvegarde et affiche les changements avant de les appliquer
+     * @param {string} jsonString - Contenu de la sauvegarde
+     * @returns {object} Rapport d'import (voir SettingsManager.previewImport)
+     */
+    showImportPreview(jsonString) {
+        const report = this.settings.previewImport(jsonString);
+
+        if (!report.ok) {
+            const details = report.rejected
+                .slice(0, IMPORT_ERRORS_SHOWN)
+                .map(({ section, key, reason }) => `${this._getImportFieldLabel(key || section)} : ${reason}`);
+            this._showError([`Import impossible : ${report.error}`, ...details].join(' · '));
+            return report;
+        }
+
+        // Le panneau de paramètres passerait devant l'aperçu
+        if (this.state.isSettingsOpen) {
+            this._closeSettings();
+        }
+
+        this.elements.modalTitle.textContent = 'Importer des paramètres';
+        this.elements.modalMessage.replaceChildren(this._renderImportPreview(report));
+        this.elements.modalActionBtn.textContent = 'Appliquer';
+        this.elements.modalActionBtn.style.display = 'block';
+        this.elements.modalCloseBtn.textContent = 'Annuler';
+
+        this._openModal({
+            action: () => this._applyImport(report)
+        });
+
+        return report;
+    }
+
+    /**
+     * Télécharge une sauvegarde horodatée des paramètres
+     * @private
+     */
+    _exportSettings() {
+        this._downloadFile(
+            [this.settings.exportSettings()],
+            'application/json',
+            `focus-chrono-${this._formatBackupTimestamp(new Date())}.json`
+        );
+
+        this._showNotice('Sauvegarde téléchargée', { duration: 3000 });
+    }
+
+    /**
+     * Télécharge les sessions de la période choisie en CSV ou en iCalendar
+     * @param {string} format - 'csv' ou 'ics'
+     * @private
+     */
+    _exportSessions(format) {
+        const range = this._readDayRange(this.elements.exportFrom, this.elements.exportTo);
+        if (!range) {
+            this._showError('Le premier jour doit précéder le dernier');
+            return;
+        }
+
+        // L'agenda ne reçoit que les sessions de focus
+        const sessions = this.settings.getHistory(range)
+            .filter(entry => format === 'csv' || entry.mode === 'focus');
+        if (sessions.length === 0) {
+            this._showNotice('Aucune session sur cette période', { duration: 3000 });
+            return;
+        }
+
+        const filename = `focus-chrono-sessions-${this._formatBackupTimestamp(new Date())}.${format}`;
+        if (format === 'csv') {
+            // L'indicateur d'ordre des octets fait lire l'UTF-8 (accents) aux tableurs
+            this._downloadFile(['\uFEFF', this.settings.exportSessionsCSV(range)], 'text/csv;charset=utf-8', filename);
+        } else {
+            this._downloadFile([this.settings.exportSessionsICS(range)], 'text/calendar;charset=utf-8', filename);
+        }
+
+        this._showNotice(`${sessions.length} session(s) exportée(s)`, { duration: 3000 });
+    }
+
+    /**
+     * Lit une période dans deux champs de date (jours inclus, champ vide = sans limite)
+     * @param {HTMLInputElement} fromInput - Premier jour
+     * @param {HTMLInputElement} toInput - Dernier jour
+     * @returns {object|null} { from, to } en ms, null si la période est inversée
+     * @private
+     */
+    _readDayRange(fromInput, toInput) {
+        // valueAsDate est en UTC : le jour est relu en heure locale
+        const readDay = (input) => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(input.value);
+            return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+        };
+
+        const first = readDay(fromInput);
+        const last = readDay(toInput);
+        if (first && last && first > last) {
+            return null;
+        }
+
+        // Le dernier jour est inclus : la période s'arrête au minuit suivant
+        if (last) {
+            last.setDate(last.getDate() + 1);
+        }
+
+        return { from: first ? first.getTime() : null, to: last ? last.getTime() : null };
+    }
+
+    /**
+     * Fait télécharger un fichier généré dans la page
+     * @param {Array} parts - Contenu du fichier
+     * @param {string} type - Type MIME
+     * @param {string} filename - Nom proposé
+     * @private
+     */
+    _downloadFile(parts, type, filename) {
+        const blob = new Blob(parts, { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Le téléchargement a démarré : l'URL peut être libérée
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Copie dans le presse-papiers le lien de la configuration actuelle
+     * @private
+     */
+    _copySetupLink() {
+        // Adresse de la page sans ses paramètres (origin vaut 'null' en file://)
+        const baseUrl = window.location.href.split(/[?#]/)[0];
+        const url = DeepLink.build(baseUrl, this.settings.getSettings(), {
+            mode: this.timer.mode,
+            profileName: this.settings.getActiveProfile().name
+        });
+
+        if (!navigator.clipboard) {
+            console.log('🔗 Lien de la configuration:', url);
+            this._showError('Copie impossible dans ce navigateur');
+            return;
+        }
+
+        navigator.clipboard.writeText(url)
+            .then(() => this._showNotice('Lien copié dans le presse-papiers', { duration: 3000 }))
+            .catch((error) => {
+                console.error('❌ Erreur lors de la copie du lien:', error);
+                this._showError('Impossible de copier le lien');
+            });
+    }
+
+    /**
+     * Lit un fichier de sauvegarde et affiche l'aperçu de l'import
+     * @param {File} file - Fichier choisi ou déposé
+     * @private
+     */
+    _importSettingsFile(file) {
+        if (!file) {
+            return;
+        }
+
+        if (!/\.json$/i.test(file.name) && file.type !== 'application/json') {
+            this._showError('Choisissez un fichier de sauvegarde .json');
+            return;
+        }
+
+        if (file.size > MAX_BACKUP_SIZE) {
+            this._showError('Fichier trop volumineux pour une sauvegarde');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => this.showImportPreview(reader.result);
+        reader.onerror = () => this._showError('Impossible de lire le fichier');
+        reader.readAsText(file);
+    }
+
+    /**
+     * Horodatage local d'un nom de fichier de sauvegarde
+     * @param {Date} date - Date de l'export
+     * @returns {string} Ex. '2024-05-14_09-30-00'
+     * @private
+     */
+    _formatBackupTimestamp(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        const time = `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+
+        return `${day}_${time}`;
+    }
+
+    /**
+     * Construit l'aperçu d'un import : une case par section, la liste des changements
+     * puis les valeurs converties ou ignorées
+     * @param {object} report - Rapport d'import
+     * @returns {HTMLElement}
+     * @private
+     */
+    _renderImportPreview(report) {
+        const preview = document.createElement('div');
+        preview.className = 'import-preview';
+
+        Object.entries(report.sections).forEach(([section, { changes }]) => {
+            const block = document.createElement('div');
+            block.className = 'import-section';
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.section = section;
+            checkbox.checked = changes.length > 0;
+            label.append(checkbox, ` ${IMPORT_SECTION_LABELS[section]} (${changes.length} changement(s))`);
+            block.appendChild(label);
+
+            if (changes.length > 0) {
+                const list = document.createElement('ul');
+                changes.forEach(({ key, from, to }) => {
+                    const item = document.createElement('li');
+                    item.textContent = `${this._getImportFieldLabel(key)} : ${this._formatImportValue(from)} → ${this._formatImportValue(to)}`;
+                    list.appendChild(item);
+                });
+                block.appendChild(list);
+            }
+
+            preview.appendChild(block);
+        });
+
+        if (report.coerced.length > 0) {
+            const note = document.createElement('p');
+            note.className = 'import-note';
+            note.textContent = 'Valeurs converties : ' + report.coerced
+                .map(({ key, from, to }) => `${this._getImportFieldLabel(key)} (${JSON.stringify(from)} → ${this._formatImportValue(to)})`)
+                .join(', ');
+            preview.appendChild(note);
+        }
+
+        if (report.rejected.length > 0) {
+            const note = document.createElement('p');
+            note.className = 'import-note import-rejected';
+            note.textContent = 'Valeurs ignorées : ' + report.rejected
+                .map(({ section, key, reason }) => `${this._getImportFieldLabel(key || section)} (${reason})`)
+                .join(', ');
+            preview.appendChild(note);
+        }
+
+        return preview;
+    }
+
+    /**
+     * Applique les sections cochées dans l'aperçu d'import
+     * @param {object} report - Rapport d'import
+     * @private
+     */
+    _applyImport(report) {
+        const sections = Array.from(this.elements.modalMessage.querySelectorAll('input[data-section]:checked'))
+            .map(checkbox => checkbox.dataset.section);
+
+        if (sections.length === 0 || this.settings.applyImport(report, sections).length === 0) {
+            this._showNotice('Aucun paramètre importé', { duration: 3000 });
+            return;
+        }
+
+        const labels = sections.map(section => IMPORT_SECTION_LABELS[section]).join(', ');
+        this._showNotice(`Importé : ${labels}`, { duration: 3000 });
+        this._updateStatsDisplay();
+    }
 
-        this.timer.setMode(newMode);
+    /**
+     * Libellé d'un champ de sauvegarde
+     * @param {string} key - Nom du champ (ex. 'focusDuration', 'programs[0]')
+     * @returns {string}
+     * @private
+     */
+    _getImportFieldLabel(key) {
+        const match = /^(\w+)\[(\d+)\]$/.exec(key);
+        if (match) {
+            return `${IMPORT_FIELD_LABELS[match[1]] || match[1]} n°${Number(match[2]) + 1}`;
+        }
+
+        return IMPORT_FIELD_LABELS[key] || IMPORT_SECTION_LABELS[key] || key;
+    }
+
+    /**
+     * Formate une valeur de sauvegarde pour l'aperçu
+     * @param {*} value - Valeur à afficher
+     * @returns {string}
+     * @private
+     */
+    _formatImportValue(value) {
+        if (value === null || value === undefined) {
+            return '—';
+        }
+
+        if (typeof value === 'boolean') {
+            return value ? 'Oui' : 'Non';
+        }
+
+        if (Array.isArray(value)) {
+            return `${value.length} élément(s)`;
+        }
+
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Annonce la fin d'une session et démarre la phase suivante après un court délai
+     * @param {string} completedMode - Mode qui vient de se terminer
+     * @param {string} nextMode - Mode qui va démarrer
+     */
+    showAutoStartNotice(completedMode, nextMode) {
+        this._cancelAutoStart();
+
+        const title = completedMode === 'focus' ? 'Session de focus terminée' : 'Pause terminée';
+        let remaining = AUTO_START_DELAY;
+        const render = () => `${title} · ${MODE_LABELS[nextMode]} dans ${remaining} s`;
+
+        this._showNotice(render(), {
+            actionLabel: 'Annuler',
+            onAction: () => this._cancelAutoStart()
+        });
+
+        this.autoStartIntervalId = setInterval(() => {
+            remaining--;
+
+            if (remaining > 0) {
+                this.elements.noticeMessage.textContent = render();
+                return;
+            }
+
+            this._cancelAutoStart();
+            this.timer.start();
+            this.updateControlButtons(
+                this.timer.isRunning(),
+                this.timer.isPaused()
+            );
+        }, 1000);
+
+        // Joue un son si activé
+        if (this.settings.getSetting('soundEnabled')) {
+            this._playNotificationSound();
+        }
+    }
+
+    /**
+     * Annule l'enchaînement automatique en attente
+     * @private
+     */
+    _cancelAutoStart() {
+        if (!this.autoStartIntervalId) {
+            return;
+        }
+
+        clearInterval(this.autoStartIntervalId);
+        this.autoStartIntervalId = null;
+        this._hideNotice();
+
+        console.log('⏹️ Enchaînement automatique annulé');
+    }
+
+    /**
+     * Affiche une notification non bloquante
+     * @param {string} message - Message à afficher
+     * @param {object} options - Libellé et action du bouton, durée d'affichage en ms (0 = illimitée)
+     * @private
+     */
+    _showNotice(message, { actionLabel = null, onAction = null, duration = 0 } = {}) {
+        clearTimeout(this.noticeTimeoutId);
+        this.noticeTimeoutId = null;
+
+        this.elements.noticeMessage.textContent = message;
+        this.elements.noticeActionBtn.textContent = actionLabel || '';
+        this.elements.noticeActionBtn.hidden = !actionLabel;
+        this.noticeAction = onAction;
+        this.elements.notice.hidden = false;
+
+        if (duration > 0) {
+            this.noticeTimeoutId = setTimeout(() => this._hideNotice(), duration);
+        }
+    }
+
+    /**
+     * Masque la notification non bloquante
+     * @private
+     */
+    _hideNotice() {
+        clearTimeout(this.noticeTimeoutId);
+        this.noticeTimeoutId = null;
+        this.noticeAction = null;
+        this.elements.notice.hidden = true;
+    }
+
+    /**
+     * Gère le bouton d'action de la notification
+     * @private
+     */
+    _handleNoticeAction() {
+        const action = this.noticeAction;
+        this._hideNotice();
+
+        if (action) {
+            action();
+        }
+    }
+
+    /**
+     * Ouvre le modal
+     * @param {object|null} handlers - Actions { action, close } des deux boutons (null = fin de session)
+     * @private
+     */
+    _openModal(handlers = null) {
+        // Sans actions dédiées, le modal annonce une fin de session
+        this.modalHandlers = handlers;
+        if (!handlers) {
+            this.elements.modalCloseBtn.textContent = 'Fermer';
+        }
+
+        this.state.isModalOpen = true;
+        this.elements.modal.setAttribute('aria-modal', 'true');
+    }
+
+    /**
+     * Ferme le modal
+     * @private
+     */
+    _closeModal() {
+        this.state.isModalOpen = false;
+        this.elements.modal.setAttribute('aria-modal', 'false');
+        this.elements.modal.classList.remove('modal-celebration');
+
+        this.modalHandlers = null;
+    }
+
+    /**
+     * Gère l'action principale du modal
+     * @private
+     */
+    _handleModalAction() {
+        const handlers = this.modalHandlers;
+        this._closeModal();
+
+        if (handlers) {
+            handlers.action();
+            return;
+        }
+
+        // Le chronomètre est déjà passé à la phase suivante du cycle
         this.timer.start();
     }
 
+    /**
+     * Gère le bouton secondaire du modal
+     * @private
+     */
+    _handleModalClose() {
+        const handlers = this.modalHandlers;
+        this._closeModal();
+
+        if (handlers && handlers.close) {
+            handlers.close();
+        }
+    }
+
     /**
      * Joue un son de notification
+     * @param {Array<number>} notes - Fréquences jouées l'une après l'autre (Hz)
      * @private
      */
-    _playNotificationSound() {
+    _playNotificationSound(notes = [800]) {
         try {
             // Crée un contexte audio
             const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
 
-            // Configure l'oscillateur
-            oscillator.type = 'sine';
-            oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
+            notes.forEach((frequency, index) => {
+                const start = audioContext.currentTime + index * 0.15;
+                const oscillator = audioContext.createOscillator();
+                const gainNode = audioContext.createGain();
 
-            // Configure le gain (volume)
-            gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 1);
+                // Configure l'oscillateur
+                oscillator.type = 'sine';
+                oscillator.frequency.setValueAtTime(frequency, start);
 
-            // Connecte les nœuds
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
+                // Configure le gain (volume)
+                gainNode.gain.setValueAtTime(0.3, start);
+                gainNode.gain.exponentialRampToValueAtTime(0.01, start + 1);
 
-            // Joue le son
-            oscillator.start();
-            oscillator.stop(audioContext.currentTime + 1);
+                // Connecte les nœuds
+                oscillator.connect(gainNode);
+                gainNode.connect(audioContext.destination);
+
+                // Joue le son
+                oscillator.start(start);
+                oscillator.stop(start + 1);
+            });
 
             console.log('🔔 Son de notification joué');
         } catch (error) {
@@ -551,15 +2276,24 @@ class UIManager {
     }
 
     /**
-     * Gère les clics à l'extérieur du panneau des paramètres
+     * Gère les clics à l'extérieur des panneaux (paramètres, statistiques)
      * @private
      */
     _handleOutsideClick(event) {
+        // Le chemin est figé au moment du clic, même si la cible a été retirée du DOM depuis
+        const path = event.composedPath();
+
         if (this.state.isSettingsOpen &&
-            !this.elements.settingsPanel.contains(event.target) &&
-            !this.elements.settingsBtn.contains(event.target)) {
+            !path.includes(this.elements.settingsPanel) &&
+            !path.includes(this.elements.settingsBtn)) {
             this._closeSettings();
         }
+
+        if (this.state.isStatsOpen &&
+            !path.includes(this.elements.statsPanel) &&
+            !path.includes(this.elements.statsBtn)) {
+            this._closeStats();
+        }
     }
 
     /**
@@ -568,7 +2302,7 @@ class UIManager {
      */
     _handleKeyPress(event) {
         // Ignore les raccourcis si l'utilisateur est en train de taper dans un champ
-        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
             return;
         }
 
@@ -609,6 +2343,42 @@ class UIManager {
                 this._toggleTheme();
                 break;
 
+            case 'e':
+            case 'E':
+                // E : Terminer la prolongation ou le chronomètre libre
+                if (this.timer.getState().overtime || this.timer.isStopwatch()) {
+                    event.preventDefault();
+                    this._handleFinish();
+                }
+                break;
+
+            case '+':
+            case '=':
+                // + : Ajouter du temps
+                event.preventDefault();
+                this._handleAdjust(ADJUST_STEP);
+                break;
+
+            case '-':
+                // - : Retirer du temps
+                event.preventDefault();
+                this._handleAdjust(-ADJUST_STEP);
+                break;
+
+            case 'n':
+            case 'N':
+                // N : Phase suivante
+                event.preventDefault();
+                this._handleSkip();
+                break;
+
+            case 'p':
+            case 'P':
+                // P : Profil suivant
+                event.preventDefault();
+                this._cycleProfile();
+                break;
+
             case 'Escape':
                 // Échap : Fermer modal ou paramètres
                 if (this.state.isModalOpen) {
@@ -617,6 +2387,9 @@ class UIManager {
                 if (this.state.isSettingsOpen) {
                     this._closeSettings();
                 }
+                if (this.state.isStatsOpen) {
+                    this._closeStats();
+                }
                 break;
         }
     }
@@ -672,17 +2445,9 @@ class UIManager {
         // Met à jour le thème dans les paramètres
         this.settings.setTheme(newTheme);
 
-        // Applique le thème
+        // Applique le thème (les autres pages suivent via le document persistant)
         this._applyTheme();
 
-        // Déclenche un événement de stockage pour synchroniser
-        window.localStorage.setItem('theme', newTheme);
-        window.dispatchEvent(new StorageEvent('storage', {
-            key: 'theme',
-            newValue: newTheme,
-            oldValue: isLightMode ? 'light' : 'dark'
-        }));
-
         // Animation du bouton
         this._animateButton(this.elements.themeToggle);
     }
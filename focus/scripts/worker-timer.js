@@ -0,0 +1,136 @@
+/**
+ * Chronomètre cadencé par un Web Worker pour Focus Chronométré
+ * Les ticks ne dépendent plus des animations et du travail sur le DOM
+ */
+
+// Script du moteur de compte à rebours (relatif à la page)
+const TIMER_WORKER_URL = 'scripts/timer-worker.js';
+
+/**
+ * Chronomètre dont le compte à rebours tourne dans un Web Worker
+ *
+ * Même API et mêmes événements que FocusTimer : seul le cadencement change.
+ * Sans Web Worker (ex. page ouverte en file://) ou avec une horloge injectée,
+ * le compte reste dans la page.
+ */
+class WorkerFocusTimer extends FocusTimer {
+    /**
+     * @param {object} options - Options de FocusTimer (clock)
+     */
+    constructor(options = {}) {
+        super(options);
+
+        // Worker du compte à rebours (null = compte dans la page)
+        this.worker = null;
+
+        this._initWorker();
+    }
+
+    /**
+     * Indique si la page peut lancer le worker
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
+    }
+
+    /**
+     * Lance le worker du compte à rebours
+     * @private
+     */
+    _initWorker() {
+        // Une horloge injectée (ex. virtuelle) cadence elle-même les ticks
+        if (!(this.clock instanceof SystemClock)) {
+            return;
+        }
+
+        if (!WorkerFocusTimer.isSupported()) {
+            console.warn('⚠️ Web Workers indisponibles, compte à rebours dans la page');
+            return;
+        }
+
+        try {
+            this.worker = new Worker(TIMER_WORKER_URL);
+        } catch (error) {
+            console.warn('⚠️ Impossible de lancer le Web Worker, compte à rebours dans la page:', error);
+            return;
+        }
+
+        this.worker.onmessage = (event) => this._handleWorkerMessage(event.data);
+        this.worker.onerror = (error) => this._fallBackToPage(error);
+
+        console.log('🧵 Compte à rebours confié à un Web Worker');
+    }
+
+    /**
+     * Traite un message du worker
+     * @param {object} message - { type: 'tick' | 'complete' }
+     * @private
+     */
+    _handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'tick':
+            case 'complete':
+                // L'horloge murale reste la référence : le worker ne fait que cadencer
+                this._tick();
+                break;
+        }
+    }
+
+    /**
+     * Abandonne le worker défaillant et reprend le compte dans la page
+     * @param {Event} error - Erreur du worker
+     * @private
+     */
+    _fallBackToPage(error) {
+        console.warn('⚠️ Erreur du Web Worker, retour au compte dans la page:', error.message || error);
+
+        this.worker.terminate();
+        this.worker = null;
+
+        if (this.state === TimerState.RUNNING) {
+            super._startTicking();
+        }
+    }
+
+    /**
+     * Demande au worker de compter jusqu'à l'heure de fin
+     * @private
+     */
+    _startTicking() {
+        if (!this.worker) {
+            super._startTicking();
+            return;
+        }
+
+        this.worker.postMessage({ type: 'start', endTime: this.endTime, interval: TICK_INTERVAL });
+    }
+
+    /**
+     * Arrête le compte dans le worker
+     * @private
+     */
+    _stopTicking() {
+        if (!this.worker) {
+            super._stopTicking();
+            return;
+        }
+
+        this.worker.postMessage({ type: 'stop' });
+    }
+
+    /**
+     * Nettoie les ressources du chronomètre et arrête le worker
+     */
+    destroy() {
+        super.destroy();
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Exporte la classe
+window.WorkerFocusTimer = WorkerFocusTimer;
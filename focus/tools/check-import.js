@@ -0,0 +1,195 @@
+/**
+ * Vérifie l'analyse et l'application d'une sauvegarde importée, sans navigateur
+ * (conversion des valeurs, rejets, anciens exports à plat, fusion de l'historique) :
+ *
+ *   node focus/tools/check-import.js
+ */
+
+const assert = require('assert');
+const { MemoryLocalStorage, loadScripts, plain } = require('./load-scripts');
+
+// Scripts dont dépend le gestionnaire de paramètres, dans l'ordre de app.html
+const SETTINGS_SCRIPTS = ['events.js', 'storage.js', 'storage-adapters.js', 'clock.js', 'programs.js', 'timer.js',
+    'history.js', 'goals.js', 'exporters.js', 'settings.js'];
+
+// Jour des anciens compteurs (format de Date.toDateString)
+const LEGACY_DAY = 'Mon Oct 19 2026';
+
+/**
+ * Charge un gestionnaire de paramètres sur un stockage en mémoire
+ * @param {Array} entries - Sessions déjà enregistrées
+ * @returns {Promise<object>} { settings, adapter, preview(data) }
+ */
+function openSettings(entries = []) {
+    const context = loadScripts(SETTINGS_SCRIPTS, { localStorage: new MemoryLocalStorage() });
+    const adapter = new context.MemoryStorageAdapter({}, entries);
+    const settings = new context.SettingsManager({ storage: new context.StorageManager({ adapter }) });
+    const preview = data => plain(settings.previewImport(typeof data === 'string' ? data : JSON.stringify(data)));
+
+    return settings.load().then(() => ({ settings, adapter, preview }));
+}
+
+/**
+ * Laisse se terminer les écritures en arrière-plan (promesses déjà résolues)
+ * @returns {Promise}
+ */
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Clés rejetées d'un rapport
+ * @param {object} report - Rapport de previewImport()
+ * @returns {Array} [section, clé, raison]
+ */
+function rejected(report) {
+    return report.rejected.map(item => [item.section, item.key, item.reason]);
+}
+
+/**
+ * Entrée d'historique minimale
+ * @param {string} id - Identifiant
+ * @param {number} start - Début en ms
+ * @returns {object}
+ */
+function session(id, start) {
+    return {
+        id,
+        mode: 'focus',
+        outcome: 'completed',
+        start,
+        end: start + 60000,
+        plannedDuration: 60,
+        actualDuration: 60,
+        adjustment: 0,
+        interruptions: [],
+        profileId: null
+    };
+}
+
+const checks = [
+    ['Fichier illisible ou sans objet', () => openSettings().then(({ preview }) => {
+        assert.strictEqual(preview('{pas du json').error, 'Le fichier n\'est pas un JSON valide');
+        assert.strictEqual(preview([1, 2]).error, 'La sauvegarde doit être un objet JSON');
+        assert.strictEqual(preview(null).error, 'La sauvegarde doit être un objet JSON');
+        assert.strictEqual(preview({ version: 99, preferences: { theme: 'light' } }).error,
+            'Sauvegarde créée par une version plus récente de l\'application');
+    })],
+
+    ['Valeurs converties vers le type attendu', () => openSettings().then(({ preview }) => {
+        const report = preview({
+            version: 3,
+            preferences: { focusDuration: '30', soundEnabled: 'false', targetTime: ' 08:30 ', theme: 'light' }
+        });
+
+        assert.strictEqual(report.ok, true);
+        assert.deepStrictEqual(report.sections.preferences.values,
+            { focusDuration: 30, soundEnabled: false, targetTime: '08:30', theme: 'light' });
+        assert.deepStrictEqual(report.coerced.map(item => [item.key, item.from, item.to]),
+            [['focusDuration', '30', 30], ['soundEnabled', 'false', false], ['targetTime', ' 08:30 ', '08:30']]);
+        assert.deepStrictEqual(report.sections.preferences.changes.map(change => change.key),
+            ['focusDuration', 'soundEnabled', 'targetTime', 'theme']);
+    })],
+
+    ['Valeurs hors limites, champs et sections inconnus rejetés', () => openSettings().then(({ preview }) => {
+        const report = preview({
+            extras: {},
+            preferences: {
+                focusDuration: 500,
+                cyclesBeforeLongBreak: 2.5,
+                idleThreshold: 'abc',
+                theme: 'bleu',
+                inconnu: 1,
+                breakDuration: 10
+            }
+        });
+
+        assert.deepStrictEqual(rejected(report), [
+            [null, 'extras', 'Section inconnue'],
+            ['preferences', 'focusDuration', 'Valeur invalide ou hors limites'],
+            ['preferences', 'cyclesBeforeLongBreak', 'Valeur invalide ou hors limites'],
+            ['preferences', 'idleThreshold', 'Valeur invalide ou hors limites'],
+            ['preferences', 'theme', 'Valeur invalide ou hors limites'],
+            ['preferences', 'inconnu', 'Champ inconnu']
+        ]);
+        assert.deepStrictEqual(report.sections.preferences.values, { breakDuration: 10 });
+
+        const empty = preview({ preferences: { focusDuration: 0 } });
+        assert.strictEqual(empty.ok, false);
+        assert.strictEqual(empty.error, 'Aucune valeur valide à importer');
+    })],
+
+    ['Programmes et profils invalides écartés un par un', () => openSettings().then(({ preview }) => {
+        const valid = {
+            id: 'etude',
+            name: 'Étude',
+            phases: [{ name: 'Lecture', duration: 40, kind: 'work' }, { name: 'Pause', duration: 10, kind: 'rest' }]
+        };
+        const report = preview({
+            preferences: {
+                programs: [valid, { id: 'vide', name: 'Vide', phases: [null] },
+                    { id: 'repos', name: 'Repos', phases: [{ name: 'Pause', duration: 10, kind: 'rest' }] }],
+                activeProgramId: 'vide',
+                activeProfileId: 'absent'
+            }
+        });
+
+        assert.deepStrictEqual(rejected(report), [
+            ['preferences', 'programs[1]', 'Chaque phase doit avoir un nom'],
+            ['preferences', 'programs[2]', 'Le programme doit contenir au moins une phase de travail'],
+            ['preferences', 'activeProgramId', 'Programme inconnu'],
+            ['preferences', 'activeProfileId', 'Profil inconnu']
+        ]);
+        assert.deepStrictEqual(report.sections.preferences.values, { programs: [valid] });
+    })],
+
+    ['Ancien export à plat : compteurs du jour convertis en sessions', () => openSettings().then(({ preview }) => {
+        const report = preview({
+            focusDuration: 40,
+            stats: { sessionsToday: 2, totalFocusTime: 50, lastResetDate: LEGACY_DAY }
+        });
+
+        assert.deepStrictEqual(report.sections.preferences.values, { focusDuration: 40 });
+        assert.deepStrictEqual(report.sections.history.values.sessions.map(entry => [entry.start, entry.legacy]),
+            [[Date.parse(LEGACY_DAY), true], [Date.parse(LEGACY_DAY), true]]);
+
+        const undated = preview({ focusDuration: 40, stats: { sessionsToday: 2 } });
+        assert.deepStrictEqual(rejected(undated), [[null, 'stats', 'Statistiques sans date']]);
+        assert.strictEqual(undated.sections.history, undefined);
+    })],
+
+    ['Sessions importées fusionnées avec l\'historique puis enregistrées', () => openSettings([session('a', 1000)])
+        .then(({ settings, adapter, preview }) => {
+            const report = preview({
+                preferences: { theme: 'light' },
+                history: { sessions: [session('b', 2000), { ...session('c', 3000), outcome: 'oublié' }, session('a', 1000)] }
+            });
+
+            assert.deepStrictEqual(rejected(report), [['history', 'sessions[1]', 'Issue de session invalide']]);
+            assert.deepStrictEqual(report.sections.history.values.sessions.map(entry => entry.id), ['a', 'b']);
+
+            assert.deepStrictEqual(plain(settings.applyImport(report)).sort(), ['history', 'theme']);
+            assert.strictEqual(settings.getSetting('theme'), 'light');
+
+            return settle()
+                .then(() => Promise.all([adapter.getEntries(), adapter.get('focusChrono.settings')]))
+                .then(([entries, saved]) => {
+                    assert.deepStrictEqual(plain(entries).map(entry => entry.id), ['a', 'b']);
+                    assert.strictEqual(saved.theme, 'light');
+                });
+        })]
+];
+
+const startedAt = Date.now();
+
+checks.reduce((previous, [name, check]) => previous.then(() => check().catch(error => {
+    error.message = `${name} : ${error.message}`;
+    throw error;
+})), Promise.resolve())
+    .then(() => {
+        console.log(`✅ Import : ${checks.length} vérifications en ${Date.now() - startedAt} ms`);
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
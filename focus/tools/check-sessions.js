@@ -0,0 +1,115 @@
+/**
+ * Vérifie les calculs déduits de l'historique, sans navigateur : séries de l'objectif du jour
+ * (changement d'heure compris) et échappement des exports CSV et iCalendar
+ *
+ *   node focus/tools/check-sessions.js
+ */
+
+// Fuseau fixe : jours locaux, heures du CSV et passage à l'heure d'été (29 mars 2026)
+process.env.TZ = 'Europe/Paris';
+
+const assert = require('assert');
+const { loadScripts } = require('./load-scripts');
+
+// Scripts de l'historique et des exports, dans l'ordre de app.html
+const SESSION_SCRIPTS = ['events.js', 'storage.js', 'storage-adapters.js', 'clock.js', 'programs.js', 'timer.js',
+    'history.js', 'goals.js', 'exporters.js'];
+
+const { SessionHistory, DailyGoal, SessionExporter, logged } = loadScripts(SESSION_SCRIPTS);
+
+/**
+ * Session de focus à une heure locale
+ * @param {number} month - Mois (1 à 12)
+ * @param {number} day - Jour du mois
+ * @param {object} fields - Champs remplacés (ex. { outcome, label })
+ * @returns {object} Entrée de 25 minutes commençant à 8 h 30
+ */
+function session(month, day, fields = {}) {
+    const start = new Date(2026, month - 1, day, 8, 30).getTime();
+
+    return {
+        id: `session-${month}-${day}-${fields.label || fields.outcome || fields.mode || ''}`,
+        mode: 'focus',
+        outcome: 'completed',
+        start,
+        end: start + 25 * 60000,
+        plannedDuration: 1500,
+        actualDuration: 1500,
+        adjustment: 0,
+        interruptions: [],
+        profileId: null,
+        ...fields
+    };
+}
+
+/**
+ * Séries de l'objectif « une session par jour »
+ * @param {Array} entries - Sessions
+ * @param {Date} now - Date de référence
+ * @returns {Array} [currentStreak, longestStreak, met]
+ */
+function streaks(entries, now) {
+    const progress = DailyGoal.progress(new SessionHistory(entries), { type: 'sessions', target: 1 }, now);
+    return [progress.currentStreak, progress.longestStreak, progress.met];
+}
+
+const startedAt = Date.now();
+
+// Séries : un jour manqué coupe la série, aujourd'hui la prolonge tant qu'il n'est pas fini
+assert.deepStrictEqual(streaks([session(3, 10), session(3, 11), session(3, 13)], new Date(2026, 2, 13, 18)),
+    [1, 2, true], 'Série reprise après un jour manqué');
+assert.deepStrictEqual(streaks([session(3, 11), session(3, 12)], new Date(2026, 2, 13, 7)),
+    [2, 2, false], 'Série en cours avant la première session du jour');
+assert.deepStrictEqual(streaks([session(3, 10), session(3, 11)], new Date(2026, 2, 13, 7)),
+    [0, 2, false], 'Série perdue la veille');
+assert.deepStrictEqual(streaks([session(3, 28), session(3, 29), session(3, 30)], new Date(2026, 2, 30, 12)),
+    [3, 3, true], 'Le jour du passage à l\'heure d\'été ne dure que 23 heures');
+assert.deepStrictEqual(streaks([session(3, 13, { outcome: 'abandoned' })], new Date(2026, 2, 13, 18)),
+    [0, 0, false], 'Une session abandonnée ne compte pas comme session');
+
+const minutes = DailyGoal.progress(new SessionHistory([session(3, 13, { outcome: 'abandoned' })]),
+    { type: 'minutes', target: 50 }, new Date(2026, 2, 13, 18));
+assert.strictEqual(minutes.value, 25, 'Les minutes abandonnées comptent dans l\'objectif en minutes');
+assert.strictEqual(minutes.ratio, 0.5);
+
+// CSV : séparateurs et guillemets protégés, formules désactivées, nombres négatifs intacts
+const csv = SessionExporter.toCSV([
+    session(3, 15, { label: '=HYPERLINK("http://exemple")' }),
+    session(3, 15, { label: 'Lecture, notes' }),
+    session(3, 15, { label: '@maison' }),
+    session(3, 15, { label: '-5 min' }),
+    session(3, 15, { label: 'Ligne\nsuivante' })
+]);
+assert.deepStrictEqual(csv.split('\r\n'), [
+    'date,start,end,duration_min,mode,label,outcome',
+    '2026-03-15,08:30,08:55,25,focus,"\'=HYPERLINK(""http://exemple"")",completed',
+    '2026-03-15,08:30,08:55,25,focus,"Lecture, notes",completed',
+    '2026-03-15,08:30,08:55,25,focus,\'@maison,completed',
+    '2026-03-15,08:30,08:55,25,focus,-5 min,completed',
+    '2026-03-15,08:30,08:55,25,focus,"Ligne\nsuivante",completed',
+    ''
+]);
+
+// iCalendar : texte échappé, heures en UTC, lignes repliées sans couper un caractère
+const label = `Réunion; client, dossier\\${'é'.repeat(60)}`;
+const ics = SessionExporter.toICS([
+    session(3, 15, { label }),
+    session(3, 15, { mode: 'break', label: 'Pause' }),
+    session(3, 14, { legacy: true, label: 'Ancien' })
+], new Date(Date.UTC(2026, 2, 15, 12)));
+const lines = ics.split('\r\n');
+
+assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 1, 'Pauses et sessions reconstituées exclues');
+assert.ok(lines.includes('DTSTART:20260315T073000Z'));
+assert.ok(lines.includes('DTSTAMP:20260315T120000Z'));
+lines.forEach(line => {
+    assert.ok(Buffer.byteLength(line) <= 75, `Ligne de plus de 75 octets : ${line}`);
+});
+
+const unfolded = ics.replace(/\r\n /g, '').split('\r\n');
+assert.ok(unfolded.includes(`SUMMARY:Focus : Réunion\\; client\\, dossier\\\\${'é'.repeat(60)}`));
+assert.ok(unfolded.includes('DESCRIPTION:Issue : terminée\\nDurée : 25 min\\nInterruptions : 0'));
+
+assert.deepStrictEqual(logged.error, [], 'Aucune erreur journalisée');
+
+console.log(`✅ Sessions : séries et exports vérifiés en ${Date.now() - startedAt} ms`);
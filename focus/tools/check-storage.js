@@ -0,0 +1,266 @@
+/**
+ * Vérifie le chargement du stockage sans navigateur : migrations des anciens formats,
+ * supports de repli et reprise de la copie de fermeture
+ *
+ *   node focus/tools/check-storage.js
+ *
+ * Node n'a pas d'IndexedDB : les documents passent par le localStorage (en mémoire ici)
+ * ou par l'adaptateur mémoire, qui suivent le même chemin de migration.
+ */
+
+const assert = require('assert');
+const { MemoryLocalStorage, loadScripts, evaluate, plain } = require('./load-scripts');
+
+// Scripts du stockage, dans l'ordre de app.html
+const STORAGE_SCRIPTS = ['events.js', 'storage.js', 'storage-adapters.js'];
+
+// Jour des anciens compteurs (format de Date.toDateString)
+const LEGACY_DAY = 'Mon Oct 19 2026';
+
+/**
+ * Charge le stockage sur un localStorage donné
+ * @param {object} values - Contenu du localStorage, clé → valeur (encodée en JSON sauf texte)
+ * @param {object} options - { localStorage : remplace le localStorage en mémoire, adapter(context) }
+ * @returns {Promise<object>} { context, storage, localStorage, read(key) }
+ */
+function openStorage(values = {}, options = {}) {
+    const encoded = {};
+    Object.entries(values).forEach(([key, value]) => {
+        encoded[key] = typeof value === 'string' ? value : JSON.stringify(value);
+    });
+
+    const localStorage = options.localStorage || new MemoryLocalStorage(encoded);
+    const context = loadScripts(STORAGE_SCRIPTS, { localStorage });
+    const adapter = options.adapter ? options.adapter(context) : null;
+    const storage = new context.StorageManager({ adapter });
+    const read = key => {
+        const raw = localStorage.getItem(key);
+        return raw === null ? null : JSON.parse(raw);
+    };
+
+    return storage.load().then(() => settle()).then(() => ({ context, storage, localStorage, read }));
+}
+
+/**
+ * Laisse se terminer les écritures en arrière-plan (promesses déjà résolues)
+ * @returns {Promise}
+ */
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+const checks = [
+    ['Anciennes clés séparées (v0) → sections séparées', () => openStorage({
+        focusDuration: 30,
+        soundEnabled: false,
+        theme: 'dark',
+        focusStats: { sessionsToday: 2, totalFocusTime: 50, lastResetDate: LEGACY_DAY },
+        timerState: { mode: 'focus', state: 'paused', timeLeft: 600 },
+        hasVisitedBefore: true,
+        unrelated: 'gardée'
+    }).then(({ context, storage, localStorage, read }) => {
+        const version = evaluate(context, 'STORAGE_VERSION');
+
+        assert.strictEqual(storage.getAdapterName(), 'localStorage');
+        assert.strictEqual(storage.getVersion(), version);
+        assert.deepStrictEqual(read('focusChrono.settings'), { focusDuration: 30, soundEnabled: false, theme: 'dark' });
+        assert.deepStrictEqual(read('focusChrono.timerState'), { mode: 'focus', state: 'paused', timeLeft: 600 });
+        assert.deepStrictEqual(read('focusChrono.app'), { hasVisitedBefore: true });
+        assert.strictEqual(read('focusChrono.version'), version);
+
+        const history = read('focusChrono.history');
+        assert.deepStrictEqual(history.map(entry => [entry.outcome, entry.actualDuration, entry.legacy]),
+            [['completed', 1500, true], ['completed', 1500, true]]);
+        assert.strictEqual(history[0].start, Date.parse(LEGACY_DAY));
+
+        // Les anciennes clés ne restent pas à côté des sections
+        assert.deepStrictEqual(localStorage.keys(), ['focusChrono.app', 'focusChrono.history',
+            'focusChrono.settings', 'focusChrono.timerState', 'focusChrono.version', 'unrelated']);
+    })],
+
+    ['Document v1 (compteurs du jour) → historique', () => openStorage({
+        focusChrono: {
+            version: 1,
+            settings: { focusDuration: 20 },
+            stats: { sessionsToday: 1, skippedToday: 1, totalFocusTime: 30, lastResetDate: LEGACY_DAY },
+            timerState: null,
+            app: { hasVisitedBefore: true }
+        }
+    }).then(({ storage, localStorage, read }) => {
+        assert.strictEqual(storage.get('stats'), undefined);
+        assert.strictEqual(storage.get('history'), undefined, 'L\'historique ne reste pas dans le document');
+        assert.deepStrictEqual(plain(storage.get('settings')), { focusDuration: 20 });
+        assert.deepStrictEqual(read('focusChrono.history').map(entry => [entry.outcome, entry.actualDuration]),
+            [['completed', 900], ['skipped', 900]]);
+        assert.strictEqual(localStorage.getItem('focusChrono'), null, 'L\'ancien document est supprimé');
+    })],
+
+    ['Document v2 → sections séparées, historique trié et lu par période', () => openStorage({
+        focusChrono: {
+            version: 2,
+            settings: { theme: 'light' },
+            timerState: { mode: 'break', state: 'paused', timeLeft: 120 },
+            app: {},
+            history: [session('b', 2000), session('a', 1000), session('c', 3000)]
+        }
+    }).then(({ storage, localStorage, read }) => {
+        assert.deepStrictEqual(read('focusChrono.settings'), { theme: 'light' });
+        assert.deepStrictEqual(read('focusChrono.timerState'), { mode: 'break', state: 'paused', timeLeft: 120 });
+        assert.deepStrictEqual(read('focusChrono.history').map(entry => entry.id), ['a', 'b', 'c']);
+        assert.strictEqual(localStorage.getItem('focusChrono'), null);
+
+        return storage.loadHistory({ from: 1500, to: 3000 }).then(entries => {
+            assert.deepStrictEqual(plain(entries).map(entry => entry.id), ['b'], 'Début inclus, fin exclue');
+        });
+    })],
+
+    ['Document illisible : copie .corrupted, puis document neuf', () => openStorage({
+        focusChrono: '{illisible'
+    }).then(({ context, storage, localStorage, read }) => {
+        assert.strictEqual(localStorage.getItem('focusChrono.corrupted'), '{illisible');
+        assert.strictEqual(localStorage.getItem('focusChrono'), null);
+        assert.strictEqual(read('focusChrono.version'), storage.getVersion());
+        assert.strictEqual(context.logged.error.length, 1);
+    })],
+
+    ['Données d\'une version plus récente : lues sans être réécrites', () => {
+        const values = { 'focusChrono.version': 99, 'focusChrono.settings': { futur: true } };
+
+        return openStorage(values).then(({ context, storage, localStorage, read }) => {
+            assert.strictEqual(storage.getVersion(), 99);
+            assert.deepStrictEqual(plain(storage.get('settings')), { futur: true });
+            assert.deepStrictEqual(localStorage.keys(), Object.keys(values).sort());
+            assert.deepStrictEqual(read('focusChrono.settings'), { futur: true });
+            assert.ok(context.logged.warn.some(message => message.includes('v99')));
+        });
+    }],
+
+    ['Ancien document sur l\'adaptateur mémoire : déplacé dans les sections', () => {
+        let adapter = null;
+
+        return openStorage({}, {
+            adapter: context => {
+                adapter = new context.MemoryStorageAdapter({
+                    focusChrono: { version: 2, settings: { theme: 'dark' }, app: {}, history: [session('a', 1000)] }
+                });
+                return adapter;
+            }
+        }).then(({ storage }) => Promise.all([
+            adapter.get('focusChrono'),
+            adapter.get('focusChrono.settings'),
+            adapter.get('focusChrono.version'),
+            adapter.getEntries()
+        ]).then(([document, settings, version, entries]) => {
+            assert.strictEqual(document, null);
+            assert.deepStrictEqual(plain(settings), { theme: 'dark' });
+            assert.strictEqual(version, storage.getVersion());
+            assert.deepStrictEqual(plain(entries).map(entry => entry.id), ['a']);
+        }));
+    }],
+
+    ['localStorage bloqué : repli sur la mémoire', () => {
+        const blocked = new MemoryLocalStorage();
+        blocked.setItem = () => {
+            throw new Error('SecurityError');
+        };
+
+        return openStorage({}, { localStorage: blocked }).then(({ storage }) => {
+            assert.strictEqual(storage.getAdapterName(), 'mémoire');
+
+            return storage.save({ app: { hasVisitedBefore: true } }).then(saved => {
+                assert.strictEqual(saved, true);
+                assert.deepStrictEqual(plain(storage.get('app')), { hasVisitedBefore: true });
+            });
+        });
+    }],
+
+    ['Compteurs du jour → sessions (répartition, profils, interruptions)', () => openStorage().then(({ context }) => {
+        const stats = {
+            sessionsToday: 2,
+            abandonedToday: 1,
+            totalFocusTime: 50,
+            extendedToday: 1,
+            interruptionsToday: 3,
+            interruptionReasons: { appel: 2 },
+            profileSessions: { profond: 1, leger: 1 },
+            lastResetDate: LEGACY_DAY
+        };
+        const entries = plain(context.StorageManager.statsToHistory(stats));
+
+        assert.deepStrictEqual(entries.map(entry => entry.outcome), ['completed', 'completed', 'abandoned']);
+        assert.deepStrictEqual(entries.map(entry => entry.actualDuration), [17 * 60, 17 * 60, 16 * 60]);
+        assert.deepStrictEqual(entries.map(entry => entry.adjustment), [60, 0, 0]);
+        assert.deepStrictEqual(entries.map(entry => entry.profileId), ['profond', 'leger', null]);
+        assert.deepStrictEqual(entries[0].interruptions.map(item => item.reason), ['appel', 'appel', null]);
+        assert.deepStrictEqual(entries[1].interruptions, []);
+
+        // Identifiants stables : une seconde conversion ne crée pas de doublons
+        assert.deepStrictEqual(plain(context.StorageManager.statsToHistory(stats)).map(entry => entry.id),
+            entries.map(entry => entry.id));
+        assert.deepStrictEqual(plain(context.StorageManager.statsToHistory({ sessionsToday: 3 })), []);
+    })],
+
+    ['Copie de fermeture reprise au chargement, puis effacée', () => {
+        const timerState = { mode: 'focus', state: 'running', endTime: 5000 };
+
+        return openStorage({
+            'focusChrono.version': 3,
+            'focusChrono.timerState': { mode: 'focus', state: 'paused', timeLeft: 900 },
+            'focusChrono.pendingWrite': { timerState, inconnue: 1 }
+        }).then(({ storage, localStorage, read }) => {
+            assert.deepStrictEqual(plain(storage.get('timerState')), timerState);
+            assert.deepStrictEqual(read('focusChrono.timerState'), timerState);
+            assert.deepStrictEqual(read('focusChrono.pendingWrite'), { inconnue: 1 },
+                'Seules les sections enregistrées quittent la copie');
+            assert.strictEqual(localStorage.getItem('focusChrono.inconnue'), null);
+        });
+    }],
+
+    ['Deux pages sur les mêmes paramètres : chacune n\'écrit que ses champs', () => {
+        const localStorage = new MemoryLocalStorage();
+
+        return openStorage({}, { localStorage })
+            .then(first => openStorage({}, { localStorage }).then(second => [first, second]))
+            .then(([first, second]) => Promise.all([
+                first.storage.save({ settings: { ...first.storage.get('settings'), theme: 'dark' } }),
+                second.storage.save({ settings: { ...second.storage.get('settings'), focusDuration: 45 } })
+            ]).then(() => {
+                assert.deepStrictEqual(first.read('focusChrono.settings'), { theme: 'dark', focusDuration: 45 });
+            }));
+    }]
+];
+
+/**
+ * Entrée d'historique minimale
+ * @param {string} id - Identifiant
+ * @param {number} start - Début en ms
+ * @returns {object}
+ */
+function session(id, start) {
+    return {
+        id,
+        mode: 'focus',
+        outcome: 'completed',
+        start,
+        end: start + 60000,
+        plannedDuration: 60,
+        actualDuration: 60,
+        adjustment: 0,
+        interruptions: [],
+        profileId: null
+    };
+}
+
+const startedAt = Date.now();
+
+checks.reduce((previous, [name, check]) => previous.then(() => check().catch(error => {
+    error.message = `${name} : ${error.message}`;
+    throw error;
+})), Promise.resolve())
+    .then(() => {
+        console.log(`✅ Stockage : ${checks.length} vérifications en ${Date.now() - startedAt} ms`);
+    })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,107 @@
+/**
+ * Chargement des scripts de l'application dans Node, pour les vérifications de ce dossier
+ * Les scripts s'exécutent dans un contexte isolé qui tient lieu de window, comme dans la page
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Dossier des scripts de l'application
+const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+
+/**
+ * localStorage en mémoire (Node n'en fournit pas)
+ */
+class MemoryLocalStorage {
+    /**
+     * @param {object} initialValues - Valeurs de départ, clé → texte
+     */
+    constructor(initialValues = {}) {
+        this.values = new Map(Object.entries(initialValues));
+    }
+
+    get length() {
+        return this.values.size;
+    }
+
+    key(index) {
+        const keys = Array.from(this.values.keys());
+        return index < keys.length ? keys[index] : null;
+    }
+
+    getItem(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.values.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.values.delete(key);
+    }
+
+    clear() {
+        this.values.clear();
+    }
+
+    /**
+     * Clés présentes, triées
+     * @returns {string[]}
+     */
+    keys() {
+        return Array.from(this.values.keys()).sort();
+    }
+}
+
+/**
+ * Charge des scripts dans un nouveau contexte
+ *
+ * Les journaux de l'application sont coupés ; avertissements et erreurs sont gardés
+ * dans context.logged pour que les vérifications puissent les attendre.
+ * @param {string[]} files - Scripts du dossier scripts, dans l'ordre de app.html
+ * @param {object} globals - Globales du contexte (ex. { localStorage })
+ * @returns {object} Contexte : classes exportées (window.X), globales et logged { warn, error }
+ */
+function loadScripts(files, globals = {}) {
+    const logged = { warn: [], error: [] };
+    const context = vm.createContext({
+        console: {
+            log: () => {},
+            warn: (...args) => logged.warn.push(args.map(String).join(' ')),
+            error: (...args) => logged.error.push(args.map(String).join(' '))
+        },
+        ...globals
+    });
+    context.window = context;
+    context.logged = logged;
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    return context;
+}
+
+/**
+ * Lit une constante déclarée par les scripts (ex. STORAGE_VERSION)
+ * @param {object} context - Contexte de loadScripts()
+ * @param {string} expression - Expression évaluée dans le contexte
+ * @returns {*}
+ */
+function evaluate(context, expression) {
+    return vm.runInContext(expression, context);
+}
+
+/**
+ * Copie une valeur du contexte en objets de Node (deepStrictEqual compare aussi les prototypes)
+ * @param {*} value - Valeur sérialisable en JSON
+ * @returns {*}
+ */
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { MemoryLocalStorage, loadScripts, evaluate, plain };
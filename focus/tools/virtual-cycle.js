@@ -0,0 +1,63 @@
+/**
+ * Déroule un cycle Pomodoro complet sur une horloge virtuelle, sans navigateur
+ * Vérifie l'enchaînement des phases, la durée de chaque session et la reprise d'une session
+ * terminée page fermée, en quelques millisecondes :
+ *
+ *   node focus/tools/virtual-cycle.js
+ */
+
+const assert = require('assert');
+const { loadScripts } = require('./load-scripts');
+
+// Scripts du chronomètre, dans l'ordre de app.html (aucun n'a besoin du DOM)
+const TIMER_SCRIPTS = ['events.js', 'clock.js', 'programs.js', 'timer.js'];
+
+// Phases d'un cycle avec les réglages par défaut (pause longue après 4 focus)
+const EXPECTED_PHASES = ['focus', 'break', 'focus', 'break', 'focus', 'break', 'focus', 'longBreak'];
+
+const { FocusTimer, VirtualClock, logged } = loadScripts(TIMER_SCRIPTS);
+const clock = new VirtualClock(0);
+const timer = new FocusTimer({ clock });
+const completed = [];
+
+// Enchaîne chaque phase dès la fin de la précédente, comme le démarrage automatique
+timer.on('complete', (mode, session) => {
+    assert.strictEqual(session.duration, session.plannedDuration, `Durée de la session ${mode}`);
+    completed.push(mode);
+});
+
+const startedAt = Date.now();
+
+EXPECTED_PHASES.forEach(() => {
+    timer.start();
+    clock.advance(timer.totalTime * 1000);
+});
+
+assert.deepStrictEqual(completed, EXPECTED_PHASES);
+assert.strictEqual(timer.mode, 'focus', 'Le cycle recommence par un focus');
+assert.strictEqual(timer.cycle, 1, 'Le compteur de cycles repart de 1');
+assert.strictEqual(clock.getPendingCount(), 0, 'Aucune minuterie ne reste planifiée');
+
+// Page fermée pendant un focus et rouverte au milieu de la pause suivante : le focus est
+// compté jusqu'à sa fin prévue, puis la pause reprend comme si elle avait démarré à l'heure
+timer.start();
+const snapshot = timer.serialize();
+timer.destroy();
+const focusEnd = snapshot.endTime;
+clock.advance(timer.totalTime * 1000 + 60000);
+
+const restored = new FocusTimer({ clock });
+const expired = [];
+restored.on('expire', (mode, session) => expired.push([mode, session.endedAt, session.duration]));
+
+assert.strictEqual(restored.restore(snapshot), 'expired');
+assert.deepStrictEqual(expired, [['focus', focusEnd, snapshot.totalTime]]);
+assert.strictEqual(restored.mode, 'break', 'La phase suivante est prête');
+assert.strictEqual(restored.restoreFrom(focusEnd), 'running');
+assert.strictEqual(restored.timeLeft, restored.totalTime - 60, 'La pause a déjà couru une minute');
+
+restored.destroy();
+assert.deepStrictEqual(logged.error, [], 'Aucune erreur journalisée');
+
+const virtualMinutes = Math.round(clock.now() / 60000);
+console.log(`✅ Cycle complet : ${completed.length} phases, ${virtualMinutes} min virtuelles en ${Date.now() - startedAt} ms`);